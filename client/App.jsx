@@ -3,12 +3,14 @@ import Actions from './core/Actions';
 import Component from './core/Component';
 import { connect } from 'react-redux';
 import { HashRouter } from 'react-router-dom';
-import { isAddress, isBlock, isTX } from '../lib/blockchain';
+import { isAddress, isBlock, isTX, normalizeAddress } from '../lib/blockchain';
 import { Link, Route, Switch } from 'react-router-dom';
 import promise from 'bluebird';
 import PropTypes from 'prop-types';
+import Push from './core/Push';
 import React from 'react';
 import searchHistory from '../lib/searchHistory';
+import { TXS, TXS_UNDO } from './constants';
 
 // Route Containers
 import Address from './container/Address';
@@ -17,7 +19,10 @@ import Block from './container/Block';
 import CoinInfo from './container/CoinInfo';
 import Error404 from './container/Error404';
 import FAQ from './container/FAQ';
+import Governance from './container/Governance';
+import Leaderboards from './container/Leaderboards';
 import Masternode from './container/Masternode';
+import Mempool from './container/Mempool';
 import Movement from './container/Movement';
 import Overview from './container/Overview';
 import Rewards from './container/Rewards';
@@ -39,9 +44,11 @@ import SearchBar from './component/SearchBar';
 class App extends Component {
   static propTypes = {
     // Dispatch
+    addTXs: PropTypes.func.isRequired,
     getCoins: PropTypes.func.isRequired,
     getIsBlock: PropTypes.func.isRequired,
-    getTXs: PropTypes.func.isRequired
+    getTXs: PropTypes.func.isRequired,
+    undoTXs: PropTypes.func.isRequired
   };
 
   constructor(props) {
@@ -52,7 +59,9 @@ class App extends Component {
       limit: 10,
       searches: []
     };
+    this.isPushing = false; // While /api/push is connected new txs & coins are pushed instead of polled
     this.timer = { coins: null, txs: null };
+    this.unsubscribe = null;
   };
 
   componentWillMount() {
@@ -65,17 +74,17 @@ class App extends Component {
       this.props.getTXs({ limit: 10 })
     ])
       .then(() => {
-        this.getCoins();
-        this.getTXs();
+        this.subscribe();
         this.setState({ init: false });
       })
-      .catch(error => this.setState({ error }, () => {
-        this.getCoins();
-        this.getTXs();
-      }));
+      .catch(error => this.setState({ error }, this.subscribe));
   };
 
   componentWillUnmount() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+    this.unsubscribe = null;
     if (this.timer.coins) {
       clearTimeout(this.timer.coins);
     }
@@ -85,10 +94,49 @@ class App extends Component {
     this.timer = { coins: null, txs: null };
   };
 
+  /**
+   * Receive new txs, coin snapshots & reorgs from /api/push. Falls back to polling every 30 seconds while push is not available.
+   */
+  subscribe = () => {
+    this.unsubscribe = Push.subscribe(['movements', 'coin', 'reorgs'], {
+      movement: ({ movement }) => {
+        if (!movement.isReward) {
+          this.props.addTXs([movement]);
+        }
+      },
+      coin: () => this.props.getCoins({ limit: 12 }).catch(err => console.log(err)),
+      reorg: ({ undoHeight }) => {
+        // The latest txs are only merged so the txs of the undone blocks have to be removed first
+        this.props.undoTXs(undoHeight);
+        return promise.all([
+          this.props.getCoins({ limit: 12 }),
+          this.props.getTXs({ limit: 10 })
+        ]).catch(err => console.log(err));
+      }
+    }, this.handlePushStatus);
+  };
+
+  handlePushStatus = (isPushing) => {
+    this.isPushing = isPushing;
+    if (!isPushing) {
+      this.getCoins();
+      this.getTXs();
+      return;
+    }
+
+    // Catch up on anything that was missed before the connection was open
+    this.props.getCoins({ limit: 12 }).catch(err => console.log(err));
+    this.props.getTXs({ limit: 10 }).catch(err => console.log(err));
+  };
+
   getCoins = () => {
     if (this.timer.coins) {
       clearTimeout(this.timer.coins);
     }
+    if (this.isPushing) {
+      this.timer.coins = null;
+      return;
+    }
 
     this.timer.coins = setTimeout(() => {
       this.props
@@ -102,6 +150,10 @@ class App extends Component {
     if (this.timer.txs) {
       clearTimeout(this.timer.txs);
     }
+    if (this.isPushing) {
+      this.timer.txs = null;
+      return;
+    }
 
     this.timer.txs = setTimeout(() => {
       this.props
@@ -127,7 +179,7 @@ class App extends Component {
     // Setup path for search.
     let path = '/#/';
     if (isAddress(term)) {
-      document.location.href = `/#/address/${term}`;
+      document.location.href = `/#/address/${normalizeAddress(term)}`;
     } else if (!isNaN(term)) {
       document.location.href = `/#/block/${term}`;
     } else {
@@ -168,7 +220,10 @@ class App extends Component {
                   <Route exact path="/block/:hash" component={Block} />
                   <Route exact path="/coin" component={CoinInfo} />
                   <Route exact path="/faq" component={FAQ} />
+                  <Route exact path="/governance" component={Governance} />
+                  <Route exact path="/leaderboards" component={Leaderboards} />
                   <Route exact path="/masternode" component={Masternode} />
+                  <Route exact path="/mempool" component={Mempool} />
                   <Route exact path="/rewards" component={Rewards} />
                   <Route exact path="/movement" component={Movement} />
                   <Route exact path="/peer" component={Peer} />
@@ -189,9 +244,11 @@ class App extends Component {
 }
 
 const mapDispatch = dispatch => ({
+  addTXs: payload => dispatch({ payload, type: TXS }),
   getCoins: query => Actions.getCoinHistory(dispatch, query),
   getIsBlock: query => Actions.getIsBlock(query),
-  getTXs: query => Actions.getTXLatest(dispatch, query)
+  getTXs: query => Actions.getTXLatest(dispatch, query),
+  undoTXs: undoHeight => dispatch({ payload: undoHeight, type: TXS_UNDO })
 });
 
 const mapState = state => ({
@@ -0,0 +1,176 @@
+
+import Actions from '../../core/Actions';
+import Component from '../../core/Component';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { API_BASE } from '../../constants';
+
+import Icon from '../Icon';
+
+/**
+ * A single call of the API page. Calls generated from the OpenAPI spec (with a method) can be tried out with their example parameters.
+ */
+export default class APIcall extends Component {
+  static propTypes = {
+    call: PropTypes.object.isRequired
+  };
+
+  constructor(props) {
+    super(props);
+
+    // Path parameters & required parameters start with their example value so "Try it" works right away
+    const parameters = this.getParameters();
+    this.state = {
+      isOpen: false,
+      loading: false,
+      response: null,
+      values: parameters.reduce((values, parameter) => ({
+        ...values,
+        [parameter.name]: parameter.required && parameter.example !== undefined ? parameter.example.toString() : ''
+      }), {})
+    };
+  };
+
+  /**
+   * Path, query & body parameters of the call
+   */
+  getParameters = () => {
+    const { parameters = [], requestBody } = this.props.call;
+    if (!requestBody) {
+      return parameters;
+    }
+
+    const schema = requestBody.content['application/json'].schema;
+    return [
+      ...parameters,
+      ...Object.keys(schema.properties).map(name => ({
+        name,
+        in: 'body',
+        description: schema.properties[name].description,
+        required: schema.required.includes(name),
+        example: schema.properties[name].example,
+        schema: schema.properties[name]
+      }))
+    ];
+  };
+
+  /**
+   * Path with the current path & query parameter values filled in
+   */
+  getPath = () => {
+    if (!this.props.call.method) {
+      return this.props.call.path;
+    }
+
+    const parameters = this.getParameters();
+    const path = parameters
+      .filter(parameter => parameter.in === 'path')
+      .reduce((path, parameter) => path.replace(`{${parameter.name}}`, encodeURIComponent(this.state.values[parameter.name])), this.props.call.path);
+    const query = parameters
+      .filter(parameter => parameter.in === 'query' && this.state.values[parameter.name] !== '')
+      .map(parameter => `${encodeURIComponent(parameter.name)}=${encodeURIComponent(this.state.values[parameter.name])}`)
+      .join('&');
+
+    return `${this.props.call.method === 'get' ? '' : `${this.props.call.method.toUpperCase()} `}${path}${query ? `?${query}` : ''}`;
+  };
+
+  handleCopy = () => {
+    const dummy = document.createElement("input");
+
+    document.body.appendChild(dummy);
+    dummy.setAttribute('id', 'dummy');
+    document.getElementById('dummy').value = API_BASE + this.getPath().replace(/^[A-Z]+ /, '');
+    dummy.select();
+    document.execCommand("copy");
+    document.body.removeChild(dummy);
+  };
+
+  handleTry = () => {
+    const { method, path } = this.props.call;
+    const parameters = this.getParameters();
+    const getValues = location => parameters
+      .filter(parameter => parameter.in === location && this.state.values[parameter.name] !== '')
+      .reduce((values, parameter) => {
+        const value = this.state.values[parameter.name];
+        return { ...values, [parameter.name]: parameter.schema.type === 'object' ? JSON.parse(value) : value };
+      }, {});
+
+    let request = null;
+    try {
+      request = {
+        method,
+        path: parameters
+          .filter(parameter => parameter.in === 'path')
+          .reduce((path, parameter) => path.replace(`{${parameter.name}}`, encodeURIComponent(this.state.values[parameter.name])), path),
+        query: getValues('query'),
+        body: method === 'get' ? null : getValues('body')
+      };
+    } catch (err) {
+      this.setState({ response: 'Body parameters of type "object" must be json.' });
+      return;
+    }
+
+    this.setState({ loading: true, response: null }, () => {
+      Actions.tryApi(request)
+        .then(response => this.setState({ loading: false, response: JSON.stringify(response, null, 2) }))
+        .catch(err => this.setState({ loading: false, response: err && err.toString ? err.toString() : JSON.stringify(err) }));
+    });
+  };
+
+  renderTry = () => {
+    const parameters = this.getParameters();
+
+    return (
+      <div className="api__call-try">
+        {parameters.map(parameter => (
+          <label className="d-block" key={`${parameter.in}-${parameter.name}`}>
+            {parameter.name}{parameter.required ? ' *' : ''} <small className="text-secondary">({parameter.in}) {parameter.description}</small>
+            <input
+              className="px-2"
+              onChange={ev => this.setState({ values: { ...this.state.values, [parameter.name]: ev.target.value } })}
+              placeholder={[
+                parameter.schema.enum ? parameter.schema.enum.join(' | ') : null,
+                parameter.example !== undefined ? `ex: ${parameter.example}` : null
+              ].filter(text => !!text).join(', ')}
+              style={{ width: '100%' }}
+              type="text"
+              value={this.state.values[parameter.name]} />
+          </label>
+        ))}
+        <button className="mb-1" disabled={this.state.loading} onClick={this.handleTry}>
+          {this.state.loading ? 'Loading...' : 'Send'}
+        </button>
+        {this.state.response !== null && <pre className="api__call-response">{this.state.response}</pre>}
+      </div>
+    );
+  };
+
+  render() {
+    const { call } = this.props;
+
+    return (
+      <div className="api__call">
+        <p className="api__call-name">
+          {call.name}
+          {!!call.method && (
+            <button className="api__call-try-button ml-2" onClick={() => this.setState({ isOpen: !this.state.isOpen })}>
+              {this.state.isOpen ? 'Close' : 'Try it'}
+            </button>
+          )}
+        </p>
+        <p className="api__call-info">
+          <span dangerouslySetInnerHTML={{ __html: call.info }} />
+        </p>
+        <Icon name="caret-right" className="api__call-detail-indicator" />
+        <div className="api__call-detail" onClick={this.handleCopy}>
+          <p className="api__call-path">{this.getPath()}</p>
+          <span className="api__call-copy">
+            <Icon name="clipboard" className="far api__call-copy-icon" />
+            <span>COPY</span>
+          </span>
+        </div>
+        {this.state.isOpen && this.renderTry()}
+      </div>
+    );
+  };
+}
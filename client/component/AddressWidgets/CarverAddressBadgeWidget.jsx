@@ -3,6 +3,15 @@ import numeral from 'numeral';
 import Icon from '../Icon';
 import config from '../../../config'
 import CarverAddressBadgeWidget from './CarverAddressBadgeWidget'
+import { dateFormat } from '../../../lib/date';
+import { CarverAddressTagType } from '../../../lib/carver2d'
+
+// Badges of the daily address tags (see cron/addressTags.js)
+const addressTagBadges = {
+  [CarverAddressTagType.MostPosRewards]: { label: 'Top Staker', title: 'Most stakes of the day' },
+  [CarverAddressTagType.BiggestMovement]: { label: 'Whale', title: 'Biggest movement of the day' },
+  [CarverAddressTagType.MostMovements]: { label: 'Most Active', title: 'Most transactions of the day' }
+};
 
 /**
  * All carver addreses displayed on website are wrapped around this component. Allows us to add metadata icons/text/badges, etc to addresses.
@@ -32,9 +41,22 @@ const CarverAddressLabelWidget = ({ carverAddress, showBadge = true, ...props })
     return <span class={`address-badge address-badge-${badgeContext}`}>{badgeLabel}</span>
   }
 
+  const getTagBadges = () => {
+    if (!carverAddress.tags) {
+      return null;
+    }
+    return carverAddress.tags.filter(tag => addressTagBadges[tag.type]).map(tag => {
+      const addressTagBadge = addressTagBadges[tag.type];
+      return <span key={tag.type} class="address-badge address-badge-success" title={`${addressTagBadge.title} (earned ${tag.count} times, last on ${dateFormat(tag.lastDate, 'YYYY-MM-DD')})`}>
+        {addressTagBadge.label}{tag.count > 1 ? ` x${tag.count}` : ''}
+      </span>
+    });
+  }
+
   return (
     <span {...props}>
       {getBadge()}
+      {getTagBadges()}
     </span>
   );
 }
@@ -1,6 +1,7 @@
 
 import Component from '../../core/Component';
 import config from '../../../config'
+import { Link } from 'react-router-dom';
 import numeral from 'numeral';
 import PropTypes from 'prop-types';
 import qrcode from 'qrcode';
@@ -13,10 +14,12 @@ import { CarverAddressType } from '../../../lib/carver2d'
 export default class CardAddress extends Component {
   static defaultProps = {
     carverAddress: null,
+    pendingTxs: []
   };
 
   static propTypes = {
     carverAddress: PropTypes.object.isRequired,
+    pendingTxs: PropTypes.array
   };
 
   componentDidMount() {
@@ -44,21 +47,8 @@ export default class CardAddress extends Component {
   render() {
     const carverAddress = this.props.carverAddress;
 
-    // Proof Of Work Rewards
-    const powAddress = carverAddress.carverRewardAddresses.find(carverRewardAddresses => carverRewardAddresses.carverAddressType === CarverAddressType.ProofOfWork);
-    const powValueIn = powAddress ? powAddress.valueOut : 0;
-    const powCountIn = powAddress ? powAddress.countOut : 0;
-
-    // Masternode Rewards
-    const masternodeAddress = carverAddress.carverRewardAddresses.find(carverRewardAddresses => carverRewardAddresses.carverAddressType === CarverAddressType.Masternode);
-    const mnValueIn = masternodeAddress ? masternodeAddress.valueOut : 0;
-    const mnCountIn = masternodeAddress ? masternodeAddress.countOut : 0;
-
-    // POS Rewards
-    const posAddress = carverAddress.carverRewardAddresses.find(carverRewardAddresses => carverRewardAddresses.carverAddressType === CarverAddressType.ProofOfStake);
-    const posValueIn = posAddress ? posAddress.valueOut : 0;
-    const posCountIn = posAddress ? posAddress.countOut : 0;
-
+    // Rewards are counted on the address during block sync
+    const { powValueIn, powCountIn, mnValueIn, mnCountIn, posValueIn, posCountIn, govValueIn, govCountIn } = carverAddress;
 
     const getAdressWidget = () => {
       const addressWidgets = config.addressWidgets[carverAddress.label];
@@ -75,11 +65,8 @@ export default class CardAddress extends Component {
 
     const getBadge = () => {
       const addressWidget = getAdressWidget();
-      if (!addressWidget) {
-        return null;
-      }
-      const badge = addressWidget.badge;
-      if (!badge) {
+      const hasTags = !!carverAddress.tags && carverAddress.tags.length > 0;
+      if ((!addressWidget || !addressWidget.badge) && !hasTags) {
         return null;
       }
 
@@ -169,6 +156,19 @@ export default class CardAddress extends Component {
       </div>
     }
 
+    const getGovernanceRewards = () => {
+      if (!govValueIn) {
+        return null;
+      }
+
+      return <div className="card__row">
+        <span className="card__label">Governance Payouts ({govCountIn}x💎):</span>
+        <span className="card__result">
+          +{numeral(govValueIn.toFixed(config.coinDetails.displayDecimals)).format(config.coinDetails.coinNumberFormat)} {config.coinDetails.shortName}
+        </span>
+      </div>
+    }
+
     const getSent = () => {
       if (!carverAddress.valueOut) {
         return null;
@@ -181,6 +181,69 @@ export default class CardAddress extends Component {
       </div>
     }
 
+    const getMultisig = () => {
+      // Viewing a multisig address, show who can spend it
+      if (carverAddress.carverAddressType === CarverAddressType.Multisig) {
+        return (<div class="mb-3">
+          <div className="card__row">
+            <span className="card__label">Multisig:</span>
+            <span className="card__result">
+              {carverAddress.multisigRequiredSignatures} of {carverAddress.multisigAddresses.length} signatures required
+            </span>
+          </div>
+          {carverAddress.multisigAddresses.map(multisigAddress => (
+            <div className="card__row" key={multisigAddress}>
+              <span className="card__label">Signer:</span>
+              <span className="card__result">
+                <Link to={`/address/${multisigAddress}`}>{multisigAddress}</Link>
+              </span>
+            </div>
+          ))}
+        </div>);
+      }
+
+      // Viewing a normal address, show all multisig outputs it can sign for
+      if (!carverAddress.multisigCarverAddresses || carverAddress.multisigCarverAddresses.length === 0) {
+        return null;
+      }
+
+      return (<div class="mb-3">
+        {carverAddress.multisigCarverAddresses.map(multisigCarverAddress => (
+          <div className="card__row" key={multisigCarverAddress.label}>
+            <span className="card__label">Multisig ({multisigCarverAddress.multisigRequiredSignatures} of {multisigCarverAddress.multisigAddresses.length}):</span>
+            <span className="card__result">
+              <Link to={`/address/${multisigCarverAddress.label}`}>
+                {numeral(multisigCarverAddress.balance.toFixed(config.coinDetails.displayDecimals)).format(config.coinDetails.coinNumberFormat)} {config.coinDetails.shortName}
+              </Link>
+            </span>
+          </div>
+        ))}
+      </div>);
+    }
+
+    // Unconfirmed incoming funds (txs in mempool that are sending coins to this address)
+    const getPending = () => {
+      const pendingIncomingTxs = this.props.pendingTxs
+        .map(pendingTx => {
+          const addressMovement = pendingTx.carverAddressMovements.find(carverAddressMovement => carverAddressMovement.carverAddress.label === carverAddress.label);
+          return { txId: pendingTx.txId, amount: addressMovement ? addressMovement.amountIn - addressMovement.amountOut : 0 };
+        })
+        .filter(pendingIncomingTx => pendingIncomingTx.amount > 0);
+
+      return pendingIncomingTxs.map(pendingIncomingTx => (
+        <div className="card__row" key={pendingIncomingTx.txId}>
+          <span className="card__label">Pending:</span>
+          <span className="card__result">
+            <Link to={`/tx/${pendingIncomingTx.txId}`}>
+              <span className="badge badge-warning">
+                +{numeral(pendingIncomingTx.amount.toFixed(config.coinDetails.displayDecimals)).format(config.coinDetails.coinNumberFormat)} {config.coinDetails.shortName} (unconfirmed)
+              </span>
+            </Link>
+          </span>
+        </div>
+      ));
+    }
+
     const getPosAverages = () => {
 
       if (!carverAddress.posAverages) {
@@ -236,12 +299,14 @@ export default class CardAddress extends Component {
                 </span>
               </div>
               {getLastMovement()}
+              {getMultisig()}
               {getPosAverages()}
               <div class="mt-4">
                 {getReceived()}
                 {getPowRewards()}
                 {getPosRewards()}
                 {getMnRewards()}
+                {getGovernanceRewards()}
                 {getSent()}
 
                 <div className="card__row border-top mt-1 font-weight-500">
@@ -250,6 +315,7 @@ export default class CardAddress extends Component {
                     {numeral(carverAddress.balance.toFixed(config.coinDetails.displayDecimals)).format(config.coinDetails.coinNumberFormat)} {config.coinDetails.shortName}
                   </span>
                 </div>
+                {getPending()}
               </div>
             </div>
           </div>
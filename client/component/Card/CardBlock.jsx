@@ -1,8 +1,10 @@
 
 import Component from '../../core/Component';
 import { dateFormat } from '../../../lib/date';
+import numeral from 'numeral';
 import PropTypes from 'prop-types';
 import React from 'react';
+import config from '../../../config'
 
 export default class CardBlock extends Component {
   static defaultProps = {
@@ -52,6 +54,17 @@ export default class CardBlock extends Component {
             <span className="card__label">Size (kB):</span>
             <span className="card__result">{(this.props.block.size / 1024).toFixed(2)}</span>
           </div>
+          <div className="card__row">
+            <span className="card__label">Fees:</span>
+            <span className="card__result">
+              {numeral(this.props.block.fee || 0).format(config.coinDetails.coinTooltipNumberFormat)} {config.coinDetails.shortName}
+              {!!this.props.block.feeRate && ` (${numeral(this.props.block.feeRate).format(config.coinDetails.coinTooltipNumberFormat)} ${config.coinDetails.shortName}/kB)`}
+            </span>
+          </div>
+          <div className="card__row">
+            <span className="card__label">Coin Days Destroyed:</span>
+            <span className="card__result">{numeral(this.props.block.coinDaysDestroyed || 0).format('0,0.00')}</span>
+          </div>
           <div className="card__row">
             <span className="card__label">Bits:</span>
             <span className="card__result">{this.props.block.bits}</span>
@@ -4,6 +4,7 @@ import PropTypes from 'prop-types';
 import React from 'react';
 import { Link } from 'react-router-dom';
 import config from '../../../config'
+import { mncoins } from '../../../lib/blockchain';
 
 export default class CardBlockRewardDetailsMasternode extends Component {
   static propTypes = {
@@ -17,7 +18,10 @@ export default class CardBlockRewardDetailsMasternode extends Component {
     }
 
     const blockRewardDetails = this.props.tx.blockRewardDetails;
-    const masternodeLifetimeRoi = (blockRewardDetails.masternode.rewardsCarverAddress.valueOut / config.coinDetails.masternodeCollateral) * 100;
+    if (!blockRewardDetails.masternode) {
+      return null;
+    }
+    const masternodeLifetimeRoi = (blockRewardDetails.masternode.rewardsCarverAddress.valueOut / mncoins) * 100;
 
     return (
       <div className="animated fadeIn">
@@ -0,0 +1,67 @@
+import Component from '../../core/Component';
+import { Link } from 'react-router-dom';
+import numeral from 'numeral';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import Table from '../Table';
+import config from '../../../config'
+import { CarverAddressType } from '../../../lib/carver2d'
+
+/**
+ * Every payee of a block reward (stake, proof of work, masternodes, governance & dev fund)
+ */
+export default class CardBlockRewardPayees extends Component {
+  static propTypes = {
+    payees: PropTypes.array.isRequired
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      cols: [
+        { key: 'payee', title: 'Payee' },
+        { key: 'address', title: 'Address' },
+        { key: 'outputs', title: 'Outputs' },
+        { key: 'reward', title: 'Reward' }
+      ]
+    };
+  };
+
+  getPayeeTitle(carverAddressType) {
+    switch (carverAddressType) {
+      case CarverAddressType.ProofOfStake:
+        return 'Stake';
+      case CarverAddressType.ProofOfWork:
+        return 'Proof Of Work';
+      case CarverAddressType.Masternode:
+        return 'Masternode';
+      case CarverAddressType.Governance:
+        return 'Governance';
+      case CarverAddressType.DevFund:
+        return 'Dev Fund';
+    }
+    return 'Unknown';
+  }
+
+  render() {
+    return (
+      <div className="animated fadeIn">
+        <Table
+          cols={this.state.cols}
+          data={this.props.payees.map(payee => ({
+            ...payee,
+            payee: this.getPayeeTitle(payee.carverAddressType),
+            address: (
+              <Link to={`/address/${payee.addressLabel}`}>{payee.addressLabel}</Link>
+            ),
+            reward: (
+              <span className="badge badge-success" title={`${numeral(payee.reward).format(config.coinDetails.coinTooltipNumberFormat)} ${config.coinDetails.shortName}`}>
+                {numeral(payee.reward).format(config.coinDetails.coinNumberFormat)} {config.coinDetails.shortName}
+              </span>
+            )
+          }))} />
+      </div>
+    );
+  };
+}
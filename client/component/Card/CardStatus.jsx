@@ -1,5 +1,6 @@
 
 import Component from '../../core/Component';
+import blockchain from '../../../lib/blockchain';
 import { Link } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import React from 'react';
@@ -10,14 +11,15 @@ import CountUp from '../CountUp';
 
 export default class CardStatus extends Component {
   static defaultProps = {
-    avgBlockTime: 90,
+    avgBlockTime: blockchain.avgBlockTime,
     avgMNTime: 24,
     blocks: 0,
     peers: 0,
     countCarverAddresses: 0,
     countCarverMovements: 0,
     status: 'Offline',
-    coin: { uniqueMasternodeAddresses24h: 0, uniquePosAddresses24h: 0, posRoi24h: 0, mnRoi24h: 0 }
+    coin: { uniqueMasternodeAddresses24h: 0, uniquePosAddresses24h: 0, posRoi24h: 0, mnRoi24h: 0 },
+    syncStatus: null
   };
 
   static propTypes = {
@@ -29,8 +31,28 @@ export default class CardStatus extends Component {
     countCarverAddresses: PropTypes.number.isRequired,
     countCarverMovements: PropTypes.number.isRequired,
     coin: PropTypes.object.isRequired,
+    syncStatus: PropTypes.object
   };
 
+  /**
+   * Warn visitors that the explorer is behind the chain (recent txs might not show up yet)
+   */
+  getSyncLagWarning() {
+    const syncStatus = this.props.syncStatus;
+    if (!syncStatus || !syncStatus.isLagging) {
+      return null;
+    }
+
+    return (
+      <div className="alert alert-warning mt-3 mb-0" role="alert">
+        Explorer is syncing: {numeral(syncStatus.blocksBehind).format('0,0')} blocks behind the network (block {numeral(syncStatus.dbHeight).format('0,0')} of {numeral(syncStatus.rpcHeight).format('0,0')}).
+        {syncStatus.isSyncing && syncStatus.sync && syncStatus.sync.blocksPerSecond > 0
+          ? ` Catching up at ${syncStatus.sync.blocksPerSecond.toFixed(2)} blocks/s.`
+          : ''}
+      </div>
+    );
+  }
+
   render() {
     const isOn = this.props.status === 'Online';
 
@@ -38,6 +60,7 @@ export default class CardStatus extends Component {
     return (
       <div className="animated fadeInUp">
         <Card className="card--status" >
+          {this.getSyncLagWarning()}
           <div className="card__row justify-content-between mt-3">
             <span className="card__label">Status:</span>
             <span className="card__result card__result--status">
@@ -11,11 +11,15 @@ import CarverAddressLabelWidget from '../AddressWidgets/CarverAddressLabelWidget
 
 export default class CardTX extends Component {
   static propTypes = {
-    height: PropTypes.number.isRequired,
+    height: PropTypes.number,
     tx: PropTypes.object.isRequired
   };
 
   render() {
+    if (this.props.tx.isPending) {
+      return this.renderPending();
+    }
+
     const blockValue = this.props.tx.amountOut;
     const confirmValue = this.props.height - this.props.tx.blockHeight;
     const confirmBadgeClass = (confirmValue > 0)
@@ -48,6 +52,13 @@ export default class CardTX extends Component {
             <span className="card__label">Block Value:</span>
             <span className="card__result"><Link to={`/block/${this.props.tx.blockHeight}`}>{numeral(blockValue).format(config.coinDetails.coinNumberFormat)} {config.coinDetails.shortName}</Link></span>
           </div>
+          {!!this.props.tx.fee && <div className="card__row">
+            <span className="card__label">Fee:</span>
+            <span className="card__result">
+              {numeral(this.props.tx.fee).format(config.coinDetails.coinTooltipNumberFormat)} {config.coinDetails.shortName}
+              {!!this.props.tx.feeRate && ` (${numeral(this.props.tx.feeRate).format(config.coinDetails.coinTooltipNumberFormat)} ${config.coinDetails.shortName}/kB)`}
+            </span>
+          </div>}
           <div className="card__row">
             <span className="card__label">Block Height:</span>
             <span className="card__result">
@@ -64,4 +75,40 @@ export default class CardTX extends Component {
       </div>
     );
   };
+
+  /**
+   * Unconfirmed tx that is still in the mempool (not in a block yet)
+   */
+  renderPending() {
+    return (
+      <div className="animated fadeIn">
+        <div className="card--block">
+          <div className="card__row">
+            <span className="card__label">TXID:</span>
+            <span className="card__result">
+              <CarverAddressLabelWidget carverAddress={{ label: this.props.tx.txId }} showBadge={false} />
+            </span>
+          </div>
+          <div className="card__row">
+            <span className="card__label">Confirmations:</span>
+            <span className="card__result">
+              <span className="card__badge badge badge-warning">
+                Pending (in mempool)
+              </span>
+            </span>
+          </div>
+          <div className="card__row">
+            <span className="card__label">Value:</span>
+            <span className="card__result">{numeral(this.props.tx.amountOut).format(config.coinDetails.coinNumberFormat)} {config.coinDetails.shortName}</span>
+          </div>
+          <div className="card__row">
+            <span className="card__label">First Seen:</span>
+            <span className="card__result">
+              {dateFormat(this.props.tx.date)}
+            </span>
+          </div>
+        </div>
+      </div>
+    );
+  };
 }
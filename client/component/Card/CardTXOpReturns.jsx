@@ -0,0 +1,45 @@
+import Component from '../../core/Component';
+import numeral from 'numeral';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import Table from '../Table';
+import config from '../../../config'
+
+/**
+ * Data embedded in OP_RETURN outputs of a tx (memos, notarization hashes, etc)
+ */
+export default class CardTXOpReturns extends Component {
+  static propTypes = {
+    opReturns: PropTypes.array.isRequired
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      cols: [
+        { key: 'vout', title: 'Output' },
+        { key: 'utf8', title: 'Text' },
+        { key: 'hex', title: 'Hex' },
+        { key: 'value', title: 'Burned' }
+      ]
+    };
+  };
+
+  render() {
+    return (
+      <div className="animated fadeIn">
+        <Table
+          cols={this.state.cols}
+          data={this.props.opReturns.map(opReturn => ({
+            ...opReturn,
+            utf8: opReturn.utf8 !== null ? opReturn.utf8 : <i>(binary data)</i>,
+            hex: (
+              <span style={{ wordBreak: 'break-all' }}>{opReturn.hex}</span>
+            ),
+            value: `${numeral(opReturn.value).format(config.coinDetails.coinNumberFormat)} ${config.coinDetails.shortName}`
+          }))} />
+      </div>
+    );
+  };
+}
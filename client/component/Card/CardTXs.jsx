@@ -51,11 +51,13 @@ export default class CardTXs extends Component {
 
           return ({
             ...tx,
-            blockHeight: (
-              <Link to={`/block/${tx.blockHeight}`}>
-                {tx.blockHeight}
-              </Link>
-            ),
+            blockHeight: tx.isPending
+              ? (<span className="badge badge-warning">Pending</span>)
+              : (
+                <Link to={`/block/${tx.blockHeight}`}>
+                  {tx.blockHeight}
+                </Link>
+              ),
             txId: (
               <Link to={`/tx/${tx.txId}`}>
                 {tx.txId}
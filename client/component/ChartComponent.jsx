@@ -79,6 +79,20 @@ export default class ChartComponent extends Component {
           formatter: (transactions) => `${transactions.toFixed(0)} TXs`
         }
         break;
+      case TimeIntervalType.DailyTransactionFees:
+        priceFormat = {
+          type: 'custom',
+          precision: 4,
+          formatter: (fees) => `${fees.toFixed(4)} ${config.coinDetails.shortName}`
+        }
+        break;
+      case TimeIntervalType.DailyCoinDaysDestroyed:
+        priceFormat = {
+          type: 'custom',
+          precision: 0,
+          formatter: (coinDays) => `${coinDays.toFixed(0)} Coin Days`
+        }
+        break;
       case TimeIntervalType.DailyAvgMasternodeAge:
         priceFormat = {
           type: 'custom',
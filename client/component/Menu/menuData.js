@@ -1,8 +1,11 @@
 const MenuData = [
   { label: 'Overview', icon: '/img/home.svg', href: '/' },
   { label: 'Transactions', icon: '/img/movement.svg', href: '/movement' },
+  { label: 'Mempool', icon: '/img/movement.svg', href: '/mempool' },
   { label: 'Staking (POS)', icon: '/img/rewards.svg', href: '/rewards' },
+  { label: 'Leaderboards', icon: '/img/top100.svg', href: '/leaderboards' },
   { label: 'Masternodes', icon: '/img/masternodes.svg', href: '/masternode' },
+  { label: 'Governance', icon: '/img/rewards.svg', href: '/governance' },
   { label: 'Top 100', icon: '/img/top100.svg', href: '/top' },
   { label: 'Connections', icon: '/img/connections.svg', href: '/peer' },
   { label: 'Statistics', icon: '/img/statistics.svg', href: '/statistics' },
@@ -8,32 +8,49 @@ import Icon from './Icon';
 /**
  * Setup pagination with provided current page
  * and total number of pages.
+ * Lists with cursor pagination can pass the next/previous page cursors of the api response. Moving to an adjacent page passes the cursor along: onPage(page, cursor)
  * @param {Object} props The props for component.
  */
 export default class Pagination extends Component {
   static propTypes = {
     current: PropTypes.number.isRequired,
+    nextCursor: PropTypes.string,
     onPage: PropTypes.func.isRequired,
+    prevCursor: PropTypes.string,
     total: PropTypes.number.isRequired
   };
 
+  /**
+   * Cursor of an adjacent page (if the list uses cursor pagination)
+   */
+  getCursor = (page) => {
+    if (page === this.props.current + 1) {
+      return this.props.nextCursor || null;
+    }
+    if (page === this.props.current - 1) {
+      return this.props.prevCursor || null;
+    }
+    return null;
+  };
+
   handleOlder = (ev) => {
     ev.preventDefault();
-    if (this.props.current < this.props.total) {
-      this.props.onPage(this.props.current + 1);
+    // Total of cursor paginated lists is approximate so there can be more pages
+    if (this.props.current < this.props.total || !!this.props.nextCursor) {
+      this.props.onPage(this.props.current + 1, this.getCursor(this.props.current + 1));
     }
   };
 
   handleNewer = (ev) => {
     ev.preventDefault();
     if (this.props.current > 1) {
-      this.props.onPage(this.props.current - 1);
+      this.props.onPage(this.props.current - 1, this.getCursor(this.props.current - 1));
     }
   };
 
   handlePage = (ev, page) => {
     ev.preventDefault();
-    this.props.onPage(page);
+    this.props.onPage(page, this.getCursor(page));
   };
 
   render() {
@@ -3,6 +3,7 @@ export const COIN = 'COIN';
 export const COINS = 'COINS';
 export const ERROR = 'ERROR';
 export const TXS = 'TXS';
+export const TXS_UNDO = 'TXS_UNDO';
 export const POS = 'POS';
 export const WATCH_ADD = 'WATCH_ADD';
 export const WATCH_REMOVE = 'WATCH_REMOVE';
@@ -23,6 +24,7 @@ export default {
   ERROR,
   PAGINATION_PAGE_SIZE,
   TXS,
+  TXS_UNDO,
   POS,
   WATCH_ADD,
   WATCH_REMOVE,
@@ -1,24 +1,88 @@
 
+import Actions from '../core/Actions';
 import Component from '../core/Component';
 import React from 'react';
 
-import APIdata from '../component/API/APIdata';
 import APIsection from '../component/API/APIsection';
 import HorizontalRule from '../component/HorizontalRule';
 
+// Pages of the explorer that can be linked to (not part of the OpenAPI spec)
+const LINKS = {
+  heading: 'Linking (GET)',
+  subHeading: 'Linking to the block explorer',
+  calls: [
+    {
+      name: 'Transaction (/#/tx/[hash])',
+      info: 'Returns transaction information',
+      path: '/#/tx/b1725bcb70b62faa0b273e5385b0225c2ef589bd638cfa582b6cb34f9430d0b9'
+    },
+    {
+      name: 'Block (/#/block/[hash|height]',
+      info: 'Returns block information.',
+      path: '/#/block/000000000001eb792fe1ac3f901d2373509769f5179d9fe2fd3bf8cb3b6ebec9'
+    },
+    {
+      name: 'Address (/#/address/[hash]',
+      info: 'Returns address information.',
+      path: '/#/address/bFY9cyZqZTYHGfduXo7CVNTMiCDeJ1q4gA'
+    }
+  ]
+};
+
+/**
+ * API documentation rendered from the OpenAPI spec of the server (/api/openapi.json)
+ */
 export default class API extends Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      error: null,
+      loading: true,
+      sections: []
+    };
+  };
+
+  componentDidMount() {
+    Actions.getOpenApi()
+      .then(spec => this.setState({ sections: this.getSections(spec), loading: false }))
+      .catch(error => this.setState({ error, loading: false }));
+  };
 
-  getSections = () => {
-    return APIdata.map((section, idx) => {
-      return <APIsection
-        key={ idx }
-        heading={ section.heading }
-        subHeading={ section.subHeading }
-        calls={ section.calls } />
+  /**
+   * Group the operations of the spec by tag (one section per tag)
+   */
+  getSections = (spec) => {
+    let operations = [];
+    Object.keys(spec.paths).forEach(path => {
+      Object.keys(spec.paths[path]).forEach(method => {
+        const operation = spec.paths[path][method];
+        operations.push({
+          ...operation,
+          name: operation.operationId,
+          info: [operation.summary, operation.description].filter(text => !!text).join('<br />'),
+          method,
+          path
+        });
+      });
     });
+
+    return [
+      ...spec.tags.map(tag => ({
+        heading: tag.name,
+        subHeading: tag.description,
+        calls: operations.filter(operation => operation.tags.includes(tag.name))
+      })),
+      LINKS
+    ];
   };
 
   render() {
+    if (!!this.state.error) {
+      return this.renderError(this.state.error);
+    } else if (this.state.loading) {
+      return this.renderLoading();
+    }
+
     return (
       <div className="animated fadeIn">
         <br />
@@ -28,9 +92,16 @@ export default class API extends Component {
             <div className="pr-4">
               <p className="api__intro">
               The block explorer provides an API allowing users and/or applications to retrieve information from the network without the need for a local wallet.
+              The full <a href="/api/openapi.json" target="_blank">OpenAPI specification</a> can be used to generate api clients.
               </p>
               <div className="api__call-container">
-                { this.getSections() }
+                {this.state.sections.map((section, idx) => (
+                  <APIsection
+                    key={ idx }
+                    heading={ section.heading }
+                    subHeading={ section.subHeading }
+                    calls={ section.calls } />
+                ))}
               </div>
             </div>
           </div>
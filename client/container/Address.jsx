@@ -16,12 +16,14 @@ import Select from '../component/Select';
 import MasternodesList from '../component/MasternodesList';
 import config from './../../config'
 import { PAGINATION_PAGE_SIZE } from '../constants';
+import AddressBalanceHistory from './AddressBalanceHistory'
 import AddressTxs from './AddressTxs'
 import ProofOfOwnershipButton from '../component/ProofOfOwnership/ProofOfOwnershipButton'
 
 class Address extends Component {
   static propTypes = {
     getAddress: PropTypes.func.isRequired,
+    getMempool: PropTypes.func.isRequired,
     match: PropTypes.object.isRequired
   };
 
@@ -39,7 +41,8 @@ class Address extends Component {
       size: 10,
       txs: [],
       isMasternode: false,
-      carverAddress: null
+      carverAddress: null,
+      pendingTxs: []
     };
   };
 
@@ -68,12 +71,22 @@ class Address extends Component {
             pages: (carverAddress.countIn + carverAddress.countOut) / this.state.size,
             balance: carverAddress.balance,
             received: carverAddress.valueIn - (carverAddress.posValueIn || 0),
-          });
+          }, this.getPendingTxs);
         })
         .catch(error => this.setState({ error, loading: false }));
     });
   };
 
+  /**
+   * Unconfirmed mempool txs of this address (failing to load these should not prevent the address from showing)
+   */
+  getPendingTxs = () => {
+    this.props
+      .getMempool({ address: this.state.address, limit: 100 })
+      .then(({ txs }) => this.setState({ pendingTxs: txs }))
+      .catch(error => console.log(error));
+  };
+
   handlePage = page => this.setState({ page: parseInt(page, 10) });
 
   handleSize = size => this.setState({ size: parseInt(size, 10), page: 1 }, () => {
@@ -117,9 +130,11 @@ class Address extends Component {
       <div>
         <HorizontalRule title="Wallet Info" selects={[getUnlockAddressButton()]} />
         <CardAddress
-          carverAddress={this.state.carverAddress} />
+          carverAddress={this.state.carverAddress}
+          pendingTxs={this.state.pendingTxs} />
         {this.getMasternodesAddressWidget()}
         <div className="clearfix" />
+        {this.state.carverAddress.countIn + this.state.carverAddress.countOut > 0 && <AddressBalanceHistory address={this.state.carverAddress.label} />}
         <AddressTxs addressId={this.state.carverAddress._id} txCount={this.state.carverAddress.countIn + this.state.carverAddress.countOut} />
         <div className="clearfix" />
         {this.getMasternodeDetails()}
@@ -131,6 +146,7 @@ class Address extends Component {
 
 const mapDispatch = (dispatch, ownProps) => ({
   getAddress: query => Actions.getAddress(query),
+  getMempool: query => Actions.getMempool(query),
   getMNs: query => {
     query.hash = ownProps.match.params.hash; // Add current wallet address to the filtering of getMNs(). Look at server/handler/blockex.js getMasternodes()
     return Actions.getMNs(query);
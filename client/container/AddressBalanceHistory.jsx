@@ -0,0 +1,98 @@
+import Actions from '../core/Actions';
+import Component from '../core/Component';
+import { connect } from 'react-redux';
+import { dateFormat } from '../../lib/date';
+import moment from 'moment';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import GraphLineFull from '../component/Graph/GraphLineFull';
+import HorizontalRule from '../component/HorizontalRule';
+import Select from '../component/Select';
+
+// How far back the balance history goes (days, 0 = since the first movement of the address)
+const BALANCE_HISTORY_RANGES = [
+  { label: 'All Time', value: 0 },
+  { label: '1 Year', value: 365 },
+  { label: '30 Days', value: 30 },
+  { label: '7 Days', value: 7 }
+];
+
+/**
+ * Balance of an address over time (downsampled by the api so long histories still load quickly)
+ */
+class AddressBalanceHistory extends Component {
+  static propTypes = {
+    getAddressBalanceHistory: PropTypes.func.isRequired,
+    address: PropTypes.string.isRequired
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      error: null,
+      loading: true,
+      days: 0,
+      points: []
+    };
+  };
+
+  componentDidMount() {
+    this.getAddressBalanceHistory();
+  };
+
+  getAddressBalanceHistory = () => {
+    this.setState({ loading: true }, () => {
+      this.props
+        .getAddressBalanceHistory({
+          address: this.props.address,
+          points: 100,
+          ...(this.state.days ? { from: moment().utc().subtract(this.state.days, 'days').unix() } : null)
+        })
+        .then(({ points }) => this.setState({ points, loading: false }))
+        .catch(error => this.setState({ error, loading: false }));
+    });
+  };
+
+  handleDays = days => this.setState({ days }, this.getAddressBalanceHistory);
+
+  render() {
+    if (!!this.state.error) {
+      return this.renderError(this.state.error);
+    } else if (this.state.loading) {
+      return this.renderLoading();
+    }
+
+    // Hours are only useful when the points are less than a day apart
+    const labelFormat = this.state.days && this.state.days <= 30 ? 'YYYY-MM-DD HH:mm' : 'YYYY-MM-DD';
+
+    const rangeSelect = (
+      <label>
+        Range
+        <Select
+          onChange={value => this.handleDays(value)}
+          selectedValue={this.state.days}
+          options={BALANCE_HISTORY_RANGES} />
+      </label>
+    );
+
+    return (
+      <div>
+        <HorizontalRule select={rangeSelect} title="Balance History" />
+        {this.state.points.length === 0
+          ? (<div className="animated fadeIn mb-4">No balance history found.</div>)
+          : (<GraphLineFull
+            color="#1991eb"
+            data={this.state.points.map(point => point.balance)}
+            height="320px"
+            labels={this.state.points.map(point => dateFormat(point.date, labelFormat))} />)}
+      </div>
+    );
+  };
+}
+
+const mapDispatch = dispatch => ({
+  getAddressBalanceHistory: query => Actions.getAddressBalanceHistory(query)
+});
+
+export default connect(null, mapDispatch)(AddressBalanceHistory);
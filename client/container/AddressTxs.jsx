@@ -31,6 +31,9 @@ class AddressTxs extends Component {
       pages: 0,
       page: 1,
       size: 10,
+      cursor: null,
+      nextCursor: null,
+      prevCursor: null,
       movements: [],
       filter: localStorage.getItem('addressFilter') || null
     };
@@ -42,11 +45,11 @@ class AddressTxs extends Component {
         .getTXs({
           addressId: this.props.addressId,
           limit: this.state.size,
-          skip: (this.state.page - 1) * this.state.size,
+          ...(this.state.cursor ? { cursor: this.state.cursor } : { skip: (this.state.page - 1) * this.state.size }),
           ...(this.state.filter ? { filter: this.state.filter } : null)
         })
-        .then(({ pages, movements }) => {
-          this.setState({ pages, movements, loading: false }, () => {
+        .then(({ pages, movements, nextCursor, prevCursor }) => {
+          this.setState({ pages, movements, nextCursor, prevCursor, loading: false }, () => {
             // this.props.setTXs(movements); // Add this set of new txs to store
           });
         })
@@ -70,9 +73,9 @@ class AddressTxs extends Component {
     });
   };
 
-  handlePage = page => this.setState({ page }, this.getTXs);
+  handlePage = (page, cursor = null) => this.setState({ page, cursor }, this.getTXs);
 
-  handleSize = size => this.setState({ size, page: 1 }, this.getTXs);
+  handleSize = size => this.setState({ size, page: 1, cursor: null }, this.getTXs);
 
 
   render() {
@@ -98,7 +101,7 @@ class AddressTxs extends Component {
         { value: 'excludeRewards', label: 'Exclude Rewards' }
       ];
       const handleAddressFilter = filter => {
-        this.setState({ filter, page: 1 }, this.getTXs);
+        this.setState({ filter, page: 1, cursor: null }, this.getTXs);
         localStorage.setItem('addressFilter', filter);
       };
 
@@ -121,7 +124,9 @@ class AddressTxs extends Component {
         <Pagination
           current={this.state.page}
           className="float-right"
+          nextCursor={this.state.nextCursor}
           onPage={this.handlePage}
+          prevCursor={this.state.prevCursor}
           total={this.state.pages} />
         <div className="clearfix" />
       </div>
@@ -19,6 +19,7 @@ import WatchList from '../component/WatchList';
 
 class CoinSummary extends Component {
   static propTypes = {
+    getSyncStatus: PropTypes.func.isRequired,
     onSearch: PropTypes.func.isRequired,
     onRemove: PropTypes.func.isRequired,
     searches: PropTypes.array.isRequired,
@@ -27,6 +28,39 @@ class CoinSummary extends Component {
     txs: PropTypes.array.isRequired,
   };
 
+  constructor(props) {
+    super(props);
+    this.state = {
+      syncStatus: null
+    };
+    this.timer = null;
+  };
+
+  componentDidMount() {
+    this.getSyncStatus();
+  };
+
+  componentWillUnmount() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = null;
+  };
+
+  /**
+   * Check how far the explorer is behind the chain every 30 seconds (shown as a warning on CardStatus)
+   */
+  getSyncStatus = () => {
+    const scheduleNext = () => {
+      this.timer = setTimeout(this.getSyncStatus, 30000); // 30 seconds
+    };
+
+    this.props
+      .getSyncStatus()
+      .then(syncStatus => this.setState({ syncStatus }, scheduleNext))
+      .catch(scheduleNext);
+  };
+
   render() {
     const coin = this.props.coins && this.props.coins.length
       ? this.props.coins[0]
@@ -87,6 +121,7 @@ class CoinSummary extends Component {
                   countCarverAddresses={coin.countCarverAddresses}
                   countCarverMovements={coin.countCarverMovements}
                   coin={coin}
+                  syncStatus={this.state.syncStatus}
                 />
               </div>
               <div className="col-md-12 col-lg-6">
@@ -126,9 +161,13 @@ class CoinSummary extends Component {
   };
 }
 
+const mapDispatch = dispatch => ({
+  getSyncStatus: () => Actions.getSyncStatus()
+});
+
 const mapState = state => ({
   coins: state.coins,
   txs: state.txs
 });
 
-export default connect(mapState)(CoinSummary);
+export default connect(mapState, mapDispatch)(CoinSummary);
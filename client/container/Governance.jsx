@@ -0,0 +1,124 @@
+import Actions from '../core/Actions';
+import Component from '../core/Component';
+import { connect } from 'react-redux';
+import { dateFormat } from '../../lib/date';
+import { Link } from 'react-router-dom';
+import numeral from 'numeral';
+import PropTypes from 'prop-types';
+import React from 'react';
+import config from '../../config'
+
+import HorizontalRule from '../component/HorizontalRule';
+import Pagination from '../component/Pagination';
+import Select from '../component/Select';
+import Table from '../component/Table';
+
+import { PAGINATION_PAGE_SIZE } from '../constants';
+
+/**
+ * Governance payouts (block rewards that were paid to one of the governance addresses instead of a masternode)
+ */
+class Governance extends Component {
+  static propTypes = {
+    getGovernance: PropTypes.func.isRequired
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      cols: [
+        { key: 'blockHeight', title: 'Block #' },
+        { key: 'addressLabel', title: 'Governance Address' },
+        { key: 'reward', title: 'Payout' },
+        { key: 'date', title: 'Paid' }
+      ],
+      error: null,
+      loading: true,
+      pages: 0,
+      total: 0,
+      totalPaid: 0,
+      page: 1,
+      size: 10,
+      payouts: []
+    };
+  };
+
+  componentDidMount() {
+    this.getGovernance();
+  };
+
+  getGovernance = () => {
+    this.setState({ loading: true }, () => {
+      this.props
+        .getGovernance({
+          limit: this.state.size,
+          skip: (this.state.page - 1) * this.state.size
+        })
+        .then(({ pages, payouts, total, totalPaid }) => this.setState({ pages, payouts, total, totalPaid, loading: false }))
+        .catch(error => this.setState({ error, loading: false }));
+    });
+  };
+
+  handlePage = page => this.setState({ page }, this.getGovernance);
+
+  handleSize = size => this.setState({ size, page: 1 }, this.getGovernance);
+
+  getTableData() {
+    return this.state.payouts.map(payout => ({
+      ...payout,
+      blockHeight: (
+        <Link to={`/tx/${payout.txId}`}>{payout.blockHeight}</Link>
+      ),
+      addressLabel: (
+        <Link to={`/address/${payout.addressLabel}`}>{payout.addressLabel}</Link>
+      ),
+      reward: (
+        <span className="badge badge-success">
+          {numeral(payout.reward).format(config.coinDetails.coinNumberFormat)} {config.coinDetails.shortName}
+        </span>
+      ),
+      date: dateFormat(payout.date)
+    }));
+  }
+
+  render() {
+    if (!!this.state.error) {
+      return this.renderError(this.state.error);
+    } else if (this.state.loading) {
+      return this.renderLoading();
+    }
+
+    const getPaginationDropdown = () => {
+      return <label>
+        Per Page
+          <Select
+          onChange={value => this.handleSize(value)}
+          selectedValue={this.state.size}
+          options={PAGINATION_PAGE_SIZE} />
+      </label>
+    }
+
+    return (
+      <div>
+        <HorizontalRule
+          select={getPaginationDropdown()}
+          title={`Governance Payouts (${this.state.total}, ${numeral(this.state.totalPaid).format(config.coinDetails.coinNumberFormat)} ${config.coinDetails.shortName} paid)`} />
+        {this.state.total === 0
+          ? (<div className="animated fadeIn">No governance payouts found. Governance addresses can be added to community.governanceAddresses in config.js</div>)
+          : (<Table cols={this.state.cols} data={this.getTableData()} />)}
+        <Pagination
+          current={this.state.page}
+          className="float-right"
+          onPage={this.handlePage}
+          total={this.state.pages} />
+        <div className="clearfix" />
+      </div>
+    );
+  };
+}
+
+const mapDispatch = dispatch => ({
+  getGovernance: query => Actions.getGovernance(query)
+});
+
+export default connect(null, mapDispatch)(Governance);
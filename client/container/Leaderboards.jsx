@@ -0,0 +1,141 @@
+import Actions from '../core/Actions';
+import Component from '../core/Component';
+import { connect } from 'react-redux';
+import { Link } from 'react-router-dom';
+import numeral from 'numeral';
+import PropTypes from 'prop-types';
+import React from 'react';
+import config from '../../config'
+
+import HorizontalRule from '../component/HorizontalRule';
+import Select from '../component/Select';
+import Table from '../component/Table';
+
+// Smallest stake input that counts towards the average ROI% leaderboard (tiny inputs can have huge ROI%)
+const MIN_INPUT_VALUES = [
+  { label: '10+', value: 10 },
+  { label: '100+', value: 100 },
+  { label: '1,000+', value: 1000 },
+  { label: '10,000+', value: 10000 }
+];
+
+/**
+ * Staking leaderboards (restake streaks, most stakes, highest ROI%) and top reward earners
+ */
+class Leaderboards extends Component {
+  static propTypes = {
+    getStakingLeaderboard: PropTypes.func.isRequired,
+    getTopRewards: PropTypes.func.isRequired
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      error: null,
+      loading: true,
+      minInputValue: 100,
+      days: 30,
+      longestStreak: [],
+      mostStakes: [],
+      highestAvgRoi: [],
+      topStakers: [],
+      topMasternodeEarners: []
+    };
+  };
+
+  componentDidMount() {
+    this.getLeaderboards();
+  };
+
+  getLeaderboards = () => {
+    this.setState({ loading: true }, () => {
+      Promise.all([
+        this.props.getStakingLeaderboard({ minInputValue: this.state.minInputValue }),
+        this.props.getTopRewards({ type: 'pos', limit: 10 }),
+        this.props.getTopRewards({ type: 'mn', limit: 10 })
+      ])
+        .then(([{ days, longestStreak, mostStakes, highestAvgRoi }, topStakers, topMasternodeEarners]) => this.setState({
+          days,
+          longestStreak,
+          mostStakes,
+          highestAvgRoi,
+          topStakers: topStakers.addresses,
+          topMasternodeEarners: topMasternodeEarners.addresses,
+          loading: false
+        }))
+        .catch(error => this.setState({ error, loading: false }));
+    });
+  };
+
+  handleMinInputValue = minInputValue => this.setState({ minInputValue }, this.getLeaderboards);
+
+  formatAmount = amount => `${numeral(amount).format(config.coinDetails.coinNumberFormat)} ${config.coinDetails.shortName}`;
+
+  getAddressLink = label => <Link to={`/address/${label}`}>{label}</Link>;
+
+  renderLeaderboard(title, cols, data, select = null) {
+    return (
+      <div>
+        <HorizontalRule title={title} select={select} />
+        {data.length === 0
+          ? (<div className="animated fadeIn mb-4">Nobody is on this leaderboard yet.</div>)
+          : (<Table cols={[{ key: 'index', title: '#' }, { key: 'address', title: 'Address' }, ...cols]} data={data.map((row, idx) => ({
+            ...row,
+            index: idx + 1,
+            address: this.getAddressLink(row.label)
+          }))} />)}
+      </div>
+    );
+  }
+
+  render() {
+    if (!!this.state.error) {
+      return this.renderError(this.state.error);
+    } else if (this.state.loading) {
+      return this.renderLoading();
+    }
+
+    const minInputValueSelect = (
+      <label>
+        Min Input
+        <Select
+          onChange={value => this.handleMinInputValue(value)}
+          selectedValue={this.state.minInputValue}
+          options={MIN_INPUT_VALUES} />
+      </label>
+    );
+
+    return (
+      <div>
+        {this.renderLeaderboard(
+          'Longest Restake Streaks',
+          [{ key: 'restakeStreak', title: 'Restakes In A Row' }, { key: 'stakes', title: 'Stakes' }, { key: 'bestRoi', title: 'Best ROI%' }],
+          this.state.longestStreak.map(staker => ({ ...staker, bestRoi: `${numeral(staker.bestRoi).format('0,0.00')}%` })))}
+        {this.renderLeaderboard(
+          `Most Stakes (${this.state.days} days)`,
+          [{ key: 'stakes', title: 'Stakes' }, { key: 'rewards', title: 'Rewards' }],
+          this.state.mostStakes.map(staker => ({ ...staker, rewards: this.formatAmount(staker.rewards) })))}
+        {this.renderLeaderboard(
+          `Highest Average ROI% (${this.state.days} days)`,
+          [{ key: 'avgRoi', title: 'Average ROI%' }, { key: 'stakes', title: 'Stakes' }, { key: 'avgInputValue', title: 'Average Input' }],
+          this.state.highestAvgRoi.map(staker => ({ ...staker, avgRoi: `${numeral(staker.avgRoi).format('0,0.00')}%`, avgInputValue: this.formatAmount(staker.avgInputValue) })),
+          minInputValueSelect)}
+        {this.renderLeaderboard(
+          'Top Stakers',
+          [{ key: 'rewardCount', title: 'Stakes' }, { key: 'rewardValue', title: 'Rewards' }],
+          this.state.topStakers.map(staker => ({ ...staker, rewardValue: this.formatAmount(staker.rewardValue) })))}
+        {this.renderLeaderboard(
+          'Top Masternode Earners',
+          [{ key: 'rewardCount', title: 'Rewards' }, { key: 'rewardValue', title: 'Earned' }],
+          this.state.topMasternodeEarners.map(masternode => ({ ...masternode, rewardValue: this.formatAmount(masternode.rewardValue) })))}
+      </div>
+    );
+  };
+}
+
+const mapDispatch = dispatch => ({
+  getStakingLeaderboard: query => Actions.getStakingLeaderboard(query),
+  getTopRewards: query => Actions.getTopRewards(query)
+});
+
+export default connect(null, mapDispatch)(Leaderboards);
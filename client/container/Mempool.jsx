@@ -0,0 +1,95 @@
+import Actions from '../core/Actions';
+import Component from '../core/Component';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import CardTXs from '../component/Card/CardTXs';
+import HorizontalRule from '../component/HorizontalRule';
+import Pagination from '../component/Pagination';
+import Select from '../component/Select';
+
+import { PAGINATION_PAGE_SIZE } from '../constants';
+
+/**
+ * Unconfirmed transactions that are waiting in the mempool to be mined
+ */
+class Mempool extends Component {
+  static propTypes = {
+    getMempool: PropTypes.func.isRequired
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      error: null,
+      loading: true,
+      pages: 0,
+      total: 0,
+      page: 1,
+      size: 10,
+      txs: []
+    };
+  };
+
+  componentDidMount() {
+    this.getMempool();
+  };
+
+  getMempool = () => {
+    this.setState({ loading: true }, () => {
+      this.props
+        .getMempool({
+          limit: this.state.size,
+          skip: (this.state.page - 1) * this.state.size
+        })
+        .then(({ pages, txs, total }) => this.setState({ pages, total, txs, loading: false }))
+        .catch(error => this.setState({ error, loading: false }));
+    });
+  };
+
+  handlePage = page => this.setState({ page }, this.getMempool);
+
+  handleSize = size => this.setState({ size, page: 1 }, this.getMempool);
+
+  render() {
+    if (!!this.state.error) {
+      return this.renderError(this.state.error);
+    } else if (this.state.loading) {
+      return this.renderLoading();
+    }
+
+    const getPaginationDropdown = () => {
+      return <label>
+        Per Page
+          <Select
+          onChange={value => this.handleSize(value)}
+          selectedValue={this.state.size}
+          options={PAGINATION_PAGE_SIZE} />
+      </label>
+    }
+
+    return (
+      <div>
+        <HorizontalRule
+          select={getPaginationDropdown()}
+          title={`Pending Transactions (${this.state.total})`} />
+        {this.state.total === 0
+          ? (<div className="animated fadeIn">There are no unconfirmed transactions in the mempool right now.</div>)
+          : (<CardTXs txs={this.state.txs} addBadgeClassToValue={false} />)}
+        <Pagination
+          current={this.state.page}
+          className="float-right"
+          onPage={this.handlePage}
+          total={this.state.pages} />
+        <div className="clearfix" />
+      </div>
+    );
+  };
+}
+
+const mapDispatch = dispatch => ({
+  getMempool: query => Actions.getMempool(query)
+});
+
+export default connect(null, mapDispatch)(Mempool);
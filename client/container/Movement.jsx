@@ -32,6 +32,9 @@ class Movement extends Component {
       total: 0,
       page: 1,
       size: 10,
+      cursor: null,
+      nextCursor: null,
+      prevCursor: null,
       txs: [],
       sort: 'sequence',
       date: '0',
@@ -43,12 +46,12 @@ class Movement extends Component {
       this.props
         .getTXs({
           limit: this.state.size,
-          skip: (this.state.page - 1) * this.state.size,
+          ...(this.state.cursor ? { cursor: this.state.cursor } : { skip: (this.state.page - 1) * this.state.size }),
           sort: this.state.sort,
           date: this.state.date
         })
-        .then(({ pages, txs, total }) => {
-          this.setState({ pages, total, txs, loading: false }, () => {
+        .then(({ pages, txs, total, nextCursor, prevCursor }) => {
+          this.setState({ pages, total, txs, nextCursor, prevCursor, loading: false }, () => {
             this.props.setTXs(txs); // Add this set of new txs to store
           });
         })
@@ -72,13 +75,13 @@ class Movement extends Component {
     });
   };
 
-  handlePage = page => this.setState({ page }, this.getTXs);
+  handlePage = (page, cursor = null) => this.setState({ page, cursor }, this.getTXs);
 
-  handleSize = size => this.setState({ size, page: 1 }, this.getTXs);
+  handleSize = size => this.setState({ size, page: 1, cursor: null }, this.getTXs);
 
-  handleSort = sort => this.setState({ sort, page: 1 }, this.getTXs);
+  handleSort = sort => this.setState({ sort, page: 1, cursor: null }, this.getTXs);
 
-  handleDate = date => this.setState({ date, page: 1 }, this.getTXs);
+  handleDate = date => this.setState({ date, page: 1, cursor: null }, this.getTXs);
 
   render() {
     if (!!this.state.error) {
@@ -144,6 +147,9 @@ class Movement extends Component {
         <HorizontalRule
           title="Daily Non-Reward Transactions Count" />
         <ChartComponent type={TimeIntervalType.DailyNonRewardTransactionsCount} />
+        <HorizontalRule
+          title="Daily Transaction Fees" />
+        <ChartComponent type={TimeIntervalType.DailyTransactionFees} />
         <HorizontalRule
           //dateSelect={getDateDropdown()} //@todo date-by-date range
           select={getPaginationDropdown()}
@@ -153,7 +159,9 @@ class Movement extends Component {
         <Pagination
           current={this.state.page}
           className="float-right"
+          nextCursor={this.state.nextCursor}
           onPage={this.handlePage}
+          prevCursor={this.state.prevCursor}
           total={this.state.pages} />
         <div className="clearfix" />
       </div>
@@ -28,6 +28,9 @@ class Rewards extends Component {
       pages: 0,
       page: 1,
       size: 10,
+      cursor: null,
+      nextCursor: null,
+      prevCursor: null,
       rewards: []
     };
 
@@ -35,10 +38,10 @@ class Rewards extends Component {
       this.props
         .getRewards({
           limit: this.state.size,
-          skip: (this.state.page - 1) * this.state.size
+          ...(this.state.cursor ? { cursor: this.state.cursor } : { skip: (this.state.page - 1) * this.state.size })
         })
-        .then(({ pages, rewards }) => {
-          this.setState({ pages, rewards, loading: false }, () => {
+        .then(({ pages, rewards, nextCursor, prevCursor }) => {
+          this.setState({ pages, rewards, nextCursor, prevCursor, loading: false }, () => {
             //this.props.setRewards(rewards); //@todo
           });
         })
@@ -65,9 +68,9 @@ class Rewards extends Component {
     });
   };
 
-  handlePage = page => this.setState({ page }, this.getThrottledRewards);
+  handlePage = (page, cursor = null) => this.setState({ page, cursor }, this.getThrottledRewards);
 
-  handleSize = size => this.setState({ size, page: 1 }, this.getThrottledRewards);
+  handleSize = size => this.setState({ size, page: 1, cursor: null }, this.getThrottledRewards);
 
   render() {
     if (!!this.state.error) {
@@ -107,7 +110,9 @@ class Rewards extends Component {
         <Pagination
           current={this.state.page}
           className="float-right"
+          nextCursor={this.state.nextCursor}
           onPage={this.handlePage}
+          prevCursor={this.state.prevCursor}
           total={this.state.pages} />
         <div className="clearfix" />
       </div>
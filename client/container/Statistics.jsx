@@ -7,11 +7,13 @@ import numeral from 'numeral';
 import PropTypes from 'prop-types';
 import React from 'react';
 
+import ChartComponent from '../component/ChartComponent';
 import GraphLineFull from '../component/Graph/GraphLineFull';
 import HorizontalRule from '../component/HorizontalRule';
 import Notification from '../component/Notification';
 
 import config from '../../config'
+import { TimeIntervalType } from '../../lib/timeInterval'
 
 class Statistics extends Component {
   static propTypes = {
@@ -177,6 +179,13 @@ class Statistics extends Component {
               </div>
             </div>
           </div>
+          <div className="row">
+            <div className="col-md-12">
+              <h3>Coin Days Destroyed</h3>
+              <h5>Amount of coins moved multiplied by how many days they were held. Spikes show old coins waking up.</h5>
+              <ChartComponent type={TimeIntervalType.DailyCoinDaysDestroyed} />
+            </div>
+          </div>
         </div>
       </div>
     );
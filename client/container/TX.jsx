@@ -8,8 +8,10 @@ import React from 'react';
 import CardTX from '../component/Card/CardTX';
 import CardBlockRewardDetailsMasternode from '../component/Card/CardBlockRewardDetailsMasternode';
 import CardBlockRewardDetailsStaking from '../component/Card/CardBlockRewardDetailsStaking';
+import CardBlockRewardPayees from '../component/Card/CardBlockRewardPayees';
 import CardTXIn from '../component/Card/CardTXIn';
 import CardTXOut from '../component/Card/CardTXOut';
+import CardTXOpReturns from '../component/Card/CardTXOpReturns';
 import HorizontalRule from '../component/HorizontalRule';
 
 class TX extends Component {
@@ -67,6 +69,31 @@ class TX extends Component {
     );
   }
 
+  getBlockRewardPayees() {
+    // Older rewards were synced before all payees were stored
+    if (!this.state.tx.isReward || !this.state.tx.blockRewardDetails || !this.state.tx.blockRewardDetails.payees) {
+      return null;
+    }
+    return (
+      <div>
+        <HorizontalRule title={`Block Reward Payees (${this.state.tx.blockRewardDetails.payees.length})`} />
+        <CardBlockRewardPayees payees={this.state.tx.blockRewardDetails.payees} />
+      </div>
+    );
+  }
+
+  getOpReturns() {
+    if (!this.state.tx.opReturns || this.state.tx.opReturns.length === 0) {
+      return null;
+    }
+    return (
+      <div>
+        <HorizontalRule title={`OP_RETURN Data (${this.state.tx.opReturns.length})`} />
+        <CardTXOpReturns opReturns={this.state.tx.opReturns} />
+      </div>
+    );
+  }
+
   getBlockRewardDetailsMasternode() {
     if (!this.state.tx.isReward) {
       return null;
@@ -145,7 +172,9 @@ class TX extends Component {
       <div>
         {this.getTransactionInfo()}
         {this.getBlockRewardDetails()}
+        {this.getBlockRewardPayees()}
         {this.getTransactionDetails()}
+        {this.getOpReturns()}
       </div>
     );
   };
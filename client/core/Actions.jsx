@@ -56,6 +56,12 @@ export const getAddress = (query) => {
   });
 };
 
+export const getAddressBalanceHistory = (query) => {
+  return new promise((resolve, reject) => {
+    return getFromWorker('address-balance-history', resolve, reject, query);
+  });
+};
+
 export const login = (dispatch, query) => {
   return new promise((resolve, reject) => {
     return getFromWorker(
@@ -122,6 +128,24 @@ export const getMNs = (query) => {
   });
 };
 
+export const getMempool = (query) => {
+  return new promise((resolve, reject) => {
+    return getFromWorker('mempool', resolve, reject, query);
+  });
+};
+
+export const getGovernance = (query) => {
+  return new promise((resolve, reject) => {
+    return getFromWorker('governance', resolve, reject, query);
+  });
+};
+
+export const getOpenApi = () => {
+  return new promise((resolve, reject) => {
+    return getFromWorker('openapi', resolve, reject);
+  });
+};
+
 export const getPeers = () => {
   return new promise((resolve, reject) => {
     return getFromWorker(
@@ -139,18 +163,36 @@ export const getPeers = () => {
   });
 };
 
+export const getStakingLeaderboard = (query) => {
+  return new promise((resolve, reject) => {
+    return getFromWorker('staking-leaderboard', resolve, reject, query);
+  });
+};
+
 export const getSupply = (dispatch) => {
   return new promise((resolve, reject) => {
     return getFromWorker('supply', resolve, reject);
   });
 };
 
+export const getSyncStatus = () => {
+  return new promise((resolve, reject) => {
+    return getFromWorker('sync-status', resolve, reject);
+  });
+};
+
 export const getTop100 = () => {
   return new promise((resolve, reject) => {
     return getFromWorker('top-100', resolve, reject);
   });
 };
 
+export const getTopRewards = (query) => {
+  return new promise((resolve, reject) => {
+    return getFromWorker('top-rewards', resolve, reject, query);
+  });
+};
+
 export const getTX = (query) => {
   return new promise((resolve, reject) => {
     return getFromWorker('tx', resolve, reject, query);
@@ -305,6 +347,12 @@ export const getTXsWeek = () => {
   });
 };
 
+export const tryApi = (query) => {
+  return new promise((resolve, reject) => {
+    return getFromWorker('try-api', resolve, reject, query);
+  });
+};
+
 // This is currently the only action that updates anything in the store - Look at Reducers.jsx, txs()
 export const setTXs = (dispatch, txs) => {
   dispatch({ payload: txs, type: TXS });
@@ -322,14 +370,21 @@ export const removeWatch = (dispatch, term) => {
 
 export default {
   getAddress,
+  getAddressBalanceHistory,
   getBlock,
   getCoinHistory,
   getCoinsWeek,
+  getGovernance,
   getIsBlock,
   getMNs,
+  getMempool,
+  getOpenApi,
   getPeers,
+  getStakingLeaderboard,
   getSupply,
+  getSyncStatus,
   getTop100,
+  getTopRewards,
   getTX,
   getTXLatest,
   getTXs,
@@ -342,5 +397,6 @@ export default {
   getMovements,
   getTimeIntervals,
   getSocial,
-  login
+  login,
+  tryApi
 };
@@ -0,0 +1,66 @@
+import config from '../../config';
+
+const url = `${config.api.host}:${config.api.portWorker}${config.api.prefix}/push`;
+
+/**
+ * Subscribe to server-sent events of /api/push (see server/lib/push.js for the channels & events).
+ * onStatus(true) is called when the connection is open and onStatus(false) when events can't be received (no EventSource support,
+ * connection lost or refused) so the caller can fall back to polling. After onStatus(true) the caller should reload once as events
+ * could have been missed while disconnected.
+ * @param {Array} channels Ex: ['blocks', 'coin']
+ * @param {Object} handlers Event name => function receiving the event data. Ex: { block: data => {} }
+ * @param {Function} onStatus Called with true/false when push becomes available/unavailable
+ * @returns {Function} Unsubscribe
+ */
+export const subscribe = (channels, handlers, onStatus) => {
+  let eventSource = null;
+  let isOpen = false;
+  let timer = null;
+
+  const setStatus = (status) => {
+    if (isOpen !== status) {
+      isOpen = status;
+      onStatus(status);
+    }
+  };
+
+  const connect = () => {
+    if (typeof EventSource === 'undefined') {
+      return;
+    }
+
+    eventSource = new EventSource(`${url}?channels=${encodeURIComponent(channels.join(','))}`);
+    eventSource.onopen = () => setStatus(true);
+    eventSource.onerror = () => {
+      setStatus(false);
+
+      // The browser reconnects by itself unless the server refused the connection, then try again in a minute
+      if (eventSource.readyState === EventSource.CLOSED) {
+        eventSource.close();
+        timer = setTimeout(connect, 60000); // 60 seconds
+      }
+    };
+    Object.keys(handlers).forEach((event) => {
+      eventSource.addEventListener(event, ev => handlers[event](JSON.parse(ev.data)));
+    });
+  };
+
+  // Poll until the connection is open
+  onStatus(false);
+  connect();
+
+  return () => {
+    if (timer) {
+      clearTimeout(timer);
+    }
+    if (eventSource) {
+      eventSource.close();
+    }
+    timer = null;
+    eventSource = null;
+  };
+};
+
+export default {
+  subscribe
+};
@@ -5,6 +5,7 @@ import {
   COINS,
   ERROR,
   TXS,
+  TXS_UNDO,
   POS,
   WATCH_ADD,
   WATCH_REMOVE,
@@ -71,6 +72,11 @@ const txs = (state = [], action) => {
       return tx2.sequence - tx1.sequence;
     });
   }
+
+  // Blocks >= undoHeight were undone (reorg), their txs no longer exist
+  if (action.type === TXS_UNDO) {
+    return state.filter(tx => tx.blockHeight < action.payload);
+  }
   return state;
 };
 
@@ -16,6 +16,9 @@ const secretsConfig = {
     pass: 'someverysafepassword',
     timeout: 8000, // 8 seconds
   },
+  webhooks: {
+    apiKeys: [] // Keys (X-Api-Key header) that can manage the webhooks of any address (ex: for an exchange that watches many addresses)
+  },
   social: {
     reddit: {
       /**
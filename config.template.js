@@ -16,7 +16,14 @@ const config = {
     port: '3000', // ex: Port 3000 on prod and localhost
     portWorker: '3000', // ex: Port 443 for production(ngingx) if you have SSL (we use certbot), 3000 on localhost or ip
     prefix: '/api',
-    timeout: '5s'
+    timeout: '5s',
+    graphql: {
+      maxDepth: 8, // Deepest nesting of fields allowed in a /graphql query
+      maxCost: 5000 // Every field costs 1, fields below a list are multiplied by the list limit
+    },
+    push: {
+      interval: 5 // Seconds between checks for new blocks, txs & coin snapshots while clients are subscribed to /api/push
+    }
   },
   coinDetails: {
     name: 'Bulwark',
@@ -26,13 +33,27 @@ const config = {
     coinNumberFormat: '0,0.0000',
     coinTooltipNumberFormat: '0,0.0000000000', // Hovering over a number will show a larger percision tooltip
     websiteUrl: 'https://bulwarkcrypto.com/',
-    masternodeCollateral: 5000, // MN ROI% gets based on this number. If your coin has multi-tiered masternodes then set this to lowest tier (ROI% will simply be higher for bigger tiers)
   },
+  // Coin economics (block time, subsidy schedule, masternode seesaw, collateral tiers & address formats). See /lib/coinProfiles/
+  // Either the name of a profile ('bulwark') or a profile with overrides. Ex: { extends: 'bulwark', collateralTiers: [50000] }
+  // Forks with other address versions or segwit can override the address formats. Ex: { extends: 'bulwark', addressFormats: [{ encoding: 'base58check', version: 85 }, { encoding: 'bech32', hrp: 'bwk' }] }
+  coinProfile: 'bulwark',
   offChainSignOn: {
     enabled: true,
     signMessagePrefix: 'MYCOINSIGN-' // Unique prefix in "Message To Sign" for Off-Chain Sign On
   },
 
+  // Address activity webhooks (/api/webhook). Deliveries are queued by the block sync and sent by cron/webhook.js
+  // Webhooks are created by the owner of the address (signed "<signMessagePrefix>webhook:<url>" message, see offChainSignOn) or with one of the api keys in config.server.js
+  webhooks: {
+    enabled: true,
+    maxPerAddress: 5,
+    timeout: 10,         // Seconds to wait for a response
+    maxAttempts: 8,      // Failed deliveries are retried until this many attempts were made
+    retryDelay: 60,      // Seconds before the first retry (doubles after every attempt)
+    deliveryLogDays: 30  // Sent, failed & cancelled deliveries are kept in the delivery log for this many days
+  },
+
   // Add any important block counting down in this array
   blockCountdowns: [
     {
@@ -171,6 +192,13 @@ const config = {
         title: 'Inputs that are over 100 BWK can participate in network upkeep. Each block (~90 seconds) one of these inputs is rewarded for keeping up the network.'
       }
     },
+    'QUARANTINE': {
+      // Adds a new label metadata address
+      carverAddressLabelWidget: {
+        label: 'Quarantined Outputs',
+        title: 'Outputs with a script type the explorer does not understand yet. They are kept here so the ledger still balances.'
+      }
+    },
   },
 
   /**
@@ -227,9 +255,24 @@ const config = {
    * Cron & Syncing
    */
   blockConfirmations: 10,           // We will re-check block "merkleroot" this many blocks back. If they differ we will then start unwinding carver movements one block at a time until correct block is found. (This is like min confirmations)
+  syncLagWarningBlocks: 10,         // Show a warning on the status card if the explorer is more than this many blocks behind the coin daemon
   verboseCron: true,                // If set to true there are extra logging details in cron scripts
   verboseCronTx: false,             // If set to true there are extra tx logging details in cron scripts (Not recommended)
-  blockSyncAddressCacheLimit: 50000 // How many addresses to keep in memory during block syncing (When this number is reached the entire cache is flushed and filled again from beginning)
+  blockSyncAddressCacheLimit: 50000, // How many addresses to keep in memory during block syncing (When this number is reached the least recently used addresses are evicted. Hit rate is shown in the sync log)
+  blockSyncAddressCacheMemoryLimit: null, // (in MB) Optionally also evict addresses when the sync process heap grows over this size (ex: 2048)
+  blockSyncPrefetchDepth: 10,       // How many blocks ahead of the block being processed to fetch from RPC during block syncing (blocks are still processed one at a time in order)
+  blockSyncPrefetchConcurrency: 8,  // How many RPC calls can be pending at once while prefetching blocks & transactions
+  blockSyncUseTransactions: false,  // Write each block in a single MongoDB transaction (a crash never leaves a half written block). Requires a MongoDB 4.0+ replica set. Keep false for standalone mongod
+  mempoolSyncLimit: 1000,          // Max number of new unconfirmed txs to parse on each run of cron/mempool.js (the rest will be picked up on the next run)
+
+  // Long-running block sync daemon (yarn run start:block). Syncs as soon as the coin daemon notifies us of a new block instead of waiting for the cron.
+  blockSyncDaemon: {
+    notifyHost: '127.0.0.1', // -blocknotify hook listens here (see script/blocknotify.sh)
+    notifyPort: 3001,
+    notifySocket: null,      // Set to a path (ex: './tmp/blocknotify.sock') to listen on a UNIX socket instead of notifyHost:notifyPort
+    zmqHashBlock: null,      // Ex: 'tcp://127.0.0.1:28332' to also listen for ZMQ "hashblock" notifications (coin daemon -zmqpubhashblock). Requires: yarn add zeromq@5
+    pollInterval: 30         // (in seconds) Fallback in case any notifications are missed
+  }
 };
 
 module.exports = config;
\ No newline at end of file
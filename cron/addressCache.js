@@ -0,0 +1,106 @@
+/**
+ * Least recently used cache of CarverAddress documents for block syncing. Hot addresses (exchanges, pools) stay cached while addresses that haven't been used in a while are evicted.
+ *
+ * Addresses are only evicted when prune() is called (once per block). A tx can use an address that was loaded into the cache right before it so we can't evict in the middle of a block.
+ *
+ * @param {Number} maxSize How many addresses to keep in cache after pruning
+ * @param {Number} maxHeapUsedMb (Optional) If the process uses more heap than this (in MB), a quarter of the cache is evicted on prune (on top of maxSize)
+ */
+const createAddressCache = (maxSize, maxHeapUsedMb = null) => {
+  const addresses = new Map(); // Map<addressLabel,CarverAddress>. Map keeps insertion order so the first entry is always the least recently used one.
+
+  let hits = 0;
+  let misses = 0;
+  let evictions = 0;
+
+  /**
+   * Get address from cache and mark it as recently used. Counts towards hit rate statistics.
+   * @param {String} label Address label
+   */
+  const get = (label) => {
+    const carverAddress = addresses.get(label);
+    if (!carverAddress) {
+      misses++;
+      return undefined;
+    }
+
+    hits++;
+    addresses.delete(label);
+    addresses.set(label, carverAddress);
+    return carverAddress;
+  }
+
+  /**
+   * Get address from cache without marking it as recently used (and without counting towards statistics)
+   * @param {String} label Address label
+   */
+  const peek = (label) => {
+    return addresses.get(label);
+  }
+
+  /**
+   * Add address to cache (as the most recently used address)
+   * @param {String} label Address label
+   * @param {CarverAddress} carverAddress Address document
+   */
+  const set = (label, carverAddress) => {
+    addresses.delete(label);
+    addresses.set(label, carverAddress);
+  }
+
+  /**
+   * Evict least recently used addresses until the cache fits into maxSize (and maxHeapUsedMb if set)
+   */
+  const prune = () => {
+    let targetSize = maxSize;
+    if (maxHeapUsedMb && process.memoryUsage().heapUsed > maxHeapUsedMb * 1024 * 1024) {
+      targetSize = Math.min(targetSize, Math.floor(addresses.size * 0.75));
+    }
+
+    for (const label of addresses.keys()) {
+      if (addresses.size <= targetSize) {
+        break;
+      }
+      addresses.delete(label);
+      evictions++;
+    }
+  }
+
+  /**
+   * Remove all addresses (ex: after movements were undone the cached addresses are no longer valid)
+   */
+  const clear = () => {
+    addresses.clear();
+  }
+
+  /**
+   * Hit rate statistics since the cache was created
+   */
+  const getStats = () => {
+    const lookups = hits + misses;
+
+    return {
+      size: addresses.size,
+      hits,
+      misses,
+      evictions,
+      hitRate: lookups > 0 ? hits / lookups : 0
+    };
+  }
+
+  return {
+    get,
+    peek,
+    set,
+    prune,
+    clear,
+    getStats,
+    get size() {
+      return addresses.size;
+    }
+  };
+}
+
+module.exports = {
+  createAddressCache
+};
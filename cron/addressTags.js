@@ -0,0 +1,156 @@
+
+require('babel-polyfill');
+const { exit } = require('../lib/cron');
+const locker = require('../lib/locker');
+const moment = require('moment');
+// Models.
+const { CarverAddress, CarverAddressMovement } = require('../model/carver2d');
+const { CarverAddressType, CarverAddressTagType } = require('../lib/carver2d');
+const { CarverAddressTag } = require('../model/carverAddressTag');
+const { BlockRewardDetails } = require('../model/blockRewardDetails');
+
+// Special addresses (fees, zerocoin, etc) are not people so they can't earn tags
+const untaggedAddressTypes = [
+  CarverAddressType.Tx,
+  CarverAddressType.Coinbase,
+  CarverAddressType.Zerocoin,
+  CarverAddressType.Burn,
+  CarverAddressType.Fee,
+  CarverAddressType.Premine,
+  CarverAddressType.Quarantine
+];
+
+/**
+ * Recalculate how many times an address earned each tag from the tag history
+ * @param {ObjectId} carverAddressId Address that earned a tag
+ */
+const updateAddressTagCounts = async (carverAddressId) => {
+  const tagCounts = await CarverAddressTag.aggregate([
+    { $match: { carverAddress: carverAddressId } },
+    { $group: { _id: '$type', count: { $sum: 1 }, lastDate: { $max: '$date' } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  await CarverAddress.updateOne({ _id: carverAddressId }, {
+    $set: {
+      tags: tagCounts.map(tagCount => ({ type: tagCount._id, count: tagCount.count, lastDate: tagCount.lastDate }))
+    }
+  });
+}
+
+const syncAddressTagSettings = async (addressTagSettings) => {
+  // Continue from the day after the last awarded tag of this type
+  const lastAddressTag = await CarverAddressTag.findOne({ type: addressTagSettings.type }).sort({ date: -1 });
+  const fromDate = lastAddressTag ? moment(lastAddressTag.date).utc().add(1, 'days').toDate() : new Date(0);
+
+  // Tags for today are awarded tomorrow (once the day is over)
+  const toDate = moment().utc().hour(0).minutes(0).seconds(0).milliseconds(0).toDate();
+
+  if (fromDate >= toDate) {
+    return;
+  }
+
+  const aggregationPipeline = [
+    { $match: { ...addressTagSettings.match, date: { $gte: fromDate, $lt: toDate } } },
+    ...addressTagSettings.aggregationPipeline,
+    // Each day the address with the highest value earns the tag
+    { $sort: { value: -1 } },
+    { $group: { _id: '$_id.day', carverAddress: { $first: '$_id.carverAddress' }, value: { $first: '$value' } } },
+    { $sort: { _id: 1 } }
+  ];
+
+  let awardedTags = 0;
+  const dailyTopAddressCursor = addressTagSettings.model.aggregate(aggregationPipeline).allowDiskUse(true).cursor().exec();
+  await dailyTopAddressCursor.eachAsync(async (item) => {
+    const carverAddress = await CarverAddress.findOne({ _id: item.carverAddress }, { label: 1 });
+    if (!carverAddress) {
+      return;
+    }
+
+    const newCarverAddressTag = new CarverAddressTag({
+      type: addressTagSettings.type,
+      label: item._id,
+      date: moment.utc(item._id, 'YYYY-MM-DD').toDate(),
+      carverAddress: carverAddress._id,
+      addressLabel: carverAddress.label,
+      value: item.value
+    });
+    await newCarverAddressTag.save();
+    await updateAddressTagCounts(carverAddress._id);
+
+    awardedTags++;
+  });
+
+  console.log(`Tag type ${addressTagSettings.type}: ${awardedTags} tags awarded`);
+}
+
+/**
+ * Add new daily address tags below. Aggregation pipeline must group by { day, carverAddress } into value (the address with the highest value of the day earns the tag).
+ */
+const syncAddressTags = async () => {
+  console.log('Syncing address tags');
+
+  const untaggedAddresses = await CarverAddress.find({ carverAddressType: { $in: untaggedAddressTypes } }, { _id: 1 });
+  const untaggedAddressIds = untaggedAddresses.map(untaggedAddress => untaggedAddress._id);
+
+  await syncAddressTagSettings({
+    type: CarverAddressTagType.MostPosRewards,
+
+    model: BlockRewardDetails,
+    match: { 'stake': { $exists: true } },
+    aggregationPipeline: [
+      { $project: { 'stake.carverAddress': 1, day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } } } },
+      { $group: { _id: { day: '$day', carverAddress: '$stake.carverAddress' }, value: { $sum: 1 } } }
+    ]
+  });
+
+  await syncAddressTagSettings({
+    type: CarverAddressTagType.BiggestMovement,
+
+    model: CarverAddressMovement,
+    match: { isReward: false, amountOut: { $gt: 0 }, carverAddress: { $nin: untaggedAddressIds } },
+    aggregationPipeline: [
+      { $project: { carverAddress: 1, amountOut: 1, day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } } } },
+      { $group: { _id: { day: '$day', carverAddress: '$carverAddress' }, value: { $max: '$amountOut' } } }
+    ]
+  });
+
+  await syncAddressTagSettings({
+    type: CarverAddressTagType.MostMovements,
+
+    model: CarverAddressMovement,
+    match: { isReward: false, carverAddress: { $nin: untaggedAddressIds } },
+    aggregationPipeline: [
+      { $project: { carverAddress: 1, day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } } } },
+      { $group: { _id: { day: '$day', carverAddress: '$carverAddress' }, value: { $sum: 1 } } }
+    ]
+  });
+
+  console.log('Syncing complete');
+}
+
+/**
+ * Handle locking.
+ */
+async function update() {
+  const type = 'addressTags';
+  let code = 0;
+
+  try {
+    locker.lock(type);
+    await syncAddressTags();
+  } catch (err) {
+    console.log(err);
+    code = 1;
+  } finally {
+    try {
+      locker.unlock(type);
+    } catch (err) {
+      console.log(err);
+      code = 1;
+    }
+    exit(code);
+  }
+}
+
+update();
@@ -0,0 +1,338 @@
+
+require('babel-polyfill');
+const fs = require('fs');
+const path = require('path');
+const { exit, rpc } = require('../lib/cron');
+const locker = require('../lib/locker');
+const { undoCarverBlockMovements } = require('./block');
+const { CarverAddressType, CarverTxType } = require('../lib/carver2d');
+const { CarverMovement, CarverAddress, CarverAddressMovement } = require('../model/carver2d');
+
+// Models.
+const Block = require('../model/block');
+
+// Balances are summed as floats so allow for some drift
+const amountTolerance = 0.000001;
+const supplyTolerance = 0.0001;
+
+// Only the first issues of each check are stored in the report (the total count of failures is always stored)
+const maxIssuesPerCheck = 1000;
+
+// Address types that hold unspent outputs (these should add up to the daemon's utxo set)
+const utxoAddressTypes = [CarverAddressType.Address, CarverAddressType.Multisig, CarverAddressType.Quarantine];
+
+/**
+ * Parse command line flags. Usage: node ./cron/audit.js [--undo] [--report=/path/to/report.json]
+ */
+const getOptions = () => {
+  const reportArg = process.argv.find(arg => arg.startsWith('--report='));
+
+  return {
+    isUndoEnabled: process.argv.includes('--undo'),
+    reportPath: reportArg ? path.resolve(reportArg.replace('--report=', '')) : path.join(__dirname, '../tmp', 'audit.json')
+  };
+}
+
+/**
+ * Create an empty result for one of the audit checks
+ */
+const createCheck = () => ({ checked: 0, failed: 0, failedByType: {}, issues: [] });
+
+/**
+ * Store an inconsistency in the report. Issues with a block height move the first inconsistent height of the ledger back.
+ * @param {Object} report The audit report.
+ * @param {Object} check The check (from report.checks) that failed.
+ * @param {Object} issue Details of the inconsistency.
+ */
+const addIssue = (report, check, issue) => {
+  check.failed++;
+  check.failedByType[issue.type] = (check.failedByType[issue.type] || 0) + 1;
+  if (check.issues.length < maxIssuesPerCheck) {
+    check.issues.push(issue);
+  }
+
+  if (issue.height !== undefined && (report.firstInconsistentHeight === null || issue.height < report.firstInconsistentHeight)) {
+    report.firstInconsistentHeight = issue.height;
+  }
+}
+
+/**
+ * Walk over all addresses and their movements (in sequence order) at the same time. Every address balance must equal the sum of its movements
+ * and each movement must point to the movement before it (previousAddressMovement) with the last one stored on the address (lastMovement).
+ * @param {Object} report The audit report.
+ */
+async function auditAddresses(report) {
+  const { addressBalances, addressMovementChains } = report.checks;
+
+  // Both cursors are sorted by address id so we can merge them without loading everything into memory
+  const addressCursor = CarverAddress
+    .find({}, { label: 1, balance: 1, sequence: 1, lastMovement: 1, blockHeight: 1 })
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+  const movementCursor = CarverAddressMovement
+    .find({}, { carverAddress: 1, previousAddressMovement: 1, amountIn: 1, amountOut: 1, balance: 1, sequence: 1, blockHeight: 1 })
+    .sort({ carverAddress: 1, sequence: 1 })
+    .lean()
+    .cursor();
+
+  let movement = await movementCursor.next();
+
+  /**
+   * Movements of addresses that don't exist are skipped over (ObjectId hex strings sort the same way as the ids)
+   * @param {String} addressId Skip all movements before this address id (or all remaining movements if null)
+   */
+  const skipOrphanMovements = async (addressId) => {
+    while (movement && (addressId === null || movement.carverAddress.toString() < addressId)) {
+      addIssue(report, addressMovementChains, {
+        type: 'missingAddress',
+        carverAddress: movement.carverAddress.toString(),
+        movement: movement._id.toString(),
+        sequence: movement.sequence,
+        height: movement.blockHeight
+      });
+      movement = await movementCursor.next();
+    }
+  }
+
+  for (let carverAddress = await addressCursor.next(); carverAddress; carverAddress = await addressCursor.next()) {
+    const addressId = carverAddress._id.toString();
+    await skipOrphanMovements(addressId);
+
+    let balance = 0;
+    let previousMovement = null;
+    let isBalanceConsistent = true;
+    let isChainConsistent = true;
+
+    while (movement && movement.carverAddress.toString() === addressId) {
+      addressMovementChains.checked++;
+
+      const expectedPreviousMovementId = previousMovement ? previousMovement._id.toString() : null;
+      const previousMovementId = movement.previousAddressMovement ? movement.previousAddressMovement.toString() : null;
+      if (isChainConsistent && previousMovementId !== expectedPreviousMovementId) {
+        isChainConsistent = false; // Only report the first break, every movement after it would be reported as well
+        addIssue(report, addressMovementChains, {
+          type: 'brokenChain',
+          label: carverAddress.label,
+          movement: movement._id.toString(),
+          sequence: movement.sequence,
+          previousAddressMovement: previousMovementId,
+          expectedPreviousAddressMovement: expectedPreviousMovementId,
+          height: movement.blockHeight
+        });
+      }
+
+      // Movement balance is the address balance before the movement happened
+      if (isBalanceConsistent && Math.abs(movement.balance - balance) > amountTolerance) {
+        isBalanceConsistent = false;
+        addIssue(report, addressBalances, {
+          type: 'movementBalance',
+          label: carverAddress.label,
+          movement: movement._id.toString(),
+          sequence: movement.sequence,
+          balance: movement.balance,
+          expectedBalance: balance,
+          height: movement.blockHeight
+        });
+      }
+
+      // Same order as the block sync so the floats add up the same way
+      balance -= movement.amountOut;
+      balance += movement.amountIn;
+      previousMovement = movement;
+      movement = await movementCursor.next();
+    }
+
+    addressBalances.checked++;
+    if (Math.abs(carverAddress.balance - balance) > amountTolerance) {
+      // The address itself is wrong, undoing from the block it was created in will recreate it
+      addIssue(report, addressBalances, {
+        type: 'addressBalance',
+        label: carverAddress.label,
+        balance: carverAddress.balance,
+        expectedBalance: balance,
+        height: carverAddress.blockHeight
+      });
+    }
+
+    const lastMovementId = carverAddress.lastMovement ? carverAddress.lastMovement.toString() : null;
+    const expectedLastMovementId = previousMovement ? previousMovement._id.toString() : null;
+    if (lastMovementId !== expectedLastMovementId || previousMovement && carverAddress.sequence !== previousMovement.sequence) {
+      addIssue(report, addressMovementChains, {
+        type: 'lastMovement',
+        label: carverAddress.label,
+        lastMovement: lastMovementId,
+        expectedLastMovement: expectedLastMovementId,
+        sequence: carverAddress.sequence,
+        expectedSequence: previousMovement ? previousMovement.sequence : null,
+        height: previousMovement ? previousMovement.blockHeight : carverAddress.blockHeight
+      });
+    }
+  }
+
+  await skipOrphanMovements(null);
+}
+
+/**
+ * Every CarverMovement must move the same amount in as it moves out (Perfect Ledger). The only difference allowed is the fee of the movement:
+ * addresses lose amountOut and receive amountIn so amountOut = amountIn + fee.
+ * Movements synced before fees were recorded have no fee, only transfers pay fees so these can have any amountOut over amountIn.
+ * @param {Object} report The audit report.
+ */
+async function auditMovements(report) {
+  const { movementAmounts } = report.checks;
+
+  movementAmounts.checked = await CarverMovement.count();
+
+  const unbalancedMovements = await CarverMovement.aggregate([
+    { $project: { txId: 1, txType: 1, blockHeight: 1, sequence: 1, amountIn: 1, amountOut: 1, fee: 1, difference: { $subtract: [{ $subtract: ['$amountOut', '$amountIn'] }, { $ifNull: ['$fee', 0] }] } } },
+    {
+      $match: {
+        $or: [
+          { difference: { $lt: -amountTolerance } }, // Received more than was spent
+          { difference: { $gt: amountTolerance }, $or: [{ fee: { $exists: true } }, { txType: { $ne: CarverTxType.TransferManyToMany } }] }
+        ]
+      }
+    },
+    { $sort: { sequence: 1 } }
+  ]).allowDiskUse(true);
+
+  unbalancedMovements.forEach(carverMovement => addIssue(report, movementAmounts, {
+    type: 'unbalancedMovement',
+    txId: carverMovement.txId,
+    sequence: carverMovement.sequence,
+    amountIn: carverMovement.amountIn,
+    amountOut: carverMovement.amountOut,
+    fee: carverMovement.fee,
+    height: carverMovement.blockHeight
+  }));
+}
+
+/**
+ * Sum of all address balances must match the unspent outputs total of the coin daemon. Only possible if we're synced to the same block as the daemon.
+ * @param {Object} report The audit report.
+ */
+async function auditSupply(report) {
+  const { supply } = report.checks;
+
+  const txOutSetInfo = await rpc.call('gettxoutsetinfo');
+  const lastBlock = await Block.findOne().sort({ height: -1 });
+  const dbHeight = lastBlock ? lastBlock.height : 0;
+
+  supply.dbHeight = dbHeight;
+  supply.rpcHeight = txOutSetInfo.height;
+  supply.rpcTotal = txOutSetInfo.total_amount;
+
+  if (dbHeight !== txOutSetInfo.height) {
+    supply.skipped = `Database height ${dbHeight} does not match daemon utxo set height ${txOutSetInfo.height}`;
+    return;
+  }
+
+  const totals = await CarverAddress.aggregate([
+    { $match: { carverAddressType: { $in: utxoAddressTypes } } },
+    { $group: { _id: null, total: { $sum: '$balance' } } }
+  ]);
+
+  supply.checked = 1;
+  supply.total = totals.length ? totals[0].total : 0;
+
+  if (Math.abs(supply.total - supply.rpcTotal) > supplyTolerance) {
+    addIssue(report, supply, {
+      type: 'supply',
+      total: supply.total,
+      rpcTotal: supply.rpcTotal,
+      difference: supply.total - supply.rpcTotal
+    });
+  }
+}
+
+/**
+ * Verify the Carver2D ledger invariants and write a JSON report. With --undo all movements from the first inconsistent block height are undone so the next block sync can redo them.
+ */
+async function audit() {
+  const options = getOptions();
+  const report = {
+    startedAt: new Date(),
+    finishedAt: null,
+    isConsistent: false,
+    firstInconsistentHeight: null,
+    undoHeight: null,
+    undoSkipped: null,
+    checks: {
+      addressBalances: createCheck(),
+      addressMovementChains: createCheck(),
+      movementAmounts: createCheck(),
+      supply: createCheck()
+    }
+  };
+
+  console.dateLog(`Auditing address balances & movement chains...`);
+  await auditAddresses(report);
+  console.dateLog(`Auditing movement amounts...`);
+  await auditMovements(report);
+  console.dateLog(`Auditing supply...`);
+  await auditSupply(report);
+
+  report.isConsistent = Object.values(report.checks).every(check => check.failed === 0);
+
+  // Movement balances are only the stored balance before each movement, don't undo blocks for these alone
+  const failedCount = Object.values(report.checks).reduce((total, check) => total + check.failed, 0);
+  const isOnlyMovementBalances = failedCount > 0 && failedCount === (report.checks.addressBalances.failedByType.movementBalance || 0);
+
+  if (options.isUndoEnabled && report.firstInconsistentHeight !== null) {
+    if (isOnlyMovementBalances) {
+      report.undoSkipped = 'Only movement balances are inconsistent';
+      console.dateLog(`[AUDIT] NOT undoing carver movements: only movement balances are inconsistent`);
+    } else {
+      report.undoHeight = report.firstInconsistentHeight;
+      console.dateLog(`[AUDIT] UNDOING all carver movements height >= ${report.undoHeight}`);
+      await undoCarverBlockMovements(report.undoHeight);
+    }
+  }
+
+  report.finishedAt = new Date();
+  fs.writeFileSync(options.reportPath, JSON.stringify(report, null, 2));
+
+  Object.keys(report.checks).forEach(name => {
+    const check = report.checks[name];
+    console.dateLog(`${name}: ${check.checked} checked, ${check.failed} failed${check.skipped ? ` (skipped: ${check.skipped})` : ''}`);
+  });
+  console.dateLog(`Ledger is ${report.isConsistent ? 'consistent' : `NOT consistent (first inconsistent height: ${report.firstInconsistentHeight})`}. Report: ${options.reportPath}`);
+
+  return report;
+}
+
+/**
+ * Handle locking. Uses the block lock so blocks are not synced while we are auditing (or undoing) the ledger.
+ * Exits with code 1 if the ledger is not consistent.
+ */
+async function update() {
+  const type = 'block';
+  let code = 0;
+  let hasAcquiredLocked = false;
+
+  try {
+    locker.lock(type);
+    hasAcquiredLocked = true;
+
+    const report = await audit();
+    if (!report.isConsistent) {
+      code = 1;
+    }
+  } catch (err) {
+    console.log(err);
+    code = 1;
+  } finally {
+    if (hasAcquiredLocked) {
+      try {
+        locker.unlock(type);
+      } catch (err) {
+        console.log(err);
+        code = 1;
+      }
+    }
+    exit(code);
+  }
+}
+
+update();
@@ -8,13 +8,20 @@ const { forEachSeries } = require('p-iteration');
 const locker = require('../lib/locker');
 const util = require('./util');
 const carver2d = require('./carver2d');
-const { CarverAddressType, CarverMovementType, CarverTxType } = require('../lib/carver2d');
+const { createAddressCache } = require('./addressCache');
+const { createBlockPrefetcher } = require('./prefetch');
+const transaction = require('./transaction');
+const webhookQueue = require('./webhookQueue');
+const { CarverAddressType, CarverMovementType, CarverTxType, RewardCounterFields, getRewardedAddressLabel } = require('../lib/carver2d');
 const { CarverMovement, CarverAddress, CarverAddressMovement } = require('../model/carver2d');
 const { UTXO } = require('../model/utxo');
+const { OpReturn } = require('../model/opReturn');
 
 // Models.
 const Block = require('../model/block');
 const { BlockRewardDetails } = require('../model/blockRewardDetails');
+const SyncStatus = require('../model/syncStatus');
+const { WebhookDelivery } = require('../model/webhook');
 
 /**
  * console.log but with date prepended to it
@@ -29,6 +36,14 @@ console.dateLog = (...log) => {
   console.log(`${currentDate}\t`, ...log);
 }
 
+/**
+ * Store block sync progress so the api can report it (/api/status/sync)
+ * @param {Object} syncStatus Fields of SyncStatus to update
+ */
+async function updateSyncStatus(syncStatus) {
+  await SyncStatus.updateOne({ _id: 'block' }, { $set: { ...syncStatus, updatedAt: new Date() } }, { upsert: true });
+}
+
 /**
  * Process the blocks and transactions.
  * @param {Number} start The current starting block height.
@@ -40,8 +55,8 @@ async function syncBlocks(start, stop, sequence) {
 
   // Addresses like COINBASE, FEE, MN, POS, ZEROCOIN will be stored in common address cache (this cache is not cleared during sync as these are common addresses)
   const commonAddressCache = new Map();
-  // Instead of fetching addresses each time from db we'll store a certain number in cache (this is in config)
-  const normalAddressCache = new Map();
+  // Instead of fetching addresses each time from db we'll keep the most recently used ones in cache (size is in config)
+  const normalAddressCache = createAddressCache(config.blockSyncAddressCacheLimit, config.blockSyncAddressCacheMemoryLimit);
 
   /**
    * Fetches address from one of the caches above (we could potentially have more cache types in the future)
@@ -52,201 +67,316 @@ async function syncBlocks(start, stop, sequence) {
       return commonAddressFromCache;
     }
 
-    const normalAddressFromCache = normalAddressCache.get(label);
+    const normalAddressFromCache = normalAddressCache.peek(label);
     if (normalAddressFromCache) {
       return normalAddressFromCache;
     }
     return null;
   }
 
+  // RPC data for the next few blocks is requested while the current block is being processed (Carver2D processing itself stays strictly in order)
+  let prefetcher = createBlockPrefetcher(start, stop, config.blockSyncPrefetchDepth, config.blockSyncPrefetchConcurrency);
+
+  // For throughput reporting
+  const syncStartTime = Date.now();
+  let syncedBlocksCount = 0;
+  let syncedTxsCount = 0;
+  let lastSyncStatusTime = 0;
+
+  await updateSyncStatus({
+    isSyncing: true,
+    syncStartedAt: new Date(syncStartTime),
+    syncStartHeight: start,
+    syncHeight: start,
+    syncTargetHeight: stop,
+    blocksPerSecond: 0,
+    txsPerSecond: 0
+  });
+  // Outputs spent in the blocks synced from here on are tracked (undone blocks are synced again so keep the lowest height)
+  await SyncStatus.updateOne({ _id: 'block' }, { $min: { spentUtxosHeight: start + 1 } });
+
   for (let height = start + 1; height <= stop; height++) {
-    const hash = await rpc.call('getblockhash', [height]);
-    const rpcblock = await rpc.call('getblock', [hash]);
-    const blockDate = new Date(rpcblock.time * 1000);
-    block = new Block({
-      _id: new mongoose.Types.ObjectId(),
-      hash,
-      height,
-      bits: rpcblock.bits,
-      confirmations: rpcblock.confirmations,
-      createdAt: blockDate,
-      diff: rpcblock.difficulty,
-      merkle: rpcblock.merkleroot,
-      nonce: rpcblock.nonce,
-      prev: (rpcblock.height == 1) ? 'GENESIS' : rpcblock.previousblockhash ? rpcblock.previousblockhash : 'UNKNOWN',
-      size: rpcblock.size,
-      txs: [],
-      ver: rpcblock.version,
-      isConfirmed: rpcblock.confirmations > config.blockConfirmations // We can instantly confirm a block if it reached the required number of confirmations (that way we don't have to reconfirm it later)
-    });
+    const { hash, rpcblock, rpctxs } = await prefetcher.get(height);
 
-    // Flush cache every X addresses (set in config)
-    if (normalAddressCache.size > config.blockSyncAddressCacheLimit) {
-      normalAddressCache.clear();
-    }
+    // With transactions enabled all of the block's writes are committed at once. A crash will never leave a partially written block behind.
+    const session = config.blockSyncUseTransactions ? await transaction.startTransaction() : null;
+    const sessionOptions = transaction.getSessionOptions(session);
+    try {
+      const blockDate = new Date(rpcblock.time * 1000);
+      block = new Block({
+        _id: new mongoose.Types.ObjectId(),
+        hash,
+        height,
+        bits: rpcblock.bits,
+        confirmations: rpcblock.confirmations,
+        createdAt: blockDate,
+        diff: rpcblock.difficulty,
+        merkle: rpcblock.merkleroot,
+        nonce: rpcblock.nonce,
+        prev: (rpcblock.height == 1) ? 'GENESIS' : rpcblock.previousblockhash ? rpcblock.previousblockhash : 'UNKNOWN',
+        size: rpcblock.size,
+        txs: [],
+        ver: rpcblock.version,
+        isConfirmed: rpcblock.confirmations > config.blockConfirmations // We can instantly confirm a block if it reached the required number of confirmations (that way we don't have to reconfirm it later)
+      });
 
+      // Evict least recently used addresses once the cache is over the limit (set in config)
+      normalAddressCache.prune();
 
-    const sequenceStart = sequence;
 
-    // Count how many inputs/outputs are in each block
-    let vinsCount = 0;
-    let voutsCount = 0;
+      const sequenceStart = sequence;
 
+      // Count how many inputs/outputs are in each block
+      let vinsCount = 0;
+      let voutsCount = 0;
 
-    for (let txIndex = 0; txIndex < rpcblock.tx.length; txIndex++) {
-      const txhash = rpcblock.tx[txIndex];
-      const rpctx = await util.getTX(txhash, false);
+      // Fee totals of the block (only txs with a known size count towards the fee rate)
+      let blockFee = 0;
+      let blockFeeSize = 0;
+      let blockCoinDaysDestroyed = 0;
 
+      // Activity of addresses with webhooks (queued with the block)
+      const webhookAddresses = await webhookQueue.getWebhookAddresses();
+      let webhookActivities = [];
 
-      let updatedAddresses = new Map(); // @todo this could be a Set<CarverAddress> instead of Map<addressLabel,CarverAddress>
+      for (let txIndex = 0; txIndex < rpcblock.tx.length; txIndex++) {
+        const rpctx = rpctxs[txIndex];
 
 
-      config.verboseCronTx && console.log(`txId: ${rpctx.txid}`);
+        let updatedAddresses = new Map(); // @todo this could be a Set<CarverAddress> instead of Map<addressLabel,CarverAddress>
 
-      vinsCount += rpctx.vin.length;
-      voutsCount += rpctx.vout.length;
 
-      // Start Carver2D Data Analysis. Empty POS txs do not need to be processed
-      if (!util.isEmptyNonstandardTx(rpctx)) {
-        // Get UTXOS for all inputs that have txid+vout
-        const vinUtxos = await carver2d.getVinUtxos(rpctx);
+        config.verboseCronTx && console.log(`txId: ${rpctx.txid}`);
 
-        const params = {
-          rpcblock,
-          rpctx,
+        vinsCount += rpctx.vin.length;
+        voutsCount += rpctx.vout.length;
 
-          commonAddressCache,
-          normalAddressCache,
-          vinUtxos
-        };
+        // Start Carver2D Data Analysis. Empty POS txs do not need to be processed
+        if (!util.isEmptyNonstandardTx(rpctx)) {
+          // Get UTXOS for all inputs that have txid+vout
+          const vinUtxos = await carver2d.getVinUtxos(rpctx, session);
 
-        // Convert tx into new pending CarverMovement object
-        const parsedMovement = await carver2d.getRequiredMovement(params);
-        const isReward = parsedMovement.txType === CarverTxType.ProofOfWork || parsedMovement.txType === CarverTxType.ProofOfStake;
+          const params = {
+            rpcblock,
+            rpctx,
 
-        // Go through all used addresses in this tx and make sure they're loaded in cache (we will access the cache outside and we want all addresses to be there)
-        await carver2d.fillAddressCache(params, parsedMovement.consolidatedAddressMovements);
+            commonAddressCache,
+            normalAddressCache,
+            vinUtxos,
+            session
+          };
 
-        let newCarverAddressMovements = [];
-        let carverAddressesToInsert = [];
-        let carverAddressesToUpdate = [];
-        let addressesIn = 0;
-        let addressesOut = 0;
+          // Convert tx into new pending CarverMovement object
+          const parsedMovement = await carver2d.getRequiredMovement(params);
+          const isReward = parsedMovement.txType === CarverTxType.ProofOfWork || parsedMovement.txType === CarverTxType.ProofOfStake;
 
-        const newCarverMovementId = new mongoose.Types.ObjectId();
+          // Go through all used addresses in this tx and make sure they're loaded in cache (we will access the cache outside and we want all addresses to be there)
+          await carver2d.fillAddressCache(params, parsedMovement.consolidatedAddressMovements);
 
-        parsedMovement.consolidatedAddressMovements.forEach(movementData => {
-          sequence++;
+          let newCarverAddressMovements = [];
+          let carverAddressesToInsert = [];
+          let carverAddressesToUpdate = [];
+          let addressesIn = 0;
+          let addressesOut = 0;
 
-          const addressFromCache = getCarverAddressFromCache(movementData.label);
-          if (!addressFromCache) {
-            throw `Could not find address: ${movementData.label}`
-          }
+          const newCarverMovementId = new mongoose.Types.ObjectId();
 
-          // We don't want to count movements to address of the rewards. That way the received/sent balance on address is only for non-reward transactions
-          const shouldCountTowardsMovement = !isReward || isReward && addressFromCache.carverAddressType !== CarverAddressType.Address;
+          parsedMovement.consolidatedAddressMovements.forEach(movementData => {
+            sequence++;
 
-          if (movementData.amountOut > 0) {
-            if (shouldCountTowardsMovement) {
-              addressFromCache.countOut++;
-              addressFromCache.valueOut += movementData.amountOut;
+            const addressFromCache = getCarverAddressFromCache(movementData.label);
+            if (!addressFromCache) {
+              throw `Could not find address: ${movementData.label}`
             }
-            addressFromCache.balance -= movementData.amountOut;
-            addressesIn++;
-          }
 
-          if (movementData.amountIn > 0) {
-            if (shouldCountTowardsMovement) {
-              addressFromCache.countIn++;
-              addressFromCache.valueIn += movementData.amountIn;
+            // We don't want to count movements to address of the rewards. That way the received/sent balance on address is only for non-reward transactions
+            const shouldCountTowardsMovement = !isReward || isReward && addressFromCache.carverAddressType !== CarverAddressType.Address;
+
+            if (movementData.amountOut > 0) {
+              if (shouldCountTowardsMovement) {
+                addressFromCache.countOut++;
+                addressFromCache.valueOut += movementData.amountOut;
+              }
+              addressFromCache.balance -= movementData.amountOut;
+              addressesIn++;
             }
-            addressFromCache.balance += movementData.amountIn;
-            addressesOut++;
-          }
 
-          addressFromCache.sequence = sequence;
-          const lastMovement = addressFromCache.lastMovement;
-          //addressFromCache.lastMovement = newCarverMovementId;
+            if (movementData.amountIn > 0) {
+              if (shouldCountTowardsMovement) {
+                addressFromCache.countIn++;
+                addressFromCache.valueIn += movementData.amountIn;
+              }
+              addressFromCache.balance += movementData.amountIn;
+              addressesOut++;
+            }
 
-          // Do we need to insert or update this address? (if _id is null then add to batch insert otherwise batch updates)
-          if (!addressFromCache._id) {
-            addressFromCache._id = new mongoose.Types.ObjectId();
-            addressFromCache.isNew = false; // Mark this mongoose document as not new (we're batch insert it outselves and next time we're calling .save() on it we want it to update instead of trying to insert)
-            carverAddressesToInsert.push(addressFromCache);
-          } else {
-            carverAddressesToUpdate.push(addressFromCache);
+            // Rewards are also counted on the address that received them (ex: "bAddress1:POS" pays "bAddress1" which is always part of the same tx)
+            const rewardCounterFields = RewardCounterFields[addressFromCache.carverAddressType];
+            if (rewardCounterFields && movementData.amountOut > 0) {
+              const rewardedAddress = getCarverAddressFromCache(getRewardedAddressLabel(movementData.label));
+              if (rewardedAddress) {
+                rewardedAddress[rewardCounterFields.count]++;
+                rewardedAddress[rewardCounterFields.value] += movementData.amountOut;
+              }
+            }
+
+            addressFromCache.sequence = sequence;
+            const lastMovement = addressFromCache.lastMovement;
+            //addressFromCache.lastMovement = newCarverMovementId;
+
+            // Do we need to insert or update this address? (if _id is null then add to batch insert otherwise batch updates)
+            if (!addressFromCache._id) {
+              addressFromCache._id = new mongoose.Types.ObjectId();
+              addressFromCache.isNew = false; // Mark this mongoose document as not new (we're batch insert it outselves and next time we're calling .save() on it we want it to update instead of trying to insert)
+              carverAddressesToInsert.push(addressFromCache);
+            } else {
+              carverAddressesToUpdate.push(addressFromCache);
+            }
+
+            let newCarverAddressMovement = new CarverAddressMovement({
+              _id: new mongoose.Types.ObjectId(),
+              date: parsedMovement.date,
+              blockHeight: parsedMovement.blockHeight,
+
+              carverAddress: addressFromCache._id,
+              carverMovement: newCarverMovementId,
+              amountIn: movementData.amountIn,
+              amountOut: movementData.amountOut,
+              balance: addressFromCache.balance - movementData.amount,
+              sequence,
+              previousAddressMovement: lastMovement,
+              isReward
+            });
+            addressFromCache.lastMovement = newCarverAddressMovement._id;
+            addressFromCache.lastMovementDate = newCarverAddressMovement.date;
+            addressFromCache.lastMovementBlockHeight = newCarverAddressMovement.blockHeight;
+            newCarverAddressMovements.push(newCarverAddressMovement);
+
+            const webhookActivity = webhookAddresses.size ? webhookQueue.getWebhookActivity(addressFromCache, movementData, isReward) : null;
+            if (webhookActivity && webhookAddresses.has(webhookActivity.label)) {
+              webhookActivities.push({ ...webhookActivity, txId: parsedMovement.txId, addressMovement: newCarverAddressMovement });
+            }
+
+            updatedAddresses.set(addressFromCache.label, addressFromCache);
+          });
+
+          await UTXO.insertMany(parsedMovement.newUtxos, sessionOptions);
+
+          // Mark the outputs this tx spent (so we can list the unspent outputs of an address)
+          if (vinUtxos.length > 0) {
+            await UTXO.updateMany({ label: { $in: vinUtxos.map(vinUtxo => vinUtxo.label) } }, { $set: { spentHeight: rpcblock.height, spentTxId: rpctx.txid } }, sessionOptions);
           }
 
-          let newCarverAddressMovement = new CarverAddressMovement({
-            _id: new mongoose.Types.ObjectId(),
-            date: parsedMovement.date,
-            blockHeight: parsedMovement.blockHeight,
 
-            carverAddress: addressFromCache._id,
-            carverMovement: newCarverMovementId,
-            amountIn: movementData.amountIn,
-            amountOut: movementData.amountOut,
-            balance: addressFromCache.balance - movementData.amount,
+          const newCarverMovement = new CarverMovement({
+            _id: newCarverMovementId,
+            txId: parsedMovement.txId,
+            txType: parsedMovement.txType,
+            amountIn: parsedMovement.amountIn,
+            amountOut: parsedMovement.amountOut,
+            blockHeight: parsedMovement.blockHeight,
+            date: parsedMovement.date,
             sequence,
-            previousAddressMovement: lastMovement,
-            isReward
+            addressesIn,
+            addressesOut,
+            isReward,
+            fee: parsedMovement.fee,
+            size: parsedMovement.size,
+            feeRate: parsedMovement.feeRate,
+            coinDaysDestroyed: parsedMovement.coinDaysDestroyed
           });
-          addressFromCache.lastMovement = newCarverAddressMovement._id;
-          addressFromCache.lastMovementDate = newCarverAddressMovement.date;
-          addressFromCache.lastMovementBlockHeight = newCarverAddressMovement.blockHeight;
-          newCarverAddressMovements.push(newCarverAddressMovement);
-
-          updatedAddresses.set(addressFromCache.label, addressFromCache);
-        });
-
-        await UTXO.insertMany(parsedMovement.newUtxos);
-
-
-        const newCarverMovement = new CarverMovement({
-          _id: newCarverMovementId,
-          txId: parsedMovement.txId,
-          txType: parsedMovement.txType,
-          amountIn: parsedMovement.amountIn,
-          amountOut: parsedMovement.amountOut,
-          blockHeight: parsedMovement.blockHeight,
-          date: parsedMovement.date,
-          sequence,
-          addressesIn,
-          addressesOut,
-          isReward
-        });
-
-        if (isReward) {
-          const newBlockRewardDetails = await carver2d.getBlockRewardDetails(rpcblock, rpctx, parsedMovement, newCarverMovement, updatedAddresses);
-          await newBlockRewardDetails.save();
-          newCarverMovement.blockRewardDetails = newBlockRewardDetails._id;
+
+          blockFee += parsedMovement.fee;
+          blockCoinDaysDestroyed += parsedMovement.coinDaysDestroyed;
+          if (parsedMovement.fee > 0 && parsedMovement.size) {
+            blockFeeSize += parsedMovement.size;
+          }
+
+          if (isReward) {
+            const newBlockRewardDetails = await carver2d.getBlockRewardDetails(rpcblock, rpctx, parsedMovement, newCarverMovement, updatedAddresses, session);
+            await newBlockRewardDetails.save(sessionOptions);
+            newCarverMovement.blockRewardDetails = newBlockRewardDetails._id;
+
+            // Staking totals of the address that staked (saved with the rest of the addresses below)
+            if (newBlockRewardDetails.stake) {
+              const stakeAddress = updatedAddresses.get(newBlockRewardDetails.stake.addressLabel);
+              stakeAddress.posBestRoi = Math.max(stakeAddress.posBestRoi, newBlockRewardDetails.stake.roi);
+              stakeAddress.posLongestRestakeStreak = Math.max(stakeAddress.posLongestRestakeStreak, newBlockRewardDetails.stake.input.restakeCount);
+            }
+          }
+          await newCarverMovement.save(sessionOptions);
+
+          // Store OP_RETURN payloads of this tx
+          if (parsedMovement.opReturns.length > 0) {
+            await OpReturn.insertMany(parsedMovement.opReturns.map(opReturn => ({
+              ...opReturn,
+              txId: parsedMovement.txId,
+              blockHeight: parsedMovement.blockHeight,
+              date: parsedMovement.date
+            })), sessionOptions);
+          }
+
+          // Insert ledger movements for address
+          await CarverAddressMovement.insertMany(newCarverAddressMovements, sessionOptions);
+
+          // Insert any new addresses that were used in this tx
+          await CarverAddress.insertMany(carverAddressesToInsert, sessionOptions);
+
+          if (session) {
+            // Operations inside of a transaction can't run in parallel
+            await forEachSeries(carverAddressesToUpdate, async (updatedAddress) => {
+              await updatedAddress.save(sessionOptions);
+            });
+          } else {
+            // Update all addresses in parallel
+            await Promise.all(carverAddressesToUpdate.map(
+              async (updatedAddress) => {
+                await updatedAddress.save();
+              }));
+          }
         }
-        await newCarverMovement.save();
+      }
+
+      block.vinsCount = vinsCount;
+      block.voutsCount = voutsCount;
+      block.fee = parseFloat(blockFee.toFixed(8));
+      block.feeRate = blockFeeSize > 0 ? blockFee / blockFeeSize * 1000 : 0;
+      block.coinDaysDestroyed = blockCoinDaysDestroyed;
+      block.sequenceStart = sequenceStart;
+      block.sequenceEnd = sequence;
 
-        // Insert ledger movements for address
-        await CarverAddressMovement.insertMany(newCarverAddressMovements);
+      await webhookQueue.queueBlockDeliveries(block, webhookActivities, webhookAddresses, sessionOptions);
 
-        // Insert any new addresses that were used in this tx
-        await CarverAddress.insertMany(carverAddressesToInsert);
+      // Notice how this is done at the end. If we crash half way through syncing a block, we'll re-try till the block was correctly saved.
+      // (With transactions the block and all of it's movements are committed together so there is nothing to re-try)
+      await block.save(sessionOptions);
 
-        // Update all addresses in parallel
-        await Promise.all(carverAddressesToUpdate.map(
-          async (updatedAddress) => {
-            await updatedAddress.save();
-          }));
+      if (session) {
+        await transaction.commitTransaction(session);
+      }
+    } catch (err) {
+      if (session) {
+        await transaction.abortTransaction(session);
       }
+      throw err;
     }
 
-    block.vinsCount = vinsCount;
-    block.voutsCount = voutsCount;
-    block.sequenceStart = sequenceStart;
-    block.sequenceEnd = sequence;
+    syncedBlocksCount++;
+    syncedTxsCount += rpcblock.tx.length;
+    const syncSeconds = Math.max((Date.now() - syncStartTime) / 1000, 0.001);
+    const blocksPerSecond = (syncedBlocksCount / syncSeconds).toFixed(2);
+    const txsPerSecond = (syncedTxsCount / syncSeconds).toFixed(2);
 
-    // Notice how this is done at the end. If we crash half way through syncing a block, we'll re-try till the block was correctly saved.
-    await block.save();
+    // Don't write sync status on every block (just every few seconds and on the last block)
+    if (Date.now() - lastSyncStatusTime > 5000 || height === stop) {
+      lastSyncStatusTime = Date.now();
+      await updateSyncStatus({ syncHeight: height, blocksPerSecond: parseFloat(blocksPerSecond), txsPerSecond: parseFloat(txsPerSecond) });
+    }
 
     const syncPercent = ((block.height / stop) * 100).toFixed(2);
-    console.dateLog(`(${syncPercent}%) Height: ${block.height}/${stop} Hash: ${block.hash} Txs: ${rpcblock.tx.length} Vins: ${vinsCount} Vouts: ${voutsCount} Caches: ${normalAddressCache.size} (addresses)/${commonAddressCache.size} (common)`);
+    const addressCacheStats = normalAddressCache.getStats();
+    const addressCacheHitRate = (addressCacheStats.hitRate * 100).toFixed(2);
+    console.dateLog(`(${syncPercent}%) Height: ${block.height}/${stop} Hash: ${block.hash} Txs: ${rpcblock.tx.length} Vins: ${vinsCount} Vouts: ${voutsCount} Caches: ${addressCacheStats.size} (addresses, ${addressCacheHitRate}% hits, ${addressCacheStats.evictions} evicted)/${commonAddressCache.size} (common) Speed: ${blocksPerSecond} blocks/s ${txsPerSecond} txs/s`);
 
 
 
@@ -260,6 +390,7 @@ async function syncBlocks(start, stop, sequence) {
       // Clear caches because the addresses could now be invalid
       commonAddressCache.clear();
       normalAddressCache.clear(); // Clear cache because the addresses could now be invalid
+      prefetcher = createBlockPrefetcher(height, stop, config.blockSyncPrefetchDepth, config.blockSyncPrefetchConcurrency); // Blocks that were prefetched before the drop are no longer in order
 
       // Restore sequence to proper number
       const block = await Block.findOne().sort({ height: -1 });
@@ -280,15 +411,20 @@ async function undoCarverBlockMovements(height) {
   console.dateLog(`Undoing block > ${height}`);
   await Block.remove({ height: { $gte: height } }); // Start with removing all the blocks (that way we'll get stuck in dirty state in case this crashses requiring to undo carver movements again)
   await UTXO.remove({ blockHeight: { $gte: height } });
+  await UTXO.updateMany({ spentHeight: { $gte: height } }, { $unset: { spentHeight: 1, spentTxId: 1 } }); // Outputs spent in the undone blocks are unspent again
+  await OpReturn.remove({ blockHeight: { $gte: height } });
   await BlockRewardDetails.remove({ blockHeight: { $gte: height } });
+  await webhookQueue.revertDeliveries(height);
 
   let sequence = 0;
+  let stakeAddressLabels = new Set(); // Staking totals of these addresses are recalculated once all movements are undone
 
   // Iterate over movements 1000 at a time backwards through most recent movements that were created
   // These could be partial (if we failed saving some during last sync in case of hard reset)
   while (true) {
 
     let updatedAddresses = new Map();
+    let rewardCounterUpdates = new Map(); // Map<addressLabel,{ [counterField]: amount }> Reward counters to roll back on addresses that received the undone rewards
 
     const parsedMovements = await CarverAddressMovement
       .find({ blockHeight: { $gte: height } })
@@ -329,6 +465,19 @@ async function undoCarverBlockMovements(height) {
           }
           carverAddress.balance += parsedMovement.amountOut;
         }
+        const rewardCounterFields = RewardCounterFields[carverAddress.carverAddressType];
+        if (rewardCounterFields && parsedMovement.amountOut > 0) {
+          const rewardedAddressLabel = getRewardedAddressLabel(carverAddress.label);
+          const rewardCounterUpdate = rewardCounterUpdates.get(rewardedAddressLabel) || {};
+          rewardCounterUpdate[rewardCounterFields.count] = (rewardCounterUpdate[rewardCounterFields.count] || 0) - 1;
+          rewardCounterUpdate[rewardCounterFields.value] = (rewardCounterUpdate[rewardCounterFields.value] || 0) - parsedMovement.amountOut;
+          rewardCounterUpdates.set(rewardedAddressLabel, rewardCounterUpdate);
+
+          if (carverAddress.carverAddressType === CarverAddressType.ProofOfStake) {
+            stakeAddressLabels.add(rewardedAddressLabel);
+          }
+        }
+
         if (parsedMovement.previousAddressMovement) {
           carverAddress.lastMovement = parsedMovement.previousAddressMovement._id;
           carverAddress.lastMovementDate = parsedMovement.previousAddressMovement.date;
@@ -346,14 +495,28 @@ async function undoCarverBlockMovements(height) {
 
     });
 
+    // Roll back reward counters. Addresses that are saved below are updated in place, the rest are incremented in db directly.
+    const rewardCounterIncrements = [];
+    rewardCounterUpdates.forEach((rewardCounterUpdate, rewardedAddressLabel) => {
+      const rewardedAddress = updatedAddresses.get(rewardedAddressLabel);
+      if (rewardedAddress) {
+        Object.keys(rewardCounterUpdate).forEach(field => rewardedAddress[field] += rewardCounterUpdate[field]);
+      } else {
+        rewardCounterIncrements.push(CarverAddress.updateOne({ label: rewardedAddressLabel }, { $inc: rewardCounterUpdate }));
+      }
+    });
+
     /**
      * First we will ensure we save all addresses with the updated sequence.
      * If we fail anywhere here it's ok because we can resume without any errors.
      */
-    await Promise.all([...updatedAddresses.values()].map(
-      async (updatedAddress) => {
-        await updatedAddress.save();
-      }));
+    await Promise.all([
+      ...[...updatedAddresses.values()].map(
+        async (updatedAddress) => {
+          await updatedAddress.save();
+        }),
+      ...rewardCounterIncrements
+    ]);
 
 
     if (sequence > 0) {
@@ -364,6 +527,10 @@ async function undoCarverBlockMovements(height) {
   await CarverMovement.deleteMany({ blockHeight: { $gte: height } });
   // Finally after unwinding we can remove all addresses that were created in/after this block
   await CarverAddress.remove({ blockHeight: { $gte: height } });
+
+  if (stakeAddressLabels.size > 0) {
+    await carver2d.recalculateStakeTotals([...stakeAddressLabels]);
+  }
 }
 /**
  * Recursive Sequential Blockchain Unreconciliation (Undo carver movements on last block if merkle roots don't match and re-run confirmations again otherwise confirm block)
@@ -404,6 +571,7 @@ async function confirmBlocks(rpcHeight) {
       if (block.merkle != rpcBlockToConfirm.merkleroot) {
         console.log('Undoing last block...');
 
+        await updateSyncStatus({ lastReorg: { date: new Date(), height, undoHeight: lastBlock.height } });
         await undoCarverBlockMovements(lastBlock.height);
 
         await confirmBlocks(rpcHeight); // Re-run block conifrms again to see if we need to undo another block
@@ -416,6 +584,66 @@ async function confirmBlocks(rpcHeight) {
   }
 }
 
+/**
+ * Confirm the previous blocks, clean up any partially synced block and then sync all new blocks up to the tip of the chain.
+ * Used by both the block cron (update() below) and the long-running block sync daemon (cron/blockDaemon.js). The caller must be holding the 'block' lock.
+ * @param {Number} forcedRpcHeight If set, we will assume that this is the current tip. All blocks after this will be dirty and will be removed
+ */
+async function syncToTip(forcedRpcHeight = NaN) {
+  const info = await rpc.call('getinfo');
+
+  // Before syncing we'll confirm merkle root of X blocks back
+  await confirmBlocks(info.blocks);
+
+  const block = await Block.findOne().sort({ height: -1 });
+
+  // Find any address/movement with sequence afer this block (so we can properly undo corrupt data)
+  // With config.blockSyncUseTransactions blocks are written atomically so this should only happen if the previous sync ran without transactions
+  if (block) {
+    const lastCarverMovement = await CarverMovement.findOne().sort({ sequence: -1 });
+    const lastCarverAddress = await CarverAddress.findOne().sort({ sequence: -1 });
+    const lastUtxo = await UTXO.findOne().sort({ blockHeight: -1 });
+
+    if (lastCarverMovement && lastCarverMovement.sequence > block.sequenceEnd ||
+      lastCarverAddress && lastCarverAddress.sequence > block.sequenceEnd ||
+      lastUtxo && lastUtxo.blockHeight > block.height
+    ) {
+      console.dateLog("[CLEANUP] Partial block entry found, removing corrupt sync data");
+      await undoCarverBlockMovements(block.height + 1);
+    }
+  } else {
+    console.dateLog("[CLEANUP] No blocks found, erasing all carver movements");
+    await undoCarverBlockMovements(1);
+  }
+
+
+  let sequence = block ? block.sequenceEnd : 0;
+
+  let clean = true;
+  let dbHeight = block && block.height ? block.height : 0;
+  let rpcHeight = info.blocks;
+
+  if (!isNaN(forcedRpcHeight)) {
+    clean = true;
+    rpcHeight = parseInt(forcedRpcHeight, 10);
+  }
+
+  console.dateLog(`DB Height: ${dbHeight}, RPC Height: ${rpcHeight}, Clean Start: (${clean ? "YES" : "NO"})`);
+
+  // If last db block matches rpc block (or forced rpc block number) then no syncing is required
+  if (dbHeight >= rpcHeight) {
+    console.dateLog(`No Sync Required!`);
+    return;
+  }
+  config.verboseCron && console.dateLog(`Sync Started!`);
+  try {
+    await syncBlocks(dbHeight, rpcHeight, sequence);
+  } finally {
+    await updateSyncStatus({ isSyncing: false });
+  }
+  config.verboseCron && console.dateLog(`Sync Finished!`);
+}
+
 /**
  * Handle locking.
  */
@@ -445,55 +673,14 @@ async function update() {
     // Notice how we moved the cron lock on top so we lock before block height is fetched otherwise collisions could occur
     locker.lock(type);
     hasAcquiredLocked = true;
-    const info = await rpc.call('getinfo');
 
-    // Before syncing we'll confirm merkle root of X blocks back
-    await confirmBlocks(info.blocks);
-
-    const block = await Block.findOne().sort({ height: -1 });
-
-    // Find any address/movement with sequence afer this block (so we can properly undo corrupt data)
-    if (block) {
-      const lastCarverMovement = await CarverMovement.findOne().sort({ sequence: -1 });
-      const lastCarverAddress = await CarverAddress.findOne().sort({ sequence: -1 });
-      const lastUtxo = await UTXO.findOne().sort({ blockHeight: -1 });
-
-      if (lastCarverMovement && lastCarverMovement.sequence > block.sequenceEnd ||
-        lastCarverAddress && lastCarverAddress.sequence > block.sequenceEnd ||
-        lastUtxo && lastUtxo.blockHeight > block.height
-      ) {
-        console.dateLog("[CLEANUP] Partial block entry found, removing corrupt sync data");
-        await undoCarverBlockMovements(block.height + 1);
-      }
-    } else {
-      console.dateLog("[CLEANUP] No blocks found, erasing all carver movements");
-      await undoCarverBlockMovements(1);
+    if (config.blockSyncUseTransactions) {
+      await transaction.prepareTransactions([Block, BlockRewardDetails, UTXO, OpReturn, CarverMovement, CarverAddressMovement, CarverAddress, WebhookDelivery]);
     }
 
-
-    let sequence = block ? block.sequenceEnd : 0;
-
-    let clean = true;
-    let dbHeight = block && block.height ? block.height : 0;
-    let rpcHeight = info.blocks;
-
     // If you pass in a parameter into the sync script then we will assume that this is the current tip
     // All blocks after this will be dirty and will be removed
-    if (!isNaN(process.argv[3])) {
-      clean = true;
-      rpcHeight = parseInt(process.argv[3], 10);
-    }
-
-    console.dateLog(`DB Height: ${dbHeight}, RPC Height: ${rpcHeight}, Clean Start: (${clean ? "YES" : "NO"})`);
-
-    // If last db block matches rpc block (or forced rpc block number) then no syncing is required
-    if (dbHeight >= rpcHeight) {
-      console.dateLog(`No Sync Required!`);
-      return;
-    }
-    config.verboseCron && console.dateLog(`Sync Started!`);
-    await syncBlocks(dbHeight, rpcHeight, sequence);
-    config.verboseCron && console.dateLog(`Sync Finished!`);
+    await syncToTip(process.argv[3]);
   } catch (err) {
     console.log(err);
     console.dateLog(`*** Cron Exception!`);
@@ -509,4 +696,14 @@ async function update() {
   }
 }
 
-update();
+// The block sync daemon requires this file to reuse the sync logic. Only run the cron when this file is executed directly.
+if (require.main === module) {
+  update();
+}
+
+module.exports = {
+  syncBlocks,
+  confirmBlocks,
+  undoCarverBlockMovements,
+  syncToTip
+};
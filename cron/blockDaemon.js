@@ -0,0 +1,175 @@
+
+require('babel-polyfill');
+const fs = require('fs');
+const http = require('http');
+const config = require('../config');
+const { exit } = require('../lib/cron');
+const locker = require('../lib/locker');
+const transaction = require('./transaction');
+const { syncToTip } = require('./block');
+const { CarverMovement, CarverAddress, CarverAddressMovement } = require('../model/carver2d');
+const { UTXO } = require('../model/utxo');
+const { OpReturn } = require('../model/opReturn');
+const { WebhookDelivery } = require('../model/webhook');
+
+// Models.
+const Block = require('../model/block');
+const { BlockRewardDetails } = require('../model/blockRewardDetails');
+
+/**
+ * Long-running block sync daemon. Instead of starting a new cron process every minute this stays connected to the database & RPC
+ * and syncs as soon as the coin daemon notifies us of a new block (-blocknotify or ZMQ "hashblock"). If no notifications arrive, we will still poll every config.blockSyncDaemon.pollInterval seconds.
+ *
+ * The 'block' lock (same as cron/block.js) is only held while syncing so the audit & migrations can run in between syncs. The daemon itself holds the 'blockDaemon' lock
+ * so only one daemon can run at once. Remove the cron_block.sh crontab entry when running the daemon.
+ */
+async function start() {
+  const type = 'blockDaemon';
+  const blockType = 'block';
+  const daemonConfig = config.blockSyncDaemon;
+
+  let isSyncing = false;
+  let isSyncRequested = false;
+  let isShuttingDown = false;
+  let notifyServer = null;
+  let pollTimer = null;
+
+  /**
+   * Sync until there are no more pending sync requests. Notifications that arrive while we're syncing are merged into a single extra sync.
+   */
+  const runSync = async () => {
+    isSyncing = true;
+
+    while (isSyncRequested && !isShuttingDown) {
+      isSyncRequested = false;
+
+      try {
+        locker.lock(blockType);
+      } catch (err) {
+        console.dateLog(`Block lock is held by another process (block cron, audit or migration). Will retry on next notification or poll`);
+        break;
+      }
+
+      try {
+        await syncToTip();
+      } catch (err) {
+        console.log(err);
+        console.dateLog(`*** Block Sync Daemon Exception! (Will retry on next notification or poll)`);
+      } finally {
+        try {
+          locker.unlock(blockType);
+        } catch (err) {
+          console.log(err);
+        }
+      }
+    }
+
+    isSyncing = false;
+  }
+
+  /**
+   * Request a sync. If we're already syncing another sync will run right after the current one finishes.
+   * @param {String} reason What triggered the sync (for logging)
+   */
+  const requestSync = (reason) => {
+    config.verboseCron && console.dateLog(`Sync requested (${reason})`);
+
+    isSyncRequested = true;
+    if (!isSyncing) {
+      runSync();
+    }
+  }
+
+  /**
+   * Stop accepting notifications, wait for the current block sync to finish and release the daemon lock.
+   * @param {Number} code The exit code.
+   */
+  const shutdown = async (code = 0) => {
+    if (isShuttingDown) {
+      return;
+    }
+    isShuttingDown = true;
+    console.dateLog(`Block Sync Daemon stopping...`);
+
+    clearInterval(pollTimer);
+    if (notifyServer) {
+      notifyServer.close();
+    }
+
+    while (isSyncing) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    locker.unlock(type);
+    exit(code);
+  }
+
+  try {
+    locker.lock(type);
+  } catch (err) {
+    console.log(err.message);
+    exit(1);
+    return;
+  }
+
+  try {
+    if (config.blockSyncUseTransactions) {
+      await transaction.prepareTransactions([Block, BlockRewardDetails, UTXO, OpReturn, CarverMovement, CarverAddressMovement, CarverAddress, WebhookDelivery]);
+    }
+
+    // -blocknotify hook (see script/blocknotify.sh). Any request to /blocknotify triggers a sync.
+    notifyServer = http.createServer((req, res) => {
+      if (!req.url.startsWith('/blocknotify')) {
+        res.statusCode = 404;
+        res.end();
+        return;
+      }
+
+      requestSync(`blocknotify ${req.url.replace(/^\/blocknotify\/?/, '')}`.trim());
+      res.statusCode = 202;
+      res.end();
+    });
+    notifyServer.on('error', (err) => {
+      console.log(err);
+      console.dateLog(`*** Block notification listener failed!`);
+      shutdown(1);
+    });
+
+    if (daemonConfig.notifySocket) {
+      // Remove stale socket from a previous run (we're holding the lock so nobody else is using it)
+      if (fs.existsSync(daemonConfig.notifySocket)) {
+        fs.unlinkSync(daemonConfig.notifySocket);
+      }
+      notifyServer.listen(daemonConfig.notifySocket, () => console.dateLog(`Listening for block notifications on ${daemonConfig.notifySocket}`));
+    } else {
+      notifyServer.listen(daemonConfig.notifyPort, daemonConfig.notifyHost, () => console.dateLog(`Listening for block notifications on ${daemonConfig.notifyHost}:${daemonConfig.notifyPort}`));
+    }
+
+    // ZMQ "hashblock" notifications (requires the coin daemon to run with -zmqpubhashblock=<address>)
+    if (daemonConfig.zmqHashBlock) {
+      const zmq = require('zeromq'); // Optional dependency, only required if ZMQ is used
+      const zmqSocket = zmq.socket('sub');
+      zmqSocket.connect(daemonConfig.zmqHashBlock);
+      zmqSocket.subscribe('hashblock');
+      zmqSocket.on('message', (topic, message) => requestSync(`zmq ${message.toString('hex')}`));
+      console.dateLog(`Subscribed to ZMQ hashblock on ${daemonConfig.zmqHashBlock}`);
+    }
+
+    // Polling fallback in case any notifications are missed
+    pollTimer = setInterval(() => requestSync('poll'), daemonConfig.pollInterval * 1000);
+  } catch (err) {
+    console.log(err);
+    console.dateLog(`*** Block Sync Daemon Exception!`);
+    locker.unlock(type);
+    exit(1);
+    return;
+  }
+
+  process.on('SIGINT', () => shutdown());
+  process.on('SIGTERM', () => shutdown());
+
+  console.dateLog(`Block Sync Daemon started`);
+  requestSync('startup');
+}
+
+start();
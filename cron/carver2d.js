@@ -2,11 +2,14 @@
 const config = require('../config');
 require('babel-polyfill');
 const mongoose = require('mongoose');
-const { CarverAddressType, CarverMovementType, CarverTxType } = require('../lib/carver2d');
+const { CarverAddressType, CarverMovementType, CarverTxType, getMultisigAddressLabel, getRewardedAddressLabel, RewardAddressSuffixes } = require('../lib/carver2d');
+const blockchain = require('../lib/blockchain');
 const { CarverAddress, CarverMovement, CarverAddressMovement } = require('../model/carver2d');
 const { BlockRewardDetails } = require('../model/blockRewardDetails');
+const Block = require('../model/block');
 
 const { UTXO } = require('../model/utxo');
+const { withSession } = require('./transaction');
 
 //@todo Move this file to lib/carver2d
 
@@ -25,7 +28,12 @@ const isPosTx = (tx) => {
     tx.vout[0].scriptPubKey.type === 'nonstandard';
 }
 
-const getVinUtxos = async (rpctx) => {
+/**
+ * Find the utxos used in all of the tx inputs
+ * @param {Object} rpctx The rpc tx object
+ * @param {ClientSession} session Block sync transaction session (null if transactions are not used)
+ */
+const getVinUtxos = async (rpctx, session = null) => {
   const utxoLabels = [];
 
   for (let vinIndex = 0; vinIndex < rpctx.vin.length; vinIndex++) {
@@ -48,7 +56,7 @@ const getVinUtxos = async (rpctx) => {
   }
 
 
-  const utxos = await UTXO.find({ label: { $in: utxoLabels } }, { label: 1, addressLabel: 1, amount: 1 });
+  const utxos = await withSession(UTXO.find({ label: { $in: utxoLabels } }, { label: 1, addressLabel: 1, amount: 1, blockHeight: 1, date: 1 }), session);
   if (utxos.length !== utxoLabels.length) {
     console.log(utxoLabels);
     console.log(utxos);
@@ -65,7 +73,8 @@ const getVinUtxos = async (rpctx) => {
  * usedAddresses = Map<addressLabel,CarverAddressType>
  */
 const fillAddressCache = async (params, usedAddresses) => {
-  const createCarverAddress = (carverAddressType, label, date) => {
+  const createCarverAddress = (carverAddressMovement, label, date) => {
+    const carverAddressType = carverAddressMovement.addressType;
 
     let newCarverAddress = new CarverAddress({
       _id: null, // Notice how the _id is null here. This is on purpose to identify which addresses are new (and will need to be inserted). 
@@ -85,30 +94,42 @@ const fillAddressCache = async (params, usedAddresses) => {
       sequence: 0,
     });
 
+    // Multisig addresses remember which addresses can spend them (so these addresses can show the multisig outputs on their pages)
+    if (carverAddressType === CarverAddressType.Multisig) {
+      newCarverAddress.multisigAddresses = carverAddressMovement.multisigAddresses;
+      newCarverAddress.multisigRequiredSignatures = carverAddressMovement.multisigRequiredSignatures;
+    }
+
     return newCarverAddress;
   }
 
-  const isCarverAddressCached = (addressLabel) => {
-    const commonAddressFromCache = params.commonAddressCache.get(addressLabel);
-    if (commonAddressFromCache) {
-      return commonAddressFromCache;
+  // Addresses of these types are stored in the LRU address cache, everything else is a common address (except txs which are not cached at all)
+  const isNormalCacheAddressType = (carverAddressType) => {
+    switch (carverAddressType) {
+      case CarverAddressType.Address:
+      case CarverAddressType.Multisig:
+      case CarverAddressType.ProofOfWork:
+      case CarverAddressType.ProofOfStake:
+        return true;
     }
-    const normalAddressFromCache = params.normalAddressCache.get(addressLabel);
-    if (normalAddressFromCache) {
-      return normalAddressFromCache;
+    return false;
+  }
+
+  // Only lookups of normal addresses go through the LRU cache (so the hit rate statistics are not skewed by txs & common addresses)
+  const isCarverAddressCached = (usedAddress) => {
+    if (isNormalCacheAddressType(usedAddress.addressType)) {
+      return !!params.normalAddressCache.get(usedAddress.label);
     }
-    return null;
+    return !!params.commonAddressCache.get(usedAddress.label);
   }
 
   const addAddressToCache = (carverAddress) => {
+    if (isNormalCacheAddressType(carverAddress.carverAddressType)) {
+      params.normalAddressCache.set(carverAddress.label, carverAddress);
+      return;
+    }
 
     switch (carverAddress.carverAddressType) {
-      case CarverAddressType.Address:
-      case CarverAddressType.ProofOfWork:
-      case CarverAddressType.ProofOfStake:
-        params.normalAddressCache.set(carverAddress.label, carverAddress);
-        break;
-
       // We don't need to store txs in cache (as they're only used once per sync)
       case CarverAddressType.Tx:
       case CarverAddressType.RewardTx:
@@ -122,14 +143,14 @@ const fillAddressCache = async (params, usedAddresses) => {
   // Figure out which addresses are already cached. If they are not cached we'll fetch them from db
   const addressesToFetch = new Set();
   usedAddresses.forEach(usedAddress => {
-    if (!isCarverAddressCached(usedAddress.label)) {
+    if (!isCarverAddressCached(usedAddress)) {
       addressesToFetch.add(usedAddress.label);
     }
   });
 
   // Fetch uncached addresses from db
   const allAddressesToFetch = Array.from(addressesToFetch);
-  const carverAddresses = await CarverAddress.find({ label: { $in: allAddressesToFetch } });
+  const carverAddresses = await withSession(CarverAddress.find({ label: { $in: allAddressesToFetch } }), params.session);
 
   // Find the cache with results (or make new addresses)
   const blockDate = new Date(params.rpcblock.time * 1000);
@@ -140,7 +161,7 @@ const fillAddressCache = async (params, usedAddresses) => {
     // Carver address was not in db, add it to cache
     if (!carverAddress) {
       const carverAddressMovement = usedAddresses.get(label);
-      const newCarverAddress = createCarverAddress(carverAddressMovement.addressType, label, blockDate)
+      const newCarverAddress = createCarverAddress(carverAddressMovement, label, blockDate)
 
       addAddressToCache(newCarverAddress);
     } else {
@@ -150,6 +171,149 @@ const fillAddressCache = async (params, usedAddresses) => {
 }
 
 
+/**
+ * Split the outputs of a reward tx between the payees (following the rewardPayees rules of the coin profile)
+ * Stakes can be split into multiple outputs and a block can pay multiple masternode / governance / dev fund payees.
+ * If a masternode pays to the same address that staked, the masternode payment is counted as part of the stake.
+ * Governance payouts look exactly like masternode rewards on the blockchain so they are identified by config.community.governanceAddresses
+ *
+ * @param {Number} carverTxType CarverTxType.ProofOfStake or CarverTxType.ProofOfWork
+ * @param {Array} rewardOutputs [{ addressLabel, amount }] in vout order
+ * @param {String} posAddressLabel Address of the staked input (POS only)
+ * @returns {Array} [{ addressType, addressLabel, amount, outputs }] One entry per payee. addressType is the CarverAddressType of the reward address.
+ */
+const getRewardPayees = (carverTxType, rewardOutputs, posAddressLabel) => {
+  const devFundAddresses = blockchain.coinProfile.rewardPayees.devFundAddresses;
+  const governanceAddresses = (config.community && config.community.governanceAddresses) || [];
+
+  const rewardPayees = new Map();
+  const addToPayee = (addressType, addressLabel, amount) => {
+    const payeeKey = `${addressLabel}:${RewardAddressSuffixes[addressType]}`;
+    if (!rewardPayees.has(payeeKey)) {
+      rewardPayees.set(payeeKey, { addressType, addressLabel, amount: 0, outputs: 0 });
+    }
+
+    const rewardPayee = rewardPayees.get(payeeKey);
+    rewardPayee.amount += amount;
+    rewardPayee.outputs++;
+  }
+
+  const nonDevFundOutputs = rewardOutputs.filter(rewardOutput => !devFundAddresses.includes(rewardOutput.addressLabel));
+
+  rewardOutputs.forEach(rewardOutput => {
+    if (devFundAddresses.includes(rewardOutput.addressLabel)) {
+      addToPayee(CarverAddressType.DevFund, rewardOutput.addressLabel, rewardOutput.amount);
+      return;
+    }
+
+    // Payments that would otherwise be masternode rewards go to governance (if they're paid to one of the governance addresses)
+    const masternodeOrGovernance = governanceAddresses.includes(rewardOutput.addressLabel) ? CarverAddressType.Governance : CarverAddressType.Masternode;
+
+    switch (carverTxType) {
+      case CarverTxType.ProofOfStake:
+        addToPayee(rewardOutput.addressLabel === posAddressLabel ? CarverAddressType.ProofOfStake : masternodeOrGovernance, rewardOutput.addressLabel, rewardOutput.amount);
+        break;
+      case CarverTxType.ProofOfWork:
+        // Last output is the proof of work reward (or the only output for premine)
+        const isPowOutput = rewardOutput === nonDevFundOutputs[nonDevFundOutputs.length - 1];
+        addToPayee(isPowOutput ? CarverAddressType.ProofOfWork : masternodeOrGovernance, rewardOutput.addressLabel, rewardOutput.amount);
+        break;
+    }
+  });
+
+  return Array.from(rewardPayees.values());
+}
+
+/**
+ * Fee, size (in bytes) & fee per kB of a tx. Inputs that were not paid out to outputs are the fee (collected by the block reward).
+ * Rewards and zerocoin spends don't pay fees.
+ * @param {Object} rpctx Decoded tx
+ * @param {Number} carverTxType Type of the tx
+ * @param {Number} vinAmount Total of the spent utxos
+ * @param {Number} voutAmount Total of the outputs
+ */
+const getTxFee = (rpctx, carverTxType, vinAmount, voutAmount) => {
+  const fee = carverTxType === CarverTxType.TransferManyToMany ? Math.max(0, parseFloat((vinAmount - voutAmount).toFixed(8))) : 0;
+  const size = rpctx.size || (rpctx.hex ? rpctx.hex.length / 2 : null); // Some coin daemons don't return size
+  const feeRate = fee > 0 && size ? fee / size * 1000 : 0; // Per kB
+
+  return { fee, size, feeRate };
+}
+
+/**
+ * Coin-days destroyed by spending utxos (amount * days since the utxo was created). Old coins waking up cause large spikes.
+ * @param {Array} spentUtxos Utxos spent by the tx
+ * @param {Object} rpcblock Block the utxos are spent in
+ * @param {ClientSession} session Block sync transaction session (null if transactions are not used)
+ */
+const getCoinDaysDestroyed = async (spentUtxos, rpcblock, session = null) => {
+  const blockDate = new Date(rpcblock.time * 1000);
+
+  // Utxos synced before utxo dates were stored use the date of the block they were created in (utxos created in this block are not saved yet)
+  const missingDateHeights = [...new Set(spentUtxos.filter(utxo => !utxo.date && utxo.blockHeight !== rpcblock.height).map(utxo => utxo.blockHeight))];
+  const blocks = missingDateHeights.length > 0 ? await withSession(Block.find({ height: { $in: missingDateHeights } }, { height: 1, createdAt: 1 }), session) : [];
+  const blockDates = new Map(blocks.map(block => [block.height, block.createdAt]));
+
+  return spentUtxos.reduce((coinDaysDestroyed, utxo) => {
+    const utxoDate = utxo.date || (utxo.blockHeight === rpcblock.height ? blockDate : blockDates.get(utxo.blockHeight));
+    if (!utxoDate) {
+      return coinDaysDestroyed;
+    }
+
+    const days = Math.max(0, blockDate.getTime() - utxoDate.getTime()) / (24 * 60 * 60 * 1000);
+    return coinDaysDestroyed + utxo.amount * days;
+  }, 0);
+}
+
+/**
+ * Get the data pushed after OP_RETURN in a nulldata scriptPubKey (all pushes are joined together)
+ * @param {String} scriptPubKeyHex Hex of the scriptPubKey (starts with 6a = OP_RETURN)
+ */
+const getOpReturnPayload = (scriptPubKeyHex) => {
+  const script = Buffer.from(scriptPubKeyHex, 'hex');
+  const pushes = [];
+
+  let index = 1; // Skip OP_RETURN
+  while (index < script.length) {
+    const opcode = script[index++];
+
+    // Size of the pushed data is either the opcode itself or stored in 1/2/4 bytes after it (OP_PUSHDATA1/2/4)
+    let length = 0;
+    if (opcode > 0 && opcode < 0x4c) {
+      length = opcode;
+    } else if (opcode >= 0x4c && opcode <= 0x4e) {
+      const lengthSize = opcode === 0x4c ? 1 : opcode === 0x4d ? 2 : 4;
+      if (index + lengthSize > script.length) {
+        break;
+      }
+      length = script.readUIntLE(index, lengthSize);
+      index += lengthSize;
+    } else {
+      continue; // Other opcodes don't push any data
+    }
+
+    pushes.push(script.slice(index, index + length));
+    index += length;
+  }
+
+  return Buffer.concat(pushes).toString('hex');
+}
+
+/**
+ * Decode OP_RETURN payload as UTF-8 text. Returns null for binary data (ex: notarization hashes).
+ * @param {String} payloadHex Payload from getOpReturnPayload()
+ */
+const getOpReturnText = (payloadHex) => {
+  const text = Buffer.from(payloadHex, 'hex').toString('utf8');
+
+  // Invalid UTF-8 is decoded as \ufffd and binary data will usually contain control characters
+  if (!text || /[\ufffd\u0000-\u0008\u000e-\u001f\u007f]/.test(text)) {
+    return null;
+  }
+
+  return text;
+}
+
 /**
  * Analyze a tx and return raw CarverMovement object data (to be finalized after)
  */
@@ -163,9 +327,9 @@ const getRequiredMovement = async (params) => {
 
   // We'll keep a tally of all inputs/outputs summed by address
   var consolidatedAddressAmounts = new Map();
-  const addToAddress = (addressType, label, amount) => {
+  const addToAddress = (addressType, label, amount, addressDetails = {}) => {
     if (!consolidatedAddressAmounts.has(label)) {
-      consolidatedAddressAmounts.set(label, { label, addressType, amountIn: 0, amountOut: 0, amount: 0 });
+      consolidatedAddressAmounts.set(label, { label, addressType, amountIn: 0, amountOut: 0, amount: 0, ...addressDetails });
     }
 
     let consolidatedAddressAmount = consolidatedAddressAmounts.get(label);
@@ -182,11 +346,15 @@ const getRequiredMovement = async (params) => {
 
   let newUtxos = [];
 
-  // These address labels will be filled during vin/vout scan
+  // These will be filled during vin/vout scan
   let posAddressLabel = null;
-  let powAddressLabel = null;
-  let mnAddressLabel = null;
+  let posInputAmount = 0;
+  let rewardOutputs = []; // Outputs of POS/POW txs. These are split between the reward payees after the scan
   let zerocoinOutAmount = 0;
+  let vinAmount = 0; // Totals of all inputs/outputs for calculating the fee
+  let voutAmount = 0;
+  let opReturns = []; // Payloads of nulldata outputs
+  let spentUtxos = []; // For coin-days destroyed
 
   for (let vinIndex = 0; vinIndex < rpctx.vin.length; vinIndex++) {
     const vin = rpctx.vin[vinIndex];
@@ -217,10 +385,13 @@ const getRequiredMovement = async (params) => {
         throw `UTXO not found: ${utxoLabel}`;
       }
       addToAddress(CarverAddressType.Address, vinUtxo.addressLabel, -vinUtxo.amount);
+      vinAmount += vinUtxo.amount;
+      spentUtxos.push(vinUtxo);
 
       if (isPosTx(rpctx)) {
         carverTxType = CarverTxType.ProofOfStake;
         posAddressLabel = vinUtxo.addressLabel;
+        posInputAmount = vinUtxo.amount;
       }
     } else {
       console.log(vin);
@@ -232,49 +403,51 @@ const getRequiredMovement = async (params) => {
     const vout = rpctx.vout[voutIndex];
     //const label = `${rpctx.txid}:${vout.n}`; //use txid+vout as identifier for these transactions
 
+    if (vout.value) {
+      voutAmount += vout.value;
+    }
+
     if (vout.scriptPubKey) {
       switch (vout.scriptPubKey.type) {
         case 'pubkey':
         case 'pubkeyhash':
         case 'scripthash':
+        case 'witness_v0_keyhash':
+        case 'witness_v0_scripthash':
+        case 'multisig':
 
-          const addresses = vout.scriptPubKey.addresses;
-          if (addresses.length !== 1) {
-            throw 'ONLY PUBKEYS WITH 1 ADDRESS ARE SUPPORTED FOR NOW';
+          // Newer daemons return a single "address" instead of "addresses"
+          const addresses = vout.scriptPubKey.addresses || (vout.scriptPubKey.address ? [vout.scriptPubKey.address] : null);
+          if (!addresses || addresses.length === 0) {
+            console.log(vout);
+            throw 'VOUT WITHOUT ADDRESSES?';
           }
           if (vout.value === undefined) {
             console.log(vout);
-            console.log(tx);
+            console.log(rpctx);
             throw 'VOUT WITHOUT VALUE?';
           }
 
-          const addressLabel = addresses[0];
-          addToAddress(CarverAddressType.Address, addressLabel, vout.value);
+          let addressLabel = addresses[0];
+
+          // Bare multisig (or any output with more than one address) is owned by a synthetic multisig address
+          if (vout.scriptPubKey.type === 'multisig' || addresses.length > 1) {
+            const multisigRequiredSignatures = vout.scriptPubKey.reqSigs || addresses.length;
+
+            addressLabel = getMultisigAddressLabel(addresses, multisigRequiredSignatures);
+            addToAddress(CarverAddressType.Multisig, addressLabel, vout.value, {
+              multisigAddresses: [...addresses].sort(),
+              multisigRequiredSignatures
+            });
+          } else {
+            addToAddress(CarverAddressType.Address, addressLabel, vout.value);
+          }
 
           if (carverTxType) {
             switch (carverTxType) {
               case CarverTxType.ProofOfWork:
-                if (rpctx.vout.length === 1) {
-                  // Proof of Work Reward / Premine 
-                  powAddressLabel = addressLabel;
-                } else {
-                  if (voutIndex === rpctx.vout.length - 1) { // Assume last tx is always POW reward
-                    // Proof of Work Reward
-                    powAddressLabel = addressLabel;
-                  } else {
-                    // Masternode Reward / Governance 
-                    mnAddressLabel = addressLabel;
-                  }
-                }
-                break;
               case CarverTxType.ProofOfStake:
-                if (voutIndex === rpctx.vout.length - 1) { // Assume last tx is always masternode reward
-                  // Masternode Reward / Governance 
-                  mnAddressLabel = addressLabel;
-                } else {
-                  // Proof of Stake Reward
-                  posAddressLabel = addressLabel;
-                }
+                rewardOutputs.push({ addressLabel, amount: vout.value });
                 break;
               case CarverTxType.Zerocoin:
                 zerocoinOutAmount += vout.value;
@@ -289,7 +462,8 @@ const getRequiredMovement = async (params) => {
               label: `${rpctx.txid}:${vout.n}`,
               blockHeight: params.rpcblock.height,
               amount: vout.value,
-              addressLabel
+              addressLabel,
+              date: blockDate
             }));
           }
           break;
@@ -314,12 +488,42 @@ const getRequiredMovement = async (params) => {
               throw 'BURN WITHOUT VALUE?';
             }
             addToAddress(CarverAddressType.Burn, 'BURN', vout.value);
+
+            // Some coin daemons only return asm ("OP_RETURN <data>")
+            const raw = vout.scriptPubKey.hex || '';
+            const payloadHex = raw ? getOpReturnPayload(raw) : (vout.scriptPubKey.asm || '').split(' ').slice(1).join('');
+            opReturns.push({
+              vout: vout.n,
+              value: vout.value,
+              raw,
+              hex: payloadHex,
+              utf8: getOpReturnText(payloadHex)
+            });
           }
           break
         default:
-          console.log(vout);
-          console.log(tx);
-          throw `UNSUPPORTED VOUT SCRIPTPUBKEY TYPE: ${vout.scriptPubKey.type}`;
+          {
+            if (vout.value === undefined) {
+              console.log(vout);
+              console.log(rpctx);
+              throw 'QUARANTINED VOUT WITHOUT VALUE?';
+            }
+
+            // Unknown script types are moved into quarantine instead of halting the sync. These outputs can still be spent (so we'll need the utxo)
+            console.log(`Quarantined vout ${rpctx.txid}:${vout.n} with unsupported scriptPubKey type: ${vout.scriptPubKey.type}`);
+            addToAddress(CarverAddressType.Quarantine, 'QUARANTINE', vout.value);
+
+            if (vout.value > 0) {
+              newUtxos.push(new UTXO({
+                label: `${rpctx.txid}:${vout.n}`,
+                blockHeight: params.rpcblock.height,
+                amount: vout.value,
+                addressLabel: 'QUARANTINE',
+                date: blockDate
+              }));
+            }
+          }
+          break;
       }
     } else {
       console.log(vout);
@@ -334,20 +538,22 @@ const getRequiredMovement = async (params) => {
     carverTxType = CarverTxType.TransferManyToMany;
   }
 
+  let rewardPayees = [];
   switch (carverTxType) {
     case CarverTxType.ProofOfStake:
-      const posAddressAmount = consolidatedAddressAmounts.get(posAddressLabel);
-      if (!posAddressAmount) {
-        throw 'POS reward not found?';
-      }
-      addToAddress(CarverAddressType.ProofOfStake, `${posAddressLabel}:POS`, -posAddressAmount.amount);
-      break;
     case CarverTxType.ProofOfWork:
-      const powRewardAmount = consolidatedAddressAmounts.get(powAddressLabel);
-      if (!powRewardAmount) {
-        throw 'POW reward not found?';
+      // Each payee gets their reward from their own reward address (ex: "bMqimpYgqG8irhWojUpHnAWtBaHDdVvr3v:MN")
+      rewardPayees = getRewardPayees(carverTxType, rewardOutputs, posAddressLabel);
+      const hasStakeOrPowPayee = rewardPayees.some(rewardPayee => rewardPayee.addressType === (carverTxType === CarverTxType.ProofOfStake ? CarverAddressType.ProofOfStake : CarverAddressType.ProofOfWork));
+      if (!hasStakeOrPowPayee) {
+        throw carverTxType === CarverTxType.ProofOfStake ? 'POS reward not found?' : 'POW reward not found?';
       }
-      addToAddress(CarverAddressType.ProofOfWork, `${powAddressLabel}:POW`, -powRewardAmount.amount);
+
+      rewardPayees.forEach(rewardPayee => {
+        // Stake outputs return the staked input as well so only the amount over the input is rewarded
+        const rewardAmount = rewardPayee.addressType === CarverAddressType.ProofOfStake ? rewardPayee.amount - posInputAmount : rewardPayee.amount;
+        addToAddress(rewardPayee.addressType, `${rewardPayee.addressLabel}:${RewardAddressSuffixes[rewardPayee.addressType]}`, -rewardAmount);
+      });
       break;
     case CarverTxType.TransferManyToMany:
       break;
@@ -359,16 +565,10 @@ const getRequiredMovement = async (params) => {
       throw 'carverTxType not found'
   }
 
-  if (carverTxType === CarverTxType.ProofOfStake || carverTxType === CarverTxType.ProofOfWork) {
-    if (mnAddressLabel) {
-      const mnRewardAmount = consolidatedAddressAmounts.get(mnAddressLabel);
-      if (!mnRewardAmount) {
-        throw 'MN reward not found?';
-      }
-      addToAddress(CarverAddressType.Masternode, `${mnAddressLabel}:MN`, -mnRewardAmount.amount);
-    }
-  }
 
+  const { fee, size, feeRate } = getTxFee(rpctx, carverTxType, vinAmount, voutAmount);
+
+  const coinDaysDestroyed = await getCoinDaysDestroyed(spentUtxos, params.rpcblock, params.session);
 
   const consolidatedAddresses = Array.from(consolidatedAddressAmounts.values());
 
@@ -382,18 +582,64 @@ const getRequiredMovement = async (params) => {
     amountOut: totalAmountOut,
     blockHeight: params.rpcblock.height,
     date: blockDate,
+    fee,
+    size,
+    feeRate,
+    coinDaysDestroyed,
     carverAddressMovements: [],
 
     // Store the temporary movements here. We'll fill the from/to CarverAddressMovements outside of this method
     consolidatedAddressMovements: consolidatedAddressAmounts,
+    rewardPayees,
+    opReturns,
     newUtxos
   }
 }
 
+/**
+ * How many times in a row a stake input was restaked. If the input came from a stake reward we continue the streak of that stake (it's stake lineage), otherwise the streak is 0.
+ * @param {CarverMovement} stakeInputCarverMovement Movement of the tx that created the staked input
+ */
+const getStakeInputRestakeCount = async (stakeInputCarverMovement, session = null) => {
+  const isRestake = stakeInputCarverMovement.isReward && stakeInputCarverMovement.txType === CarverTxType.ProofOfStake;
+  if (!isRestake) {
+    return 0;
+  }
+
+  const previousBlockRewardDetails = stakeInputCarverMovement.blockRewardDetails ? await withSession(BlockRewardDetails.findOne({ _id: stakeInputCarverMovement.blockRewardDetails }, { 'stake.input.restakeCount': 1 }), session) : null;
+  if (!previousBlockRewardDetails || !previousBlockRewardDetails.stake) {
+    return 1; // Stakes synced before restake counts existed (or missing details) start a new streak
+  }
+
+  return previousBlockRewardDetails.stake.input.restakeCount + 1;
+}
+
+/**
+ * Recalculate staking totals (best ROI% & longest restake streak) of addresses from their remaining stakes. Used after stakes were undone (maximums can't be rolled back) and for backfilling.
+ * @param {Array} addressLabels Labels of the addresses that staked
+ */
+const recalculateStakeTotals = async (addressLabels) => {
+  const stakeTotals = await BlockRewardDetails.aggregate([
+    { $match: { 'stake.addressLabel': { $in: addressLabels } } },
+    { $group: { _id: '$stake.addressLabel', posBestRoi: { $max: '$stake.roi' }, posLongestRestakeStreak: { $max: '$stake.input.restakeCount' } } }
+  ]);
+
+  await Promise.all(addressLabels.map(async (addressLabel) => {
+    const addressStakeTotals = stakeTotals.find(stakeTotal => stakeTotal._id === addressLabel);
+
+    await CarverAddress.updateOne({ label: addressLabel }, {
+      $set: {
+        posBestRoi: addressStakeTotals ? addressStakeTotals.posBestRoi : 0,
+        posLongestRestakeStreak: addressStakeTotals && addressStakeTotals.posLongestRestakeStreak ? addressStakeTotals.posLongestRestakeStreak : 0
+      }
+    });
+  }));
+}
+
 /**
  * Perform deep analysis of rewards
  */
-const getBlockRewardDetails = async (rpcblock, rpctx, parsedMovement, newCarverMovement, updatedAddresses) => {
+const getBlockRewardDetails = async (rpcblock, rpctx, parsedMovement, newCarverMovement, updatedAddresses, session = null) => {
   //console.log(rpctx, parsedMovement);
   const blockDate = new Date(rpcblock.time * 1000);
 
@@ -408,6 +654,7 @@ const getBlockRewardDetails = async (rpcblock, rpctx, parsedMovement, newCarverM
       hasStakeReward: false,
       hasMasternodeReward: false,
       hasPoofOfWorkReward: false,
+      hasGovernanceReward: false,
     }
   );
   const consolidatedAddressMovements = Array.from(parsedMovement.consolidatedAddressMovements);
@@ -415,7 +662,7 @@ const getBlockRewardDetails = async (rpcblock, rpctx, parsedMovement, newCarverM
   for (let i = 0; i < consolidatedAddressMovements.length; i++) {
     consolidatedAddressMovement = consolidatedAddressMovements[i][1];
 
-    const rewardAddressLabel = consolidatedAddressMovement.label.split(':')[0]; // Example of reward address: "bMqimpYgqG8irhWojUpHnAWtBaHDdVvr3v:POS"
+    const rewardAddressLabel = getRewardedAddressLabel(consolidatedAddressMovement.label); // Example of reward address: "bMqimpYgqG8irhWojUpHnAWtBaHDdVvr3v:POS" (multisig: "MULTISIG:...:POS")
 
     switch (consolidatedAddressMovement.addressType) {
       case CarverAddressType.ProofOfWork:
@@ -436,9 +683,9 @@ const getBlockRewardDetails = async (rpcblock, rpctx, parsedMovement, newCarverM
         const inputTxId = rpctx.vin[0].txid;
 
         const stakeInputUtxoLabel = `${inputTxId}:${rpctx.vin[0].vout}`;
-        const stakeUtxo = await UTXO.findOne({ label: stakeInputUtxoLabel });
+        const stakeUtxo = await withSession(UTXO.findOne({ label: stakeInputUtxoLabel }), session);
 
-        const stakeInputTxCarverMovement = await CarverMovement.findOne({ txId: inputTxId });
+        const stakeInputTxCarverMovement = await withSession(CarverMovement.findOne({ txId: inputTxId }), session);
 
         const stakeAddress = updatedAddresses.get(rewardAddressLabel);
 
@@ -448,6 +695,7 @@ const getBlockRewardDetails = async (rpcblock, rpctx, parsedMovement, newCarverM
         const stakeRewardAmount = consolidatedAddressMovement.amount;
 
         const isRestake = stakeInputTxCarverMovement.isReward && stakeInputTxCarverMovement.txType === CarverTxType.ProofOfStake;
+        const restakeCount = await getStakeInputRestakeCount(stakeInputTxCarverMovement, session);
         const stakeInputAgeTime = newCarverMovement.date.getTime() - stakeInputTxCarverMovement.date.getTime();
 
         // Calculate ROI% for stake
@@ -463,7 +711,7 @@ const getBlockRewardDetails = async (rpcblock, rpctx, parsedMovement, newCarverM
             blockHeight: stakeInputBlockHeight,
             date: stakeInputDate,
             isRestake,
-            //restakeCount: 1, //@todo
+            restakeCount,
             vinCount: rpctx.vin.length,
             voutCount: rpctx.vout.length
           },
@@ -483,34 +731,60 @@ const getBlockRewardDetails = async (rpcblock, rpctx, parsedMovement, newCarverM
         let mnAgeBlocks = 0;
         let mnAgeTime = 0;
 
-        const lastMnRewardAddress = await CarverAddress.findOne({ label: `${rewardAddressLabel}:MN` });
+        const lastMnRewardAddress = await withSession(CarverAddress.findOne({ label: `${rewardAddressLabel}:MN` }), session);
 
         // Calculate ROI% for masternode reward (Only after 1st reward)
         if (lastMnRewardAddress) {
           mnAgeBlocks = newCarverMovement.blockHeight - (lastMnRewardAddress.lastMovement ? lastMnRewardAddress.lastMovementBlockHeight : masternodeRewardAddress.blockHeight); // Use last reward for calculation or first reward
           mnAgeTime = newCarverMovement.date.getTime() - (lastMnRewardAddress.lastMovement ? lastMnRewardAddress.lastMovementDate.getTime() : masternodeRewardAddress.date.getTime()); // Use last reward for calculation or first reward
           const mnRewardsPerYear = (365 * 24 * 60 * 60) / (mnAgeTime / 1000);
-          mnRoi = ((mnRewardsPerYear * masternodeRewardAmount) / config.coinDetails.masternodeCollateral) * -100;
+          mnRoi = ((mnRewardsPerYear * masternodeRewardAmount) / blockchain.mncoins) * -100;
         }
 
-        blockRewardDetails.masternode = {
+        const masternodeRewardDetails = {
           addressLabel: rewardAddressLabel,
           carverAddress: masternodeRewardAddress._id,
           reward: masternodeRewardAmount * -1,
           roi: mnRoi,
           ageBlocks: mnAgeBlocks,
           ageTime: mnAgeTime
+        };
+
+        // With multiple masternode payees the largest payment is the masternode reward of the block (all of them are stored in payees)
+        if (!blockRewardDetails.masternode || masternodeRewardDetails.reward > blockRewardDetails.masternode.reward) {
+          blockRewardDetails.masternode = masternodeRewardDetails;
         }
         break;
+      case CarverAddressType.Governance:
+        // Governance payouts are not masternode rewards (they would inflate masternode ROI%). Details of the payouts are stored in payees.
+        blockRewardDetails.hasGovernanceReward = true;
+        break;
     }
   }
 
+  blockRewardDetails.payees = parsedMovement.rewardPayees.map(rewardPayee => {
+    const rewardMovement = parsedMovement.consolidatedAddressMovements.get(`${rewardPayee.addressLabel}:${RewardAddressSuffixes[rewardPayee.addressType]}`);
+
+    return {
+      carverAddressType: rewardPayee.addressType,
+      addressLabel: rewardPayee.addressLabel,
+      carverAddress: updatedAddresses.get(rewardPayee.addressLabel)._id,
+      reward: rewardMovement.amount * -1,
+      outputs: rewardPayee.outputs
+    };
+  });
+
   return new BlockRewardDetails(blockRewardDetails);
 }
 
 module.exports = {
+  getOpReturnPayload,
+  getOpReturnText,
   getRequiredMovement,
   getVinUtxos,
   fillAddressCache,
-  getBlockRewardDetails
+  getBlockRewardDetails,
+  getStakeInputRestakeCount,
+  getTxFee,
+  recalculateStakeTotals
 }
\ No newline at end of file
@@ -9,6 +9,7 @@ const moment = require('moment');
 const Coin = require('../model/coin');
 const { CarverAddress, CarverMovement } = require('../model/carver2d');
 const { CarverAddressType } = require('../lib/carver2d');
+const blockchain = require('../lib/blockchain');
 const { BlockRewardDetails } = require('../model/blockRewardDetails');
 
 
@@ -59,6 +60,9 @@ async function syncCoin() {
 
   const date24hAgo = moment().subtract(24, 'hours').toDate();
 
+  // Rewards synced before a governance address was added to config still have the governance payout as masternode reward
+  const governanceAddresses = (config.community && config.community.governanceAddresses) || [];
+
   // Unique Stakers in last 24 hours
   {
     const aggregationResults = await BlockRewardDetails.aggregate([
@@ -72,7 +76,7 @@ async function syncCoin() {
   // Unique masternode addresses in last 24 hours
   {
     const aggregationResults = await BlockRewardDetails.aggregate([
-      { $match: { 'date': { $gte: date24hAgo } } },
+      { $match: { 'date': { $gte: date24hAgo }, 'masternode.addressLabel': { $nin: governanceAddresses } } },
       { $group: { _id: '$masternode.addressLabel' } },
       { $count: 'count' }
     ]);
@@ -90,14 +94,14 @@ async function syncCoin() {
     // MN ROI% average over past 24 hours
     {
       const aggregationResults = await BlockRewardDetails.aggregate([
-        { $match: { 'date': { $gte: date24hAgo } } },
+        { $match: { 'date': { $gte: date24hAgo }, 'masternode.addressLabel': { $exists: true, $nin: governanceAddresses } } },
         { $group: { _id: null, avgAge: { $avg: '$masternode.ageTime' }, avgRewards: { $avg: '$masternode.reward' } } }
       ]);
       if (aggregationResults.length > 0) {
 
         // Calculate ROI% for masternode
         const mnRewardsPerYear = (365 * 24 * 60 * 60) / (aggregationResults[0].avgAge / 1000);
-        const mnRoi = ((mnRewardsPerYear * aggregationResults[0].avgRewards) / config.coinDetails.masternodeCollateral) * 100;
+        const mnRoi = ((mnRewardsPerYear * aggregationResults[0].avgRewards) / blockchain.mncoins) * 100;
 
         coin.mnRoi24h = mnRoi;
       } else {
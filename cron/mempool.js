@@ -0,0 +1,149 @@
+
+require('babel-polyfill');
+const config = require('../config');
+const { exit, rpc } = require('../lib/cron');
+const locker = require('../lib/locker');
+const util = require('./util');
+const carver2d = require('./carver2d');
+const { CarverMovement } = require('../model/carver2d');
+const { MempoolTx } = require('../model/mempoolTx');
+const { UTXO } = require('../model/utxo');
+
+/**
+ * console.log but with date prepended to it
+ */
+console.dateLog = (...log) => {
+  if (!config.verboseCron) {
+    console.log(...log);
+    return;
+  }
+
+  const currentDate = new Date().toGMTString();
+  console.log(`${currentDate}\t`, ...log);
+}
+
+/**
+ * Get the labels of all utxos that are spent by the inputs of a tx ("txid:vout")
+ * @param {Object} rpctx The rpc tx object.
+ */
+const getVinUtxoLabels = (rpctx) => {
+  return rpctx.vin.filter(vin => vin.txid && vin.vout !== undefined).map(vin => `${vin.txid}:${vin.vout}`);
+}
+
+/**
+ * Sync the mempool with the coin daemon. New txs are parsed into Carver2D movements and txs that were mined or dropped from the mempool are removed.
+ */
+async function syncMempool() {
+  const rpcMempool = await rpc.call('getrawmempool', [true]); // true for verbose output so we get size & time of each tx
+  const mempoolTxIds = Object.keys(rpcMempool);
+
+  // Evict txs that are no longer in the mempool (they were either mined or dropped)
+  const evictResult = await MempoolTx.deleteMany({ txId: { $nin: mempoolTxIds } });
+
+  // Only parse txs that we don't already have. Skip txs that were mined since we fetched the mempool (block sync is already storing them)
+  const existingMempoolTxs = await MempoolTx.find({ txId: { $in: mempoolTxIds } }, { txId: 1 });
+  const minedCarverMovements = await CarverMovement.find({ txId: { $in: mempoolTxIds } }, { txId: 1 });
+  const skipTxIds = new Set([...existingMempoolTxs, ...minedCarverMovements].map(tx => tx.txId));
+  const newTxIds = mempoolTxIds.filter(txId => !skipTxIds.has(txId)).slice(0, config.mempoolSyncLimit);
+
+  let pendingRpcTxs = [];
+  for (const txId of newTxIds) {
+    try {
+      pendingRpcTxs.push(await util.getTX(txId, false));
+    } catch (err) {
+      // Tx could have been mined or dropped since we fetched the mempool
+      config.verboseCron && console.log(`Unable to fetch mempool tx ${txId}: ${err.message || err}`);
+    }
+  }
+
+  // Find all the utxos that new txs are spending. These can either be mined utxos or outputs of other txs that are still in the mempool
+  const vinUtxoLabels = [].concat(...pendingRpcTxs.map(getVinUtxoLabels));
+  const availableUtxos = new Map();
+  // Same fields as getVinUtxos() of the block sync (blockHeight & date are used for coin-days destroyed)
+  (await UTXO.find({ label: { $in: vinUtxoLabels } }, { label: 1, addressLabel: 1, amount: 1, blockHeight: 1, date: 1 })).forEach(utxo => availableUtxos.set(utxo.label, utxo));
+  // Outputs of mempool txs were created when their tx entered the mempool
+  (await MempoolTx.find({ 'utxos.label': { $in: vinUtxoLabels } }, { date: 1, utxos: 1 }).lean()).forEach(mempoolTx => mempoolTx.utxos.forEach(utxo => availableUtxos.set(utxo.label, { ...utxo, date: mempoolTx.date })));
+
+  const nextBlockHeight = (await rpc.call('getblockcount')) + 1;
+  const newMempoolTxs = [];
+
+  // Txs in the mempool can spend outputs of other mempool txs so keep parsing until no more txs can be resolved
+  while (pendingRpcTxs.length > 0) {
+    const resolvedRpcTxs = pendingRpcTxs.filter(rpctx => getVinUtxoLabels(rpctx).every(label => availableUtxos.has(label)));
+    if (resolvedRpcTxs.length === 0) {
+      break;
+    }
+    pendingRpcTxs = pendingRpcTxs.filter(rpctx => !resolvedRpcTxs.includes(rpctx));
+
+    for (const rpctx of resolvedRpcTxs) {
+      const rpcMempoolEntry = rpcMempool[rpctx.txid];
+      const params = {
+        rpcblock: { height: nextBlockHeight, time: rpcMempoolEntry.time }, // Mempool txs are not in a block yet, assume they will be in the next one
+        rpctx,
+        vinUtxos: getVinUtxoLabels(rpctx).map(label => availableUtxos.get(label))
+      };
+
+      let parsedMovement = null;
+      try {
+        parsedMovement = await carver2d.getRequiredMovement(params);
+      } catch (err) {
+        console.log(`Unable to parse mempool tx ${rpctx.txid}:`, err);
+        continue;
+      }
+
+      parsedMovement.newUtxos.forEach(utxo => availableUtxos.set(utxo.label, utxo));
+
+      newMempoolTxs.push(new MempoolTx({
+        txId: rpctx.txid,
+        txType: parsedMovement.txType,
+        date: new Date(rpcMempoolEntry.time * 1000),
+        size: rpcMempoolEntry.size,
+        amountIn: parsedMovement.amountIn,
+        amountOut: parsedMovement.amountOut,
+        vinsCount: rpctx.vin.length,
+        voutsCount: rpctx.vout.length,
+        addressMovements: Array.from(parsedMovement.consolidatedAddressMovements.values()).map(movementData => ({
+          label: movementData.label,
+          carverAddressType: movementData.addressType,
+          amountIn: movementData.amountIn,
+          amountOut: movementData.amountOut
+        })),
+        utxos: parsedMovement.newUtxos.map(utxo => ({ label: utxo.label, amount: utxo.amount, addressLabel: utxo.addressLabel }))
+      }));
+    }
+  }
+
+  if (pendingRpcTxs.length > 0) {
+    console.log(`Unable to resolve inputs of ${pendingRpcTxs.length} mempool txs (will retry on next run)`);
+  }
+
+  await MempoolTx.insertMany(newMempoolTxs);
+
+  console.dateLog(`Mempool: ${mempoolTxIds.length} txs, ${newMempoolTxs.length} added, ${evictResult.n || 0} removed`);
+}
+
+/**
+ * Handle locking.
+ */
+async function update() {
+  const type = 'mempool';
+  let code = 0;
+
+  try {
+    locker.lock(type);
+    await syncMempool();
+  } catch (err) {
+    console.log(err);
+    code = 1;
+  } finally {
+    try {
+      locker.unlock(type);
+    } catch (err) {
+      console.log(err);
+      code = 1;
+    }
+    exit(code);
+  }
+}
+
+update();
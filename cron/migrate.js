@@ -0,0 +1,235 @@
+
+require('babel-polyfill');
+const { exit } = require('../lib/cron');
+const locker = require('../lib/locker');
+const { CarverAddressType, CarverTxType, RewardCounterFields, getRewardedAddressLabel } = require('../lib/carver2d');
+const { getStakeInputRestakeCount, getTxFee, recalculateStakeTotals } = require('./carver2d');
+const { TimeIntervalType } = require('../lib/timeInterval');
+const util = require('./util');
+const { CarverAddress, CarverMovement } = require('../model/carver2d');
+const Block = require('../model/block');
+const { BlockRewardDetails } = require('../model/blockRewardDetails');
+const { TimeInterval } = require('../model/timeInterval');
+const SyncStatus = require('../model/syncStatus');
+const { UTXO } = require('../model/utxo');
+
+/**
+ * Backfill reward counters (posCountIn, mnValueIn, etc) of addresses that were synced before the counters existed.
+ * Reward addresses (ex: "bAddress1:POS") already store the total of rewards paid out in countOut/valueOut so we can copy them over.
+ */
+async function rewardCounters() {
+  const rewardAddressTypes = Object.keys(RewardCounterFields).map(carverAddressType => Number(carverAddressType));
+
+  // Start from zero so the migration can be re-run safely
+  const resetCounters = {};
+  rewardAddressTypes.forEach(carverAddressType => {
+    const rewardCounterFields = RewardCounterFields[carverAddressType];
+    resetCounters[rewardCounterFields.count] = 0;
+    resetCounters[rewardCounterFields.value] = 0;
+  });
+  await CarverAddress.updateMany({ carverAddressType: { $in: [CarverAddressType.Address, CarverAddressType.Multisig] } }, { $set: resetCounters });
+
+  const rewardAddressCursor = CarverAddress
+    .find({ carverAddressType: { $in: rewardAddressTypes } }, { label: 1, carverAddressType: 1, countOut: 1, valueOut: 1 })
+    .lean()
+    .cursor();
+
+  let migratedAddresses = 0;
+  for (let rewardAddress = await rewardAddressCursor.next(); rewardAddress; rewardAddress = await rewardAddressCursor.next()) {
+    const rewardCounterFields = RewardCounterFields[rewardAddress.carverAddressType];
+
+    await CarverAddress.updateOne({ label: getRewardedAddressLabel(rewardAddress.label) }, {
+      $set: {
+        [rewardCounterFields.count]: rewardAddress.countOut,
+        [rewardCounterFields.value]: rewardAddress.valueOut
+      }
+    });
+
+    migratedAddresses++;
+    if (migratedAddresses % 10000 === 0) {
+      console.log(`${migratedAddresses} reward addresses migrated...`);
+    }
+  }
+
+  console.log(`${migratedAddresses} reward addresses migrated`);
+}
+
+/**
+ * Backfill restake streaks of stakes and staking totals (best ROI% & longest restake streak) of addresses that were synced before they existed.
+ * Stakes are walked from the first block so each restake can continue the streak of the stake before it.
+ */
+async function stakeTotals() {
+  const stakeCursor = BlockRewardDetails
+    .find({ stake: { $exists: true } }, { blockHeight: 1, 'stake.addressLabel': 1, 'stake.input.carverMovement': 1 })
+    .sort({ blockHeight: 1 })
+    .cursor();
+
+  let migratedStakes = 0;
+  let stakeAddressLabels = new Set();
+  for (let blockRewardDetails = await stakeCursor.next(); blockRewardDetails; blockRewardDetails = await stakeCursor.next()) {
+    const stakeInputCarverMovement = await CarverMovement.findOne({ _id: blockRewardDetails.stake.input.carverMovement }, { isReward: 1, txType: 1, blockRewardDetails: 1 });
+    const restakeCount = stakeInputCarverMovement ? await getStakeInputRestakeCount(stakeInputCarverMovement) : 0;
+
+    await BlockRewardDetails.updateOne({ _id: blockRewardDetails._id }, { $set: { 'stake.input.restakeCount': restakeCount } });
+    stakeAddressLabels.add(blockRewardDetails.stake.addressLabel);
+
+    migratedStakes++;
+    if (migratedStakes % 10000 === 0) {
+      console.log(`${migratedStakes} stakes migrated (block: ${blockRewardDetails.blockHeight})...`);
+    }
+  }
+  console.log(`${migratedStakes} stakes migrated`);
+
+  // Recalculate totals of 1000 addresses at a time
+  const addressLabels = [...stakeAddressLabels];
+  for (let i = 0; i < addressLabels.length; i += 1000) {
+    await recalculateStakeTotals(addressLabels.slice(i, i + 1000));
+  }
+  console.log(`${addressLabels.length} staking addresses migrated`);
+}
+
+/**
+ * Mark the outputs that were spent before spent outputs were tracked (spentHeight, spentTxId). Used by the address utxo api.
+ * Inputs are not stored so every synced tx is fetched from the coin daemon again, this can take a while on long chains.
+ */
+async function spentUtxos() {
+  const carverMovementCursor = CarverMovement
+    .find({}, { txId: 1, blockHeight: 1 })
+    .sort({ sequence: 1 })
+    .lean()
+    .cursor();
+
+  let migratedTxs = 0;
+  for (let carverMovement = await carverMovementCursor.next(); carverMovement; carverMovement = await carverMovementCursor.next()) {
+    const rpctx = await util.getTX(carverMovement.txId);
+    const vinUtxoLabels = rpctx.vin.filter(vin => vin.txid && vin.vout !== undefined).map(vin => `${vin.txid}:${vin.vout}`);
+
+    if (vinUtxoLabels.length > 0) {
+      await UTXO.updateMany({ label: { $in: vinUtxoLabels } }, { $set: { spentHeight: carverMovement.blockHeight, spentTxId: carverMovement.txId } });
+    }
+
+    migratedTxs++;
+    if (migratedTxs % 10000 === 0) {
+      console.log(`${migratedTxs} txs migrated (block: ${carverMovement.blockHeight})...`);
+    }
+  }
+
+  // Spent outputs of all synced blocks are marked now (the address utxo api is available)
+  await SyncStatus.updateOne({ _id: 'block' }, { $set: { spentUtxosHeight: 1 } });
+
+  console.log(`${migratedTxs} txs migrated`);
+}
+
+/**
+ * Fill the fees of movements (fee, size, feeRate) and blocks (fee, feeRate) that were synced before fees were recorded.
+ * Fees are calculated from the spent utxos like the block sync does so the ledger audit can check them. Every tx without a fee is fetched from the coin daemon again.
+ * The daily fees are resynced by the next run of cron/timeIntervals.js.
+ */
+async function fees() {
+  const carverMovementCursor = CarverMovement
+    .find({ fee: { $exists: false } }, { txId: 1, txType: 1, blockHeight: 1 })
+    .sort({ sequence: 1 })
+    .lean()
+    .cursor();
+
+  /**
+   * Fee totals of a block are recalculated from all of it's movements (only txs with a known size count towards the fee rate)
+   */
+  const updateBlockFee = async (height) => {
+    const totals = await CarverMovement.aggregate([
+      { $match: { blockHeight: height } },
+      { $group: { _id: null, fee: { $sum: '$fee' }, size: { $sum: { $cond: [{ $and: [{ $gt: ['$fee', 0] }, { $gt: ['$size', 0] }] }, '$size', 0] } } } }
+    ]);
+    const blockFee = totals.length ? totals[0].fee : 0;
+    const blockFeeSize = totals.length ? totals[0].size : 0;
+
+    await Block.updateOne({ height }, { $set: { fee: parseFloat(blockFee.toFixed(8)), feeRate: blockFeeSize > 0 ? blockFee / blockFeeSize * 1000 : 0 } });
+  }
+
+  let migratedTxs = 0;
+  let migratedBlocks = 0;
+  let blockHeight = null;
+  for (let carverMovement = await carverMovementCursor.next(); carverMovement; carverMovement = await carverMovementCursor.next()) {
+    if (blockHeight !== null && carverMovement.blockHeight !== blockHeight) {
+      await updateBlockFee(blockHeight);
+      migratedBlocks++;
+    }
+    blockHeight = carverMovement.blockHeight;
+
+    const rpctx = await util.getTX(carverMovement.txId);
+
+    let vinAmount = 0;
+    if (carverMovement.txType === CarverTxType.TransferManyToMany) {
+      const vinUtxoLabels = rpctx.vin.filter(vin => vin.txid && vin.vout !== undefined).map(vin => `${vin.txid}:${vin.vout}`);
+      const vinUtxos = await UTXO.find({ label: { $in: vinUtxoLabels } }, { amount: 1 });
+      if (vinUtxos.length !== vinUtxoLabels.length) {
+        throw `UTXOs not found for tx: ${carverMovement.txId}`;
+      }
+      vinAmount = vinUtxos.reduce((total, vinUtxo) => total + vinUtxo.amount, 0);
+    }
+    const voutAmount = rpctx.vout.reduce((total, vout) => total + (vout.value || 0), 0);
+
+    await CarverMovement.updateOne({ _id: carverMovement._id }, { $set: getTxFee(rpctx, carverMovement.txType, vinAmount, voutAmount) });
+
+    migratedTxs++;
+    if (migratedTxs % 10000 === 0) {
+      console.log(`${migratedTxs} txs migrated (block: ${carverMovement.blockHeight})...`);
+    }
+  }
+
+  if (blockHeight !== null) {
+    await updateBlockFee(blockHeight);
+    migratedBlocks++;
+  }
+
+  // Daily fees are synced incrementally, remove them so the next time intervals cron adds them again with the migrated fees
+  await TimeInterval.deleteMany({ type: TimeIntervalType.DailyTransactionFees });
+
+  console.log(`${migratedTxs} txs & ${migratedBlocks} blocks migrated`);
+}
+
+// Available migrations. Usage: node ./cron/migrate.js <migration>
+const migrations = {
+  fees,
+  rewardCounters,
+  spentUtxos,
+  stakeTotals
+};
+
+/**
+ * Handle locking. Uses the block lock so blocks are not synced while the data is being migrated.
+ */
+async function update() {
+  const type = 'block';
+  const migrationName = process.argv[2];
+  let code = 0;
+  let hasAcquiredLocked = false;
+
+  try {
+    const migration = migrations[migrationName];
+    if (!migration) {
+      throw `Unknown migration "${migrationName}". Available migrations: ${Object.keys(migrations).join(', ')}`;
+    }
+
+    locker.lock(type);
+    hasAcquiredLocked = true;
+
+    console.log(`Running migration: ${migrationName}`);
+    await migration();
+  } catch (err) {
+    console.log(err);
+    code = 1;
+  } finally {
+    if (hasAcquiredLocked) {
+      try {
+        locker.unlock(type);
+      } catch (err) {
+        console.log(err);
+        code = 1;
+      }
+    }
+    exit(code);
+  }
+}
+
+update();
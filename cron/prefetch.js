@@ -0,0 +1,90 @@
+const { rpc } = require('../lib/cron');
+const util = require('./util');
+
+/**
+ * Limit how many async tasks can run at the same time. Tasks over the limit are queued and started in order as soon as a slot frees up.
+ * @param {Number} concurrency How many tasks can be running at once.
+ */
+const createLimiter = (concurrency) => {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task()
+      .then(resolve, reject)
+      .then(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Fetches blocks and their raw transactions from RPC ahead of time. Carver2D processing of blocks must stay in order (each block depends on the utxos of the previous block)
+ * but the RPC data does not depend on our database so we can request the next few blocks while the current block is being processed.
+ *
+ * @param {Number} start The current starting block height (first block fetched is start + 1)
+ * @param {Number} stop The current block height at the tip of the chain.
+ * @param {Number} depth How many blocks ahead of the current block should be requested
+ * @param {Number} concurrency How many RPC calls can be pending at once
+ */
+const createBlockPrefetcher = (start, stop, depth, concurrency) => {
+  const limit = createLimiter(Math.max(concurrency || 1, 1));
+  const pipelineDepth = Math.max(depth || 1, 1);
+
+  const pendingBlocks = new Map(); // Map<height,Promise<{ rpcblock, rpctxs }>>
+  let lastScheduledHeight = start;
+
+  const fetchBlock = async (height) => {
+    const hash = await limit(() => rpc.call('getblockhash', [height]));
+    const rpcblock = await limit(() => rpc.call('getblock', [hash]));
+    const rpctxs = await Promise.all(rpcblock.tx.map(txhash => limit(() => util.getTX(txhash, false))));
+
+    return { hash, rpcblock, rpctxs };
+  }
+
+  const schedule = (height) => {
+    const pendingBlock = fetchBlock(height);
+    pendingBlock.catch(() => { }); // Errors are surfaced when the block is requested with get(). This prevents unhandled rejections for blocks that are never requested.
+
+    pendingBlocks.set(height, pendingBlock);
+  }
+
+  /**
+   * Get the block (and all of it's raw transactions) at a specific height. Requesting a block will also queue up the next blocks in the pipeline.
+   * Blocks must be requested in ascending order.
+   */
+  const get = (height) => {
+    while (lastScheduledHeight < Math.min(height + pipelineDepth, stop)) {
+      lastScheduledHeight++;
+      schedule(lastScheduledHeight);
+    }
+
+    if (!pendingBlocks.has(height)) {
+      schedule(height);
+    }
+
+    const pendingBlock = pendingBlocks.get(height);
+    pendingBlocks.delete(height);
+    return pendingBlock;
+  }
+
+  return {
+    get
+  };
+}
+
+module.exports = {
+  createBlockPrefetcher
+};
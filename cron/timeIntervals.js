@@ -9,6 +9,7 @@ const moment = require('moment');
 const Coin = require('../model/coin');
 const { CarverAddress, CarverMovement } = require('../model/carver2d');
 const { CarverAddressType } = require('../lib/carver2d');
+const blockchain = require('../lib/blockchain');
 const { TimeInterval } = require('../model/timeInterval');
 const { BlockRewardDetails } = require('../model/blockRewardDetails');
 const { TimeIntervalType, TimeIntervalColumn } = require('../lib/timeInterval');
@@ -68,7 +69,7 @@ const syncTimeIntervalSettings = async (timeIntervalSettings) => {
       case TimeIntervalType.DailyAvgMasternodeRoi:
         // Calculate ROI% for masternode
         const mnRewardsPerYear = (365 * 24 * 60 * 60) / (item.avgAge / 1000);
-        const mnRoi = ((mnRewardsPerYear * item.avgRewards) / config.coinDetails.masternodeCollateral) * 100;
+        const mnRoi = ((mnRewardsPerYear * item.avgRewards) / blockchain.mncoins) * 100;
         item.value = mnRoi;
         break;
     }
@@ -89,6 +90,8 @@ const syncTimeIntervalSettings = async (timeIntervalSettings) => {
 const syncTimeIntervals = async () => {
   console.log('Syncing time intervals');
 
+  const governanceAddresses = (config.community && config.community.governanceAddresses) || [];
+
   await syncTimeIntervalSettings({
     type: TimeIntervalType.DailyAvgPosRoi,
     timeIntervalColumn: TimeIntervalColumn.Date,
@@ -147,13 +150,39 @@ const syncTimeIntervals = async () => {
 
     model: BlockRewardDetails,
     aggregationPipeline: [
-      { $match: { 'masternode': { $exists: true } } }, //@todo would be really cool if we could identify if stake exists on block reward Model via a bool? (@todo we now have a bool, redo the query)
+      { $match: { 'masternode': { $exists: true }, 'masternode.addressLabel': { $nin: governanceAddresses } } }, // Governance payouts are not masternode rewards (older rewards might still have them as masternode reward)
       { $project: { 'masternode.ageTime': 1, 'masternode.reward': 1, value: { $dateToString: { format: '%Y-%m-%d', date: '$date' } } } },
       { $group: { _id: '$value', avgAge: { $avg: '$masternode.ageTime' }, avgRewards: { $avg: '$masternode.reward' } } },
       { $sort: { _id: 1 } },
     ]
   });
 
+  await syncTimeIntervalSettings({
+    type: TimeIntervalType.DailyTransactionFees,
+    timeIntervalColumn: TimeIntervalColumn.Date,
+
+    model: CarverMovement,
+    aggregationPipeline: [
+      { $match: { fee: { $gt: 0 } } },
+      { $project: { fee: 1, yearMonthDay: { $dateToString: { format: "%Y-%m-%d", date: "$date" } } } },
+      { $group: { _id: '$yearMonthDay', value: { $sum: '$fee' } } },
+      { $sort: { _id: 1 } }
+    ]
+  });
+
+  await syncTimeIntervalSettings({
+    type: TimeIntervalType.DailyCoinDaysDestroyed,
+    timeIntervalColumn: TimeIntervalColumn.Date,
+
+    model: CarverMovement,
+    aggregationPipeline: [
+      { $match: { coinDaysDestroyed: { $gt: 0 } } },
+      { $project: { coinDaysDestroyed: 1, yearMonthDay: { $dateToString: { format: "%Y-%m-%d", date: "$date" } } } },
+      { $group: { _id: '$yearMonthDay', value: { $sum: '$coinDaysDestroyed' } } },
+      { $sort: { _id: 1 } }
+    ]
+  });
+
   //@todo abg stake.ageTime
 
   //@todo avg tx input (non-reward)
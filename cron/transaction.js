@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// How many times to retry committing a transaction if the commit result is unknown (ex: network error or replica set election)
+const commitRetries = 3;
+
+/**
+ * Make sure MongoDB transactions can be used for block syncing. Transactions require a MongoDB 4.0+ replica set.
+ * MongoDB can't create collections inside of a transaction so all collections that are written to during sync are created here up front.
+ * @param {Array} models Mongoose models that will be written to inside of the transactions.
+ */
+const prepareTransactions = async (models) => {
+  const existingCollections = await mongoose.connection.db.listCollections({}, { nameOnly: true }).toArray();
+  const existingCollectionNames = new Set(existingCollections.map(collection => collection.name));
+
+  for (const model of models) {
+    const collectionName = model.collection.collectionName;
+    if (!existingCollectionNames.has(collectionName)) {
+      await mongoose.connection.db.createCollection(collectionName);
+    }
+  }
+}
+
+/**
+ * Start a new session with a transaction. All of a block's writes are done in this transaction so a block is either fully written or not written at all.
+ */
+const startTransaction = async () => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  return session;
+}
+
+/**
+ * Commit the transaction and end the session. If the result of the commit is unknown the commit is retried.
+ * @param {ClientSession} session Session returned from startTransaction()
+ */
+const commitTransaction = async (session) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await session.commitTransaction();
+      break;
+    } catch (err) {
+      const isUnknownCommitResult = err.errorLabels && err.errorLabels.includes('UnknownTransactionCommitResult');
+      if (!isUnknownCommitResult || attempt >= commitRetries) {
+        throw err;
+      }
+      console.log(`Transaction commit result unknown, retrying commit (${attempt}/${commitRetries})...`);
+    }
+  }
+
+  session.endSession();
+}
+
+/**
+ * Abort the transaction (nothing that was written in it will be stored) and end the session.
+ * @param {ClientSession} session Session returned from startTransaction()
+ */
+const abortTransaction = async (session) => {
+  try {
+    await session.abortTransaction();
+  } catch (err) {
+    console.log('Transaction abort failed:', err);
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Run a query inside of the session (if there is one). Without a session the query is returned as-is.
+ * @param {Query} query Mongoose query
+ * @param {ClientSession} session Session returned from startTransaction() or null
+ */
+const withSession = (query, session) => {
+  return session ? query.session(session) : query;
+}
+
+/**
+ * Options for save() & insertMany() so the write is done inside of the session (if there is one)
+ * @param {ClientSession} session Session returned from startTransaction() or null
+ */
+const getSessionOptions = (session) => {
+  return session ? { session } : {};
+}
+
+module.exports = {
+  prepareTransactions,
+  startTransaction,
+  commitTransaction,
+  abortTransaction,
+  withSession,
+  getSessionOptions
+};
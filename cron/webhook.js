@@ -0,0 +1,167 @@
+require('babel-polyfill');
+const config = require('../config');
+const { exit } = require('../lib/cron');
+const { forEach } = require('p-iteration');
+const http = require('http');
+const https = require('https');
+const locker = require('../lib/locker');
+const net = require('net');
+const { getWebhookSignature, isPublicAddress, lookupPublicAddress, WebhookDeliveryStatus } = require('../lib/webhook');
+const { Webhook, WebhookDelivery } = require('../model/webhook');
+
+// How many deliveries are sent at the same time
+const concurrency = 10;
+
+/**
+ * Post the payload of a delivery to the url of the webhook. Urls that are (or resolve to) an address that isn't public are refused.
+ * @returns {Promise<Number>} Http status of the response
+ */
+const post = (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  return new Promise((resolve, reject) => {
+    const url = new URL(webhook.url);
+
+    // Hosts that are ip addresses are not looked up
+    const address = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(address) && !isPublicAddress(address)) {
+      reject(new Error(`${address} is not a public address`));
+      return;
+    }
+
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': `${config.coinDetails.shortName}-Explorer-Webhook`,
+        'X-Webhook-Id': webhook._id.toString(),
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${getWebhookSignature(webhook.secret, timestamp, body)}`
+      },
+      lookup: lookupPublicAddress,
+      timeout: config.webhooks.timeout * 1000
+    }, (response) => {
+      response.resume(); // The response body is not used
+      resolve(response.statusCode);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`No response in ${config.webhooks.timeout} seconds`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+};
+
+/**
+ * Send a delivery. Failed deliveries are retried with exponential backoff (retryDelay, 2x retryDelay, 4x retryDelay...) until maxAttempts is reached.
+ * The delivery is claimed (status "sending") before it is sent so the block sync knows it might have been sent if it's block is undone in the meantime.
+ */
+const deliver = async (delivery) => {
+  const webhook = delivery.webhook;
+  if (!webhook) {
+    // Webhook was deleted
+    await WebhookDelivery.updateOne({ _id: delivery._id, status: WebhookDeliveryStatus.Pending }, { $set: { status: WebhookDeliveryStatus.Cancelled } });
+    return;
+  }
+
+  const claimedDelivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: WebhookDeliveryStatus.Pending },
+    { $set: { status: WebhookDeliveryStatus.Sending, lastAttemptAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimedDelivery) {
+    return; // Cancelled after it was loaded
+  }
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    responseStatus = await post(webhook, claimedDelivery);
+    if (responseStatus < 200 || responseStatus >= 300) {
+      error = `Http status ${responseStatus}`;
+    }
+  } catch (err) {
+    error = err.message || err.toString();
+  }
+
+  let result = { responseStatus, error, nextAttemptAt: null };
+  if (!error) {
+    result = { ...result, status: WebhookDeliveryStatus.Delivered, deliveredAt: new Date() };
+  } else if (claimedDelivery.attempts >= config.webhooks.maxAttempts) {
+    result = { ...result, status: WebhookDeliveryStatus.Failed };
+  } else {
+    result = { ...result, status: WebhookDeliveryStatus.Pending, nextAttemptAt: new Date(Date.now() + config.webhooks.retryDelay * 1000 * Math.pow(2, claimedDelivery.attempts - 1)) };
+  }
+
+  config.verboseCron && console.log(`${claimedDelivery.event} ${claimedDelivery.txId} -> ${webhook.url}: ${error || 'delivered'}`);
+
+  // Only store the result of our own claim
+  const update = await WebhookDelivery.updateOne({ _id: claimedDelivery._id, status: WebhookDeliveryStatus.Sending, attempts: claimedDelivery.attempts }, { $set: result });
+  if (!update.n) {
+    console.log(`Webhook delivery ${claimedDelivery._id} was changed while it was being sent, the result is not stored`);
+  }
+};
+
+/**
+ * Send all deliveries that are due and remove old deliveries from the delivery log.
+ */
+async function syncWebhooks() {
+  let deliveredCount = 0;
+
+  // We're holding the lock so deliveries that are still claimed were left behind by a run that crashed, send them again
+  await WebhookDelivery.updateMany({ status: WebhookDeliveryStatus.Sending }, { $set: { status: WebhookDeliveryStatus.Pending, nextAttemptAt: new Date() } });
+
+  // Deliveries that fail are rescheduled in the future so this ends once every due delivery was attempted
+  while (true) {
+    const deliveries = await WebhookDelivery
+      .find({ status: WebhookDeliveryStatus.Pending, nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(concurrency * 10)
+      .populate('webhook');
+    if (!deliveries.length) {
+      break;
+    }
+
+    for (let i = 0; i < deliveries.length; i += concurrency) {
+      await forEach(deliveries.slice(i, i + concurrency), deliver);
+    }
+    deliveredCount += deliveries.length;
+  }
+
+  const logDate = new Date(Date.now() - config.webhooks.deliveryLogDays * 24 * 60 * 60 * 1000);
+  await WebhookDelivery.deleteMany({
+    status: { $in: [WebhookDeliveryStatus.Delivered, WebhookDeliveryStatus.Failed, WebhookDeliveryStatus.Cancelled] },
+    createdAt: { $lt: logDate }
+  });
+
+  console.log(`Attempted ${deliveredCount} webhook deliveries (${await Webhook.find().count()} webhooks)`);
+}
+
+/**
+ * Handle locking.
+ */
+async function update() {
+  const type = 'webhook';
+  let code = 0;
+
+  try {
+    locker.lock(type);
+    await syncWebhooks();
+  } catch (err) {
+    console.log(err);
+    code = 1;
+  } finally {
+    try {
+      locker.unlock(type);
+    } catch (err) {
+      console.log(err);
+      code = 1;
+    }
+    exit(code);
+  }
+}
+
+update();
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const { CarverAddressType, getRewardedAddressLabel } = require('../lib/carver2d');
+const { WebhookDeliveryStatus, WebhookEvent } = require('../lib/webhook');
+const { Webhook, WebhookDelivery } = require('../model/webhook');
+
+/**
+ * Webhook deliveries are queued by the block sync as it writes the CarverAddressMovements of a block (and reverted when blocks are undone).
+ * They are sent by cron/webhook.js.
+ */
+
+// Webhooks are added through the api (another process) so they are reloaded every few seconds
+const webhookCacheTime = 10000; // 10 seconds
+let webhookCache = { addresses: new Map(), loadedAt: 0 };
+
+// Reward addresses ("bAddress1:POS") pay rewards to the address before the ":"
+const RewardTypes = {
+  [CarverAddressType.ProofOfStake]: 'stake',
+  [CarverAddressType.Masternode]: 'masternode',
+  [CarverAddressType.ProofOfWork]: 'pow',
+  [CarverAddressType.Governance]: 'governance'
+};
+
+/**
+ * Every address that has webhooks. Cached for a few seconds so this can be called for every synced block.
+ * @returns {Map} Map<addressLabel, Array<Webhook>>
+ */
+const getWebhookAddresses = async () => {
+  if (Date.now() - webhookCache.loadedAt < webhookCacheTime) {
+    return webhookCache.addresses;
+  }
+
+  const webhooks = await Webhook.find({}, { secret: 0 });
+  let addresses = new Map();
+  webhooks.forEach(webhook => addresses.set(webhook.address, [...(addresses.get(webhook.address) || []), webhook]));
+
+  webhookCache = { addresses, loadedAt: Date.now() };
+  return addresses;
+};
+
+/**
+ * Address activity of a movement of a tx that webhooks can be notified of
+ * @param {CarverAddress} carverAddress Address of the movement
+ * @param {Object} movementData Consolidated movement of the address in the tx ({ amountIn, amountOut })
+ * @param {Boolean} isReward Is this a POW/POS tx?
+ * @returns {Object} { label, event, amount, rewardType } or null if this isn't activity of a normal address
+ */
+const getWebhookActivity = (carverAddress, movementData, isReward) => {
+  const rewardType = RewardTypes[carverAddress.carverAddressType];
+  if (rewardType) {
+    return movementData.amountOut > 0
+      ? { label: getRewardedAddressLabel(carverAddress.label), event: WebhookEvent.Reward, amount: movementData.amountOut, rewardType }
+      : null;
+  }
+
+  // The stake input & output of a reward tx is not activity (the reward is reported above)
+  if (isReward || carverAddress.carverAddressType !== CarverAddressType.Address) {
+    return null;
+  }
+
+  const amount = parseFloat((movementData.amountIn - movementData.amountOut).toFixed(8));
+  if (amount === 0) {
+    return null;
+  }
+  return { label: carverAddress.label, event: amount > 0 ? WebhookEvent.Received : WebhookEvent.Sent, amount: Math.abs(amount) };
+};
+
+/**
+ * New delivery of a webhook. The id of the delivery is part of the payload so receivers can ignore retries they already processed.
+ */
+const getDelivery = (webhookId, payload, status, confirmHeight = undefined) => {
+  const _id = new mongoose.Types.ObjectId();
+
+  return new WebhookDelivery({
+    _id,
+    webhook: webhookId,
+    event: payload.event,
+    payload: { id: _id.toString(), ...payload },
+    address: payload.address,
+    txId: payload.txId,
+    blockHeight: payload.blockHeight,
+    sequence: payload.sequence,
+    status,
+    confirmHeight,
+    nextAttemptAt: status === WebhookDeliveryStatus.Pending ? new Date() : undefined,
+    createdAt: new Date()
+  });
+};
+
+/**
+ * Queue the deliveries of a block (called before the block is saved so they are written in the same transaction as the block).
+ * Also releases the "confirmed" deliveries that have enough confirmations with this block.
+ * @param {Block} block The block that is being synced
+ * @param {Array} activities [{ label, event, amount, rewardType, txId, addressMovement }] Activity of addresses with webhooks in this block
+ * @param {Map} webhookAddresses From getWebhookAddresses()
+ * @param {Object} sessionOptions Options of the block sync transaction
+ */
+const queueBlockDeliveries = async (block, activities, webhookAddresses, sessionOptions) => {
+  if (!webhookAddresses.size) {
+    return;
+  }
+
+  let deliveries = [];
+  activities.forEach(({ label, event, amount, rewardType, txId, addressMovement }) => {
+    const payload = {
+      event,
+      address: label,
+      txId,
+      blockHeight: block.height,
+      blockHash: block.hash,
+      date: addressMovement.date,
+      sequence: addressMovement.sequence,
+      amount,
+      ...(rewardType
+        ? { rewardType }
+        : {
+          amountIn: addressMovement.amountIn,
+          amountOut: addressMovement.amountOut,
+          balance: addressMovement.balance + addressMovement.amountIn - addressMovement.amountOut // Balance after the tx
+        })
+    };
+
+    // Webhooks that were added after this block was synced before (ex: while resyncing) don't get old activity
+    const webhooks = (webhookAddresses.get(label) || []).filter(webhook => webhook.createdHeight < block.height);
+    webhooks.forEach(webhook => {
+      if (webhook.events.includes(event)) {
+        deliveries.push(getDelivery(webhook._id, payload, WebhookDeliveryStatus.Pending));
+      }
+      if (webhook.events.includes(WebhookEvent.Confirmed)) {
+        const confirmHeight = block.height + webhook.confirmations - 1; // The block of the tx is the first confirmation
+        deliveries.push(getDelivery(
+          webhook._id,
+          { ...payload, event: WebhookEvent.Confirmed, confirmedEvent: event, confirmations: webhook.confirmations },
+          confirmHeight <= block.height ? WebhookDeliveryStatus.Pending : WebhookDeliveryStatus.Waiting,
+          confirmHeight
+        ));
+      }
+    });
+  });
+
+  if (deliveries.length) {
+    await WebhookDelivery.insertMany(deliveries, sessionOptions);
+  }
+  await WebhookDelivery.updateMany(
+    { status: WebhookDeliveryStatus.Waiting, confirmHeight: { $lte: block.height } },
+    { $set: { status: WebhookDeliveryStatus.Pending, nextAttemptAt: new Date() } },
+    sessionOptions
+  );
+};
+
+/**
+ * Blocks >= height are being undone. Events that were (or might have been) sent get a "reverted" delivery, the rest are cancelled.
+ * Deliveries that cron/webhook.js is retrying ("pending" after a failed attempt) or sending right now ("sending") might have reached the receiver
+ * so they get a "reverted" delivery as well and are cancelled so the event is never sent after it's "reverted" delivery.
+ * @param {Number} height First block that is undone
+ */
+const revertDeliveries = async (height) => {
+  // Never attempted, nothing to revert
+  await WebhookDelivery.updateMany({
+    blockHeight: { $gte: height },
+    event: { $ne: WebhookEvent.Reverted },
+    $or: [
+      { status: WebhookDeliveryStatus.Waiting },
+      { status: WebhookDeliveryStatus.Pending, attempts: 0 }
+    ]
+  }, { $set: { status: WebhookDeliveryStatus.Cancelled } });
+
+  const deliveries = await WebhookDelivery.find({
+    blockHeight: { $gte: height },
+    event: { $ne: WebhookEvent.Reverted },
+    status: { $ne: WebhookDeliveryStatus.Cancelled },
+    isReverted: false
+  });
+  if (deliveries.length) {
+    console.log(`Reverting ${deliveries.length} webhook deliveries`);
+    await WebhookDelivery.insertMany(deliveries.map(delivery => {
+      const { id, ...payload } = delivery.payload;
+      return getDelivery(delivery.webhook, { ...payload, event: WebhookEvent.Reverted, revertedEvent: delivery.event, revertedId: id }, WebhookDeliveryStatus.Pending);
+    }));
+    await WebhookDelivery.updateMany({ _id: { $in: deliveries.map(delivery => delivery._id) } }, { $set: { isReverted: true } });
+  }
+
+  // Stop retrying the reverted events (a delivery that is being sent keeps it's cancelled status, see deliver() in cron/webhook.js)
+  await WebhookDelivery.updateMany({
+    blockHeight: { $gte: height },
+    event: { $ne: WebhookEvent.Reverted },
+    status: { $in: [WebhookDeliveryStatus.Pending, WebhookDeliveryStatus.Sending] }
+  }, { $set: { status: WebhookDeliveryStatus.Cancelled, nextAttemptAt: null } });
+};
+
+module.exports = {
+  getWebhookActivity,
+  getWebhookAddresses,
+  queueBlockDeliveries,
+  revertDeliveries
+};
@@ -0,0 +1,181 @@
+/**
+ * Address
+ *
+ * Decoding of base58check & bech32 (segwit) addresses so they can be validated against the address formats of the coin profile.
+ */
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1; // Witness v0 addresses
+const BECH32M_CONST = 0x2bc830a3; // Witness v1+ addresses (taproot)
+
+/**
+ * SHA-256 of a byte array (webpack bundles crypto-browserify for the client)
+ * @param {Array} bytes Data to hash
+ * @returns {Buffer} 32 byte hash
+ */
+const sha256 = bytes => crypto.createHash('sha256').update(Buffer.from(bytes)).digest();
+
+/**
+ * Decode a base58check string into it's payload (version bytes + hash)
+ * @param {String} s Base58check encoded string
+ * @returns {Array} Payload bytes. Null if the string is not base58 or the checksum doesn't match
+ */
+const decodeBase58Check = (s) => {
+  let bytes = []; // Little endian while decoding
+  for (let i = 0; i < s.length; i++) {
+    const value = BASE58_ALPHABET.indexOf(s[i]);
+    if (value === -1) {
+      return null;
+    }
+
+    let carry = value;
+    for (let j = 0; j < bytes.length; j++) {
+      carry += bytes[j] * 58;
+      bytes[j] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  // Each leading "1" is a zero byte
+  for (let i = 0; i < s.length && s[i] === '1'; i++) {
+    bytes.push(0);
+  }
+  bytes.reverse();
+
+  if (bytes.length < 5) {
+    return null;
+  }
+
+  const payload = bytes.slice(0, -4);
+  const checksum = sha256(sha256(payload));
+  if (bytes.slice(-4).some((byte, index) => byte !== checksum[index])) {
+    return null;
+  }
+
+  return payload;
+};
+
+const bech32Polymod = (values) => {
+  const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  values.forEach(value => {
+    const top = chk >> 25;
+    chk = (chk & 0x1ffffff) << 5 ^ value;
+    generator.forEach((g, i) => {
+      if ((top >> i) & 1) {
+        chk ^= g;
+      }
+    });
+  });
+  return chk;
+};
+
+const bech32HrpExpand = hrp => [
+  ...hrp.split('').map(c => c.charCodeAt(0) >> 5),
+  0,
+  ...hrp.split('').map(c => c.charCodeAt(0) & 31)
+];
+
+/**
+ * Regroup 5 bit words into bytes
+ * @returns {Array} Null if there is leftover padding
+ */
+const fromWords = (words) => {
+  let acc = 0;
+  let bits = 0;
+  let bytes = [];
+  for (const word of words) {
+    acc = (acc << 5) | word;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+    }
+  }
+  if (bits >= 5 || ((acc << (8 - bits)) & 0xff)) {
+    return null;
+  }
+  return bytes;
+};
+
+/**
+ * Decode a segwit (bech32 / bech32m) address
+ * @param {String} s Segwit address (ex: bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4)
+ * @returns {Object} { hrp, version, program }. Null if the address is not a valid segwit address
+ */
+const decodeSegwitAddress = (s) => {
+  if (s.length > 90 || (s !== s.toLowerCase() && s !== s.toUpperCase())) {
+    return null;
+  }
+
+  const address = s.toLowerCase();
+  const separatorIndex = address.lastIndexOf('1');
+  if (separatorIndex < 1 || separatorIndex + 7 > address.length) {
+    return null;
+  }
+
+  const hrp = address.slice(0, separatorIndex);
+  const words = address.slice(separatorIndex + 1).split('').map(c => BECH32_ALPHABET.indexOf(c));
+  if (words.some(word => word === -1)) {
+    return null;
+  }
+
+  const version = words[0];
+  const checksum = bech32Polymod([...bech32HrpExpand(hrp), ...words]);
+  if (version > 16 || checksum !== (version === 0 ? BECH32_CONST : BECH32M_CONST)) {
+    return null;
+  }
+
+  const program = fromWords(words.slice(1, -6));
+  if (!program || program.length < 2 || program.length > 40 || version === 0 && program.length !== 20 && program.length !== 32) {
+    return null;
+  }
+
+  return { hrp, version, program };
+};
+
+/**
+ * Find the address format (from the coin profile) that an address is encoded in
+ * Formats: { encoding: 'base58check', version: 85 } (version can be an array for multi byte versions) or { encoding: 'bech32', hrp: 'bc' }
+ * @param {String} s Address
+ * @param {Array} addressFormats Address formats of the coin profile
+ * @returns {Object} Matching address format. Null if the address is not valid for any of the formats
+ */
+const getAddressFormat = (s, addressFormats) => {
+  if (typeof (s) !== 'string' || s.length === 0) {
+    return null;
+  }
+
+  const payload = decodeBase58Check(s);
+  const segwitAddress = decodeSegwitAddress(s);
+
+  return addressFormats.find(addressFormat => {
+    switch (addressFormat.encoding) {
+      case 'base58check':
+        {
+          const version = [].concat(addressFormat.version);
+          return !!payload &&
+            payload.length === version.length + 20 &&
+            version.every((byte, index) => payload[index] === byte);
+        }
+      case 'bech32':
+        return !!segwitAddress && segwitAddress.hrp === addressFormat.hrp;
+      case 'base58':
+        // Length only (profiles from before base58check versions were supported)
+        return s.length === addressFormat.length;
+    }
+    return false;
+  }) || null;
+};
+
+module.exports = {
+  decodeBase58Check,
+  decodeSegwitAddress,
+  getAddressFormat
+};
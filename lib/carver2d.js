@@ -16,7 +16,19 @@ const CarverAddressType = {
   AddressPosRewards: 11,
   AddressMnRewards: 12,
   ProofOfWork: 13,
-  Premine: 14
+  Premine: 14,
+  Multisig: 15,   // Bare multisig (or any output with more than one address). Synthetic address derived from the sorted address set and m-of-n threshold
+  Quarantine: 16, // Outputs with unknown scriptPubKey types end up here (instead of halting the sync)
+  DevFund: 17     // Source of reward tx outputs paid to the dev fund addresses of the coin profile (rewardPayees.devFundAddresses)
+}
+
+/**
+ * Daily address tags. Each day the top address of each type earns the tag (see cron/addressTags.js)
+ */
+const CarverAddressTagType = {
+  MostPosRewards: 0,  // Most stakes in a day
+  BiggestMovement: 1, // Largest amount sent in a single tx in a day
+  MostMovements: 2    // Most (non-reward) txs in a day
 }
 
 /**
@@ -78,7 +90,53 @@ const CarverMovementType = {
    */
   TxToPosOutputAddress: 1000
 }
+/**
+ * Multisig outputs are owned by a set of addresses, so they get their own synthetic carver address.
+ * The label is derived from sorted address set and the m-of-n threshold so the same set always resolves to the same carver address.
+ * Example: "MULTISIG:2-of-3:bAddress1,bAddress2,bAddress3"
+ * @param {Array} addresses Addresses in the scriptPubKey
+ * @param {Number} requiredSignatures How many signatures are required to spend the output (m)
+ */
+const getMultisigAddressLabel = (addresses, requiredSignatures) => {
+  const sortedAddresses = [...addresses].sort();
+  return `MULTISIG:${requiredSignatures}-of-${sortedAddresses.length}:${sortedAddresses.join(',')}`;
+}
+
+/**
+ * Reward addresses are labeled with the address they pay to and one of these suffixes (ex: "bAddress1:POS")
+ */
+const RewardAddressSuffixes = {
+  [CarverAddressType.ProofOfStake]: 'POS',
+  [CarverAddressType.ProofOfWork]: 'POW',
+  [CarverAddressType.Masternode]: 'MN',
+  [CarverAddressType.Governance]: 'GOV',
+  [CarverAddressType.DevFund]: 'DEV'
+};
+
+/**
+ * Rewards are paid out of reward addresses (ex: "bAddress1:POS"). The address that received the reward ("bAddress1") keeps a count & total of them in these fields.
+ */
+const RewardCounterFields = {
+  [CarverAddressType.ProofOfStake]: { count: 'posCountIn', value: 'posValueIn' },
+  [CarverAddressType.Masternode]: { count: 'mnCountIn', value: 'mnValueIn' },
+  [CarverAddressType.ProofOfWork]: { count: 'powCountIn', value: 'powValueIn' },
+  [CarverAddressType.Governance]: { count: 'govCountIn', value: 'govValueIn' }
+};
+
+/**
+ * Label of the address that received rewards from a reward address. Example: "bAddress1:POS" => "bAddress1"
+ * @param {String} rewardAddressLabel Label of the reward address
+ */
+const getRewardedAddressLabel = (rewardAddressLabel) => {
+  return rewardAddressLabel.slice(0, rewardAddressLabel.lastIndexOf(':'));
+}
+
 module.exports = {
+  getMultisigAddressLabel,
+  getRewardedAddressLabel,
+  RewardAddressSuffixes,
+  RewardCounterFields,
+  CarverAddressTagType,
   CarverAddressType,
   CarverMovementType,
   CarverTxType
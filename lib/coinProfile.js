@@ -0,0 +1,31 @@
+const config = require('../config');
+
+/**
+ * All of the coin profiles that ship with the explorer. Profiles are required statically so webpack can bundle them for the client calculators.
+ */
+const coinProfiles = {
+  bulwark: require('./coinProfiles/bulwark')
+};
+
+/**
+ * Resolve the coin profile selected in config.coinProfile. It can either be the name of a profile ('bulwark')
+ * or an object that extends a profile and overrides some of it's values. Ex: { extends: 'bulwark', collateralTiers: [50000] }
+ * If config.coinProfile is not set the Bulwark profile is used.
+ */
+const getCoinProfile = (coinProfile = config.coinProfile || 'bulwark') => {
+  const overrides = typeof coinProfile === 'string' ? { extends: coinProfile } : coinProfile;
+  const baseProfileName = overrides.extends || 'bulwark';
+
+  const baseProfile = coinProfiles[baseProfileName];
+  if (!baseProfile) {
+    throw new Error(`Unknown coin profile: ${baseProfileName}. Available profiles: ${Object.keys(coinProfiles).join(', ')}`);
+  }
+
+  const { extends: _, ...profileOverrides } = overrides;
+  return { ...baseProfile, ...profileOverrides };
+};
+
+module.exports = {
+  coinProfiles,
+  getCoinProfile
+};
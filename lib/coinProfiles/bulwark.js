@@ -0,0 +1,110 @@
+/**
+ * Bulwark (BWK) coin profile
+ *
+ * Describes the economics of the chain so the explorer doesn't need any hardcoded per-coin logic.
+ * To add a new coin copy this file, adjust the numbers and register it in lib/coinProfile.js
+ *
+ * Schedules are lists of block height segments. "from" & "to" are inclusive. If "to" is omitted the segment never ends.
+ * Any height that isn't covered by a segment has a value of 0.
+ */
+module.exports = {
+  name: 'Bulwark',
+
+  avgBlockTime: 90,         // Target block time in seconds (1.5 minutes)
+  lastPowBlock: 182700,     // Blocks after this height are Proof Of Stake
+  lastSeesawBlock: 200000,  // Blocks after this height have a fixed masternode reward share
+
+  // Block reward (in coins) for each block height
+  // "rampTo" linearly ramps the subsidy: value / rampTo * height
+  subsidySchedule: [
+    { from: 1, to: 1, value: 50 }, // The premine (489720) is not part of the schedule, block 1 has always been reported as 50
+    { from: 2, to: 959, value: 50, rampTo: 960 },
+    { from: 960, to: 86399, value: 50 },
+    { from: 86400, to: 172799, value: 43.75 },
+    { from: 172800, to: 259199, value: 37.5 },
+    { from: 259200, to: 345600, value: 31.25 },
+
+    // POS Year 1
+    { from: 345601, to: 431999, value: 25 },
+    { from: 432000, to: 518399, value: 21.875 },
+    { from: 518400, to: 604799, value: 18.750 },
+    { from: 604800, to: 691199, value: 15.625 },
+
+    // POS Year 2
+    { from: 691200, to: 777599, value: 12.50 },
+    { from: 777600, to: 863999, value: 10.938 },
+    { from: 864000, to: 950399, value: 9.375 },
+    { from: 950400, to: 1036799, value: 7.812 },
+
+    // POS Year 3
+    { from: 1036800, to: 1123199, value: 6.250 },
+    { from: 1123200, to: 1209599, value: 5.469 },
+    { from: 1209600, to: 1295999, value: 4.688 },
+    { from: 1296000, to: 1382399, value: 3.906 },
+
+    // POS Year 4
+    { from: 1382400, to: 1468799, value: 3.125 },
+    { from: 1468800, to: 1555199, value: 2.734 },
+    { from: 1555200, to: 1641599, value: 2.344 },
+    { from: 1641600, to: 1727999, value: 1.953 },
+
+    { from: 1728001, value: 1.625 }
+  ],
+
+  // Share of the block reward that goes to masternodes for each block height
+  // "share" is a [numerator, denominator] fraction of the block reward (ex: [65, 100] is 65%)
+  // "seesaw: true" segments use the seesawSchedule below instead of a fixed share
+  masternodeRewardSchedule: [
+    { from: 960, to: 28799, share: [1, 5] },
+    { from: 28800, to: 57599, share: [1, 4] },
+    { from: 57600, to: 86399, share: [1, 3] },
+    { from: 86400, to: 182700, share: [1, 2] },
+    { from: 182701, to: 200000, seesaw: true },
+    { from: 200001, share: [65, 100] }
+  ],
+
+  // Seesaw: The more coins are locked in masternodes the smaller their share of the block reward.
+  // Each entry is [max ratio of money supply locked in masternodes, masternode share]. First matching entry wins.
+  seesawSchedule: [
+    [0.01, 0.90], [0.02, 0.88], [0.03, 0.87], [0.04, 0.86],
+    [0.05, 0.85], [0.06, 0.84], [0.07, 0.83], [0.08, 0.82],
+    [0.09, 0.81], [0.10, 0.80], [0.11, 0.79], [0.12, 0.78],
+    [0.13, 0.77], [0.14, 0.76], [0.15, 0.75], [0.16, 0.74],
+    [0.17, 0.73], [0.18, 0.72], [0.19, 0.71], [0.20, 0.70],
+    [0.21, 0.69], [0.22, 0.68], [0.23, 0.67], [0.24, 0.66],
+    [0.25, 0.65], [0.26, 0.64], [0.27, 0.63], [0.28, 0.62],
+    [0.29, 0.61], [0.30, 0.60], [0.31, 0.59], [0.32, 0.58],
+    [0.33, 0.57], [0.34, 0.56], [0.35, 0.55], [0.363, 0.54],
+    [0.376, 0.53], [0.389, 0.52], [0.402, 0.51], [0.415, 0.50],
+    [0.428, 0.49], [0.441, 0.48], [0.454, 0.47], [0.467, 0.46],
+    [0.48, 0.45], [0.493, 0.44], [0.506, 0.43], [0.519, 0.42],
+    [0.532, 0.41], [0.545, 0.40], [0.558, 0.39], [0.571, 0.38],
+    [0.584, 0.37], [0.597, 0.36], [0.61, 0.35], [0.623, 0.34],
+    [0.636, 0.33], [0.649, 0.32], [0.662, 0.31], [0.675, 0.30],
+    [0.688, 0.29], [0.701, 0.28], [0.714, 0.27], [0.727, 0.26],
+    [0.74, 0.25], [0.753, 0.24], [0.766, 0.23], [0.779, 0.22],
+    [0.792, 0.21], [0.805, 0.20], [0.818, 0.19], [0.831, 0.18],
+    [0.844, 0.17], [0.857, 0.16], [0.87, 0.15], [0.883, 0.14],
+    [0.896, 0.13], [0.909, 0.12], [0.922, 0.11], [0.935, 0.10],
+    [0.945, 0.09], [0.961, 0.08], [0.974, 0.07], [0.987, 0.06],
+    [0.99, 0.05]
+  ],
+  seesawDefaultShare: 0.01, // Masternode share if more than the last seesaw ratio of money supply is locked
+
+  // How the outputs of reward txs (coinstake / coinbase) are split between payees
+  // POS: Outputs back to the staking address are the stake (stakes can be split into multiple outputs), all other outputs are masternode payments
+  // POW: Last output is the proof of work reward, all other outputs are masternode payments
+  rewardPayees: {
+    devFundAddresses: [] // Outputs to these addresses are dev fund payments (instead of masternode payments)
+  },
+
+  // Coins required to run a masternode. Multi-tier coins can list multiple tiers (ROI% is calculated on the lowest tier)
+  collateralTiers: [5000],
+
+  // Address formats accepted by search & address validation
+  // base58check: "version" is the address version byte (or array of bytes). bech32: "hrp" is the human readable part of segwit addresses (ex: 'bc')
+  addressFormats: [
+    { encoding: 'base58check', version: 85 }, // Pay to pubkey hash (b...)
+    { encoding: 'base58check', version: 18 }  // Pay to script hash
+  ]
+};
@@ -19,6 +19,17 @@ const dateFormat = (date, fmt = 'YYYY-MM-DD HH:mm:ss') => {
   return `${ moment(date).utc().format(fmt) } UTC`;
 };
 
+/**
+ * Parse a date from a unix timestamp (seconds) or an ISO 8601 date (ex: 2019-01-31).
+ * @param {String} value The timestamp or date string.
+ * @returns {Date} Null if the date is invalid.
+ */
+const parseDate = (value) => {
+  const date = /^\d+$/.test(value) ? moment.unix(parseInt(value, 10)).utc() : moment.utc(value, moment.ISO_8601);
+  return date.isValid() ? date.toDate() : null;
+};
+
 module.exports = {
-  dateFormat
+  dateFormat,
+  parseDate
 };
@@ -14,10 +14,13 @@ const getDSN = () => {
  */
 const getOptions = () => {
   return {
-    auth: { authdb: secretsConfig.db.name },
-    native_parser: true,
+    authSource: secretsConfig.db.name,
     pass: secretsConfig.db.pass,
     promiseLibrary: promise,
+    useCreateIndex: true,
+    useFindAndModify: false,
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
     user: secretsConfig.db.user
   };
 };
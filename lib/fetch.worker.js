@@ -12,11 +12,15 @@ require('babel-polyfill');
 const Promise = require('bluebird');
 const fetch = require('./fetch');
 
-const api = `${process.env.config.api.host}:${process.env.config.api.portWorker}${process.env.config.api.prefix}`; //@todo remove DefinePlugin from webpack and use the public config (as we now have config.server.js)
+const origin = `${process.env.config.api.host}:${process.env.config.api.portWorker}`;
+const api = `${origin}${process.env.config.api.prefix}`; //@todo remove DefinePlugin from webpack and use the public config (as we now have config.server.js)
 
 // Get the address and all transactions related.
 const getAddress = ({ address, ...query }) => fetch(`${api}/address/${address}`, query);
 
+// Get the balance of an address over time.
+const getAddressBalanceHistory = ({ address, ...query }) => fetch(`${api}/address/${address}/balance/history`, query);
+
 // Get the block and transactions.
 const getBlock = query => fetch(`${api}/block/${query}`);
 
@@ -40,6 +44,12 @@ const getCoinsWeek = query => fetch(`${api}/coin/week`, query);
 // Check if hash is a block.
 const getIsBlock = query => fetch(`${api}/block/is/${query}`);
 
+// Request the OpenAPI specification (API page).
+const getOpenApi = () => fetch(`${api}/openapi.json`);
+
+// Try out a call of the API page. Path already includes the prefix (ex: /api/tx, /ext/getlasttxs).
+const tryApi = ({ method, path, query, body }) => fetch(`${origin}${path}`, query, body, method.toUpperCase());
+
 // Request the list of masternodes.
 const getMNs = query => fetch(`${api}/masternode`, query);
 
@@ -49,9 +59,24 @@ const getPeers = () => fetch(`${api}/peer`);
 // Request the supply information.
 const getSupply = () => fetch(`${api}/supply`);
 
+// Request the unconfirmed transactions in mempool.
+const getMempool = query => fetch(`${api}/mempool`, query);
+
+// Request the governance payouts.
+const getGovernance = query => fetch(`${api}/governance`, query);
+
+// Request the staking leaderboards.
+const getStakingLeaderboard = query => fetch(`${api}/leaderboard/staking`, query);
+
+// Request how far the explorer is behind the chain.
+const getSyncStatus = () => fetch(`${api}/status/sync`);
+
 // Get the top 100 wallets.
 const getTop100 = () => fetch(`${api}/top100`);
 
+// Get the top addresses by rewards earned.
+const getTopRewards = query => fetch(`${api}/top/rewards`, query);
+
 // Get transaction by its hash.
 const getTX = query => fetch(`${api}/tx/${query}`);
 
@@ -92,6 +117,9 @@ self.addEventListener('message', (ev) => {
     case 'address':
       action = getAddress;
       break;
+    case 'address-balance-history':
+      action = getAddressBalanceHistory;
+      break;
     case 'block':
       action = getBlock;
       break;
@@ -104,18 +132,36 @@ self.addEventListener('message', (ev) => {
     case 'is-block':
       action = getIsBlock;
       break;
+    case 'openapi':
+      action = getOpenApi;
+      break;
     case 'peers':
       action = getPeers;
       break;
     case 'mns':
       action = getMNs;
       break;
+    case 'mempool':
+      action = getMempool;
+      break;
+    case 'governance':
+      action = getGovernance;
+      break;
     case 'supply':
       action = getSupply;
       break;
+    case 'staking-leaderboard':
+      action = getStakingLeaderboard;
+      break;
+    case 'sync-status':
+      action = getSyncStatus;
+      break;
     case 'top-100':
       action = getTop100;
       break;
+    case 'top-rewards':
+      action = getTopRewards;
+      break;
     case 'tx':
       action = getTX;
       break;
@@ -149,6 +195,9 @@ self.addEventListener('message', (ev) => {
     case 'login':
       action = login;
       break;
+    case 'try-api':
+      action = tryApi;
+      break;
   }
 
   const wk = self;
@@ -40,4 +40,33 @@ const unlock = (type) => {
   fs.unlinkSync(getPath(type));
 };
 
-module.exports = { lock, unlock };
+/**
+ * Get details about who is holding the lock of a cron (null if the cron is not locked).
+ * @param {String} type The cron name.
+ */
+const getLock = (type) => {
+  const p = getPath(type);
+  if (!fs.existsSync(p)) {
+    return null;
+  }
+
+  const pid = parseInt(fs.readFileSync(p, 'utf8'), 10);
+
+  // Signal 0 doesn't send anything, it only checks if the process exists. A lock without a running process is stale (cron crashed without unlocking)
+  let isProcessRunning = false;
+  try {
+    process.kill(pid, 0);
+    isProcessRunning = true;
+  } catch (err) {
+    isProcessRunning = err.code === 'EPERM'; // Process exists but is owned by another user
+  }
+
+  return {
+    type,
+    pid,
+    date: fs.statSync(p).mtime,
+    isProcessRunning
+  };
+};
+
+module.exports = { lock, unlock, getLock };
@@ -4,7 +4,9 @@ const TimeIntervalType = {
   DailyNonRewardTransactionsCount: 1,
   DailyAvgPosInputValue: 2,
   DailyAvgMasternodeAge: 3,
-  DailyAvgMasternodeRoi: 4
+  DailyAvgMasternodeRoi: 4,
+  DailyTransactionFees: 5,
+  DailyCoinDaysDestroyed: 6
 }
 const TimeIntervalColumn = {
   Date
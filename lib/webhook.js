@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Events a webhook can subscribe to. "reverted" is always sent for already sent events of blocks that were undone (reorg).
+ */
+const WebhookEvent = {
+  Received: 'received',   // Address received funds (more in than out in a tx)
+  Sent: 'sent',           // Address sent funds
+  Reward: 'reward',       // Address received a stake, masternode, pow or governance reward
+  Confirmed: 'confirmed', // One of the above reached the required confirmations of the webhook
+  Reverted: 'reverted'    // The block of an event was undone
+};
+
+/**
+ * Status of a WebhookDelivery
+ */
+const WebhookDeliveryStatus = {
+  Waiting: 'waiting',     // "confirmed" event waiting for more blocks
+  Pending: 'pending',     // Will be sent at nextAttemptAt
+  Sending: 'sending',     // Claimed by cron/webhook.js while it is being sent
+  Delivered: 'delivered',
+  Failed: 'failed',       // Ran out of attempts
+  Cancelled: 'cancelled'  // Block was undone before the event was sent (or the webhook was deleted)
+};
+
+/**
+ * Signature of a delivery (X-Webhook-Signature header). Receivers should compute the same HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>" with the secret of the webhook.
+ * @param {String} secret Secret of the webhook
+ * @param {Number} timestamp Unix timestamp of the attempt
+ * @param {String} body Posted json
+ */
+const getWebhookSignature = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Split an ipv6 address into it's 8 groups of 16 bits (an embedded ipv4 address like "::ffff:127.0.0.1" is 2 groups)
+ * @param {String} address Valid ipv6 address
+ */
+const getIPv6Groups = (address) => {
+  let ipv6 = address.split('%')[0]; // Zone index (ex: "fe80::1%eth0")
+  const ipv4 = ipv6.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4) {
+    const bytes = ipv4.slice(1).map(Number);
+    ipv6 = ipv6.slice(0, ipv4.index) + `${((bytes[0] << 8) | bytes[1]).toString(16)}:${((bytes[2] << 8) | bytes[3]).toString(16)}`;
+  }
+
+  const [head, tail] = ipv6.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeroGroups = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeroGroups, ...tailGroups].map(group => parseInt(group, 16));
+};
+
+/**
+ * Can webhooks post to this ip address? Loopback, private, link-local, carrier-grade nat, multicast & reserved ranges are refused
+ * so webhooks can't reach the explorer server itself or it's private network. Ipv6 addresses that embed an ipv4 address (ex: "::ffff:127.0.0.1") are refused as well.
+ * @param {String} address Ip address (ipv4 or ipv6)
+ */
+const isPublicAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b, c] = address.split('.').map(Number);
+    return !(
+      a === 0 || a === 10 || a === 127 || a >= 224 || // This network, private, loopback, multicast & reserved
+      (a === 100 && b >= 64 && b <= 127) || // Carrier-grade nat
+      (a === 169 && b === 254) || // Link-local (ex: cloud metadata services)
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 0 && c === 0) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19)) // Benchmarking
+    );
+  }
+
+  if (net.isIPv6(address)) {
+    const groups = getIPv6Groups(address);
+    return !(
+      groups.slice(0, 5).every(group => group === 0) || // Unspecified, loopback, ipv4-compatible & ipv4-mapped (::ffff:0:0/96)
+      (groups[0] === 0x64 && groups[1] === 0xff9b) || // Nat64
+      (groups[0] & 0xfe00) === 0xfc00 || // Unique local
+      (groups[0] & 0xffc0) === 0xfe80 || // Link-local
+      (groups[0] & 0xffc0) === 0xfec0 || // Site-local
+      (groups[0] & 0xff00) === 0xff00 // Multicast
+    );
+  }
+
+  return false;
+};
+
+/**
+ * dns.lookup() that fails for hostnames that resolve to an address that isn't public (lookup option of http.request).
+ * The address is checked when the delivery is sent as the dns records of a webhook url can change after the webhook was added.
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    // options.all returns every address of the hostname
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const privateAddress = addresses.find(entry => !isPublicAddress(entry.address));
+    if (privateAddress) {
+      callback(new Error(`${hostname} resolves to ${privateAddress.address} which is not a public address`));
+      return;
+    }
+
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  getWebhookSignature,
+  isPublicAddress,
+  lookupPublicAddress,
+  WebhookDeliveryStatus,
+  WebhookEvent
+};
@@ -24,6 +24,9 @@ const Block = mongoose.model('Block', new mongoose.Schema({
   ver: { required: true, type: Number },
   vinsCount: { required: true, type: Number },
   voutsCount: { required: true, type: Number },
+  fee: { type: Number, default: 0 }, // Total fees of all txs in block
+  feeRate: { type: Number, default: 0 }, // Average fee per kB of the txs that paid a fee
+  coinDaysDestroyed: { type: Number, default: 0 }, // Total coin-days destroyed by all txs in block
 
   isConfirmed: { required: true, type: Boolean }, // Block was confirmed after config.blockConfirmations
 
@@ -8,6 +8,7 @@ const mongoose = require('mongoose');
   ->BlockRewardDetailsMasternode
   ->BlockRewardDetailsStake
   -->BlockRewardDetailsStakeInput
+  ->BlockRewardDetailsPayee (one for each payee)
 */
 
 /**
@@ -20,7 +21,7 @@ const BlockRewardDetailsStakeInput = new mongoose.Schema({
   blockHeight: { required: true, type: Number },
   date: { required: true, type: Date },
   isRestake: { required: true, type: Boolean },
-  //restakeCount: { required: true, type: Number }, //@todo How many times we restaked in a row (could have leaderboards for this)
+  restakeCount: { type: Number, default: 0 }, // How many times in a row this input was restaked (0 = input was not a stake reward). Used for leaderboards.
   vinCount: { required: true, type: Number },
   voutCount: { required: true, type: Number },
 }, { _id: false, versionKey: false });
@@ -59,6 +60,16 @@ const BlockRewardDetailsProofOfWork = new mongoose.Schema({
   reward: { required: true, type: Number },
 }, { _id: false, versionKey: false });
 
+/**
+ * Structure for each payee of the reward (stake, proof of work, masternodes & dev fund). A reward can have multiple masternode & dev fund payees.
+ */
+const BlockRewardDetailsPayee = new mongoose.Schema({
+  carverAddressType: { required: true, type: Number }, // CarverAddressType of the reward address (ProofOfStake, ProofOfWork, Masternode, Governance or DevFund)
+  addressLabel: { index: true, required: true, type: String },
+  carverAddress: { type: mongoose.Schema.Types.ObjectId, ref: 'CarverAddress' },
+  reward: { required: true, type: Number },
+  outputs: { required: true, type: Number }, // How many outputs of the reward tx were paid to this payee (ex: stake split into multiple outputs)
+}, { _id: false, versionKey: false });
 
 /**
  * Structure for detailed breakdown of the reward
@@ -71,17 +82,20 @@ const blockRewardDetailsSchema = new mongoose.Schema({
   txId: { required: true, type: String }, //@todo add CarverMovement (instead of txId)
 
   stake: { type: BlockRewardDetailsStake },
-  masternode: { type: BlockRewardDetailsMasternode },
+  masternode: { type: BlockRewardDetailsMasternode }, // If there are multiple masternode payees this is the one with the largest reward
   proofOfWork: { type: BlockRewardDetailsProofOfWork },
+  payees: { type: [BlockRewardDetailsPayee], default: undefined }, // Every payee of the reward (older rewards might not have this)
 
   hasStakeReward: { required: true, type: Boolean },
   hasMasternodeReward: { required: true, type: Boolean },
   hasPoofOfWorkReward: { required: true, type: Boolean },
+  hasGovernanceReward: { type: Boolean, default: false }, // Paid out to one of config.community.governanceAddresses
 }, { versionKey: false });
 
 blockRewardDetailsSchema.index({ hasStakeReward: 1, blockHeight: 1 }, { partialFilterExpression: { hasStakeReward: true } });
 blockRewardDetailsSchema.index({ hasMasternodeReward: 1, blockHeight: 1 }, { partialFilterExpression: { hasMasternodeReward: true } });
 blockRewardDetailsSchema.index({ hasPoofOfWorkReward: 1, blockHeight: 1 }, { partialFilterExpression: { hasPoofOfWorkReward: true } });
+blockRewardDetailsSchema.index({ hasGovernanceReward: 1, blockHeight: 1 }, { partialFilterExpression: { hasGovernanceReward: true } });
 
 /**
  * Block Reward Details
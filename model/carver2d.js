@@ -10,6 +10,15 @@ db.carverAddresses.aggregate([{ $indexStats: {} },{$match:{"accesses.ops":0}}])
 @todo We can further optimize indexes by adding conditions to them
 */
 
+/**
+ * How many times an address earned a daily tag (history of each tag is stored in CarverAddressTag)
+ */
+const carverAddressTagCountSchema = new mongoose.Schema({
+  type: { required: true, type: Number }, // CarverAddressTagType
+  count: { required: true, type: Number },
+  lastDate: { required: true, type: Date } // Day the tag was last earned
+}, { _id: false, versionKey: false });
+
 const carverAddressSchema = new mongoose.Schema({
   _id: mongoose.Schema.Types.ObjectId,
   label: { required: true, unique: true, index: true, type: String },
@@ -28,28 +37,44 @@ const carverAddressSchema = new mongoose.Schema({
   countOut: { required: true, type: Number/*, index: true*/ },
   tag: { type: String },  // You can tag certain addresses for batch actions (this field is indexed sparsely)
 
-  //tags: [{ type, count }], //@todo add daily address-based tags (ex: most pos rewards in day, biggest movement of day, most movements in day)
+  // Multisig (CarverAddressType.Multisig only). Addresses that own this output and how many of them are required to spend it (m-of-n)
+  multisigAddresses: { type: [String], default: undefined }, // default: undefined so normal addresses do not store an empty array (sparse index)
+  multisigRequiredSignatures: { type: Number },
+
+  tags: { type: [carverAddressTagCountSchema], default: undefined }, // Daily address-based tags (ex: most pos rewards in day, biggest movement of day, most movements in day). Filled in by cron/addressTags.js
 
-  // Track rewards (CarverAddressType.Address only). That way we can subtract them from countIn/countOut to get number of non-reward txs
-  //posCountIn: { type: Number,/*, index: true*/ },
-  //posValueIn: { type: Number/*, index: true*/ },
+  // Track rewards (Addresses that received rewards only, see RewardCounterFields). These are the countOut/valueOut of the ":POS", ":MN", ":POW" & ":GOV" reward addresses
+  // Addresses synced before these fields were added are backfilled with: node ./cron/migrate.js rewardCounters
+  posCountIn: { type: Number, default: 0 },
+  posValueIn: { type: Number, default: 0 },
 
-  //mnCountIn: { type: Number/*, index: true*/ },
-  //mnValueIn: { type: Number/*, index: true*/ },
+  mnCountIn: { type: Number, default: 0 },
+  mnValueIn: { type: Number, default: 0 },
 
-  //powCountIn: { type: Number/*, index: true*/ },
-  //powValueIn: { type: Number/*, index: true*/ },
+  powCountIn: { type: Number, default: 0 },
+  powValueIn: { type: Number, default: 0 },
+
+  govCountIn: { type: Number, default: 0 },
+  govValueIn: { type: Number, default: 0 },
+
+  // Staking totals (posCountIn is the number of stakes). Backfilled with: node ./cron/migrate.js stakeTotals
+  posBestRoi: { type: Number, default: 0 },
+  posLongestRestakeStreak: { type: Number, default: 0 },
 
   sequence: { index: true, required: true, type: Number } // Not unique because two addresses can have same sequence
 }, { _id: false, versionKey: false });
 
 
 carverAddressSchema.index({ tag: 1 }, { sparse: true }); // Important compound index as we're doing a lot of find()+sort by carverAddresType/sequence
+carverAddressSchema.index({ multisigAddresses: 1 }, { sparse: true }); // For finding all multisig addresses that an address is part of (address page)
 carverAddressSchema.index({ carverAddressType: 1, sequence: 1 }); // Important compound index as we're doing a lot of find()+sort by carverAddresType/sequence
 carverAddressSchema.index({ carverAddressType: 1, valueOut: 1 }); // Since we have new Sort By "Value"
 carverAddressSchema.index({ carverAddressType: 1, lastMovementBlockHeight: 1 }); // For use in sorting by last action done (ex: most recent movement of address, last mn reward, last pos reward)
 
 carverAddressSchema.index({ carverAddressType: 1, balance: 1 }); // For rich list and masternode list (it's sorted by balance)
+carverAddressSchema.index({ posValueIn: 1 }, { partialFilterExpression: { posValueIn: { $gt: 0 } } }); // For top stakers
+carverAddressSchema.index({ mnValueIn: 1 }, { partialFilterExpression: { mnValueIn: { $gt: 0 } } }); // For top masternode earners
+carverAddressSchema.index({ posLongestRestakeStreak: 1 }, { partialFilterExpression: { posLongestRestakeStreak: { $gt: 0 } } }); // For staking leaderboard
 
 const CarverAddress = mongoose.model('CarverAddress', carverAddressSchema, 'carverAddresses');
 
@@ -71,6 +96,12 @@ const carverMovementsSchema = new mongoose.Schema({
   addressesIn: { required: true, type: Number/*, index: true*/ },
   addressesOut: { required: true, type: Number/*, index: true*/ },
   isReward: { required: true, type: Boolean },
+
+  // amountOut - amountIn of a movement is the fee (rewards & zerocoin spends don't pay fees)
+  fee: { type: Number, default: 0 },
+  size: { type: Number }, // In bytes
+  feeRate: { type: Number, default: 0 }, // Fee per kB
+  coinDaysDestroyed: { type: Number, default: 0 }, // Sum of amount * days since creation of all spent utxos
   blockRewardDetails: { type: mongoose.Schema.Types.ObjectId, ref: 'BlockRewardDetails' },
 
   //fromBalance: { required: true, type: Number },
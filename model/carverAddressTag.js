@@ -0,0 +1,24 @@
+
+const mongoose = require('mongoose');
+
+/**
+ * Daily Address Tags
+ *
+ * History of which address earned which tag (CarverAddressTagType) and when. One tag of each type is awarded per day.
+ */
+const carverAddressTagSchema = new mongoose.Schema({
+  type: { required: true, type: Number },
+  label: { required: true, type: String }, // Day the tag was earned (ex: 2018-07-25)
+  date: { required: true, type: Date }, // The above day in date form (start of the day in UTC)
+
+  carverAddress: { index: true, required: true, type: mongoose.Schema.Types.ObjectId, ref: 'CarverAddress' },
+  addressLabel: { required: true, type: String },
+  value: { required: true, type: Number }, // What the tag was earned for (ex: number of stakes, amount moved)
+}, { versionKey: false });
+carverAddressTagSchema.index({ type: 1, date: 1 }, { unique: true });
+
+const CarverAddressTag = mongoose.model('CarverAddressTag', carverAddressTagSchema, 'carverAddressTags');
+
+module.exports = {
+  CarverAddressTag
+}
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Unconfirmed transaction that is currently in the coin daemon mempool (filled by cron/mempool.js)
+ * Entries are removed as soon as they are mined or dropped from the mempool.
+ */
+const mempoolTxSchema = new mongoose.Schema({
+  txId: { required: true, unique: true, index: true, type: String },
+  txType: { required: true, type: Number }, // CarverTxType
+  date: { required: true, index: true, type: Date }, // When the tx entered the mempool
+  size: { type: Number },
+  amountIn: { required: true, type: Number },
+  amountOut: { required: true, type: Number },
+  vinsCount: { required: true, type: Number },
+  voutsCount: { required: true, type: Number },
+
+  // Parsed Carver2D movements of this tx (same as CarverAddressMovement but not linked to a CarverAddress as the addresses might not exist yet)
+  addressMovements: [{
+    _id: false,
+    label: { required: true, type: String },
+    carverAddressType: { required: true, type: Number },
+    amountIn: { required: true, type: Number },
+    amountOut: { required: true, type: Number }
+  }],
+
+  // Outputs of this tx. Other mempool txs can spend these before they are mined
+  utxos: [{
+    _id: false,
+    label: { required: true, type: String },
+    amount: { required: true, type: Number },
+    addressLabel: { required: true, type: String }
+  }]
+}, { versionKey: false });
+
+mempoolTxSchema.index({ 'addressMovements.label': 1 });
+mempoolTxSchema.index({ 'utxos.label': 1 });
+
+const MempoolTx = mongoose.model('MempoolTx', mempoolTxSchema, 'mempoolTxs');
+module.exports = {
+  MempoolTx
+}
@@ -0,0 +1,26 @@
+
+const mongoose = require('mongoose');
+
+/**
+ * OP_RETURN (nulldata) output payloads
+ *
+ * Projects on our chain embed data (notarization hashes, memos, etc) in OP_RETURN outputs. The value of these outputs is still moved to the BURN address.
+ */
+const OpReturnSchema = new mongoose.Schema({
+  txId: { required: true, type: String },
+  vout: { required: true, type: Number }, // Output index (n) in the tx
+  blockHeight: { index: true, required: true, type: Number },
+  date: { required: true, type: Date },
+  value: { required: true, type: Number }, // Amount burned by the output (usually 0)
+
+  raw: { type: String, default: '' }, // Full scriptPubKey hex (including OP_RETURN)
+  hex: { index: true, type: String, default: '' }, // Data pushed after OP_RETURN in hex. Indexed for prefix searches
+  utf8: { type: String, default: null }, // The above data decoded as UTF-8 (only if it's readable text)
+}, { versionKey: false });
+OpReturnSchema.index({ txId: 1, vout: 1 }, { unique: true });
+
+const OpReturn = mongoose.model('OpReturn', OpReturnSchema, 'opReturns');
+
+module.exports = {
+  OpReturn
+}
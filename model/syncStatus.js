@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * SyncStatus
+ *
+ * Progress of the block sync (cron/block.js or cron/blockDaemon.js). There is only one document (_id: 'block') which is updated while blocks are syncing.
+ * The api reads this to report how far behind the chain the explorer is.
+ */
+const SyncStatus = mongoose.model('SyncStatus', new mongoose.Schema({
+  _id: { required: true, type: String },
+  updatedAt: { required: true, type: Date },
+
+  // Current (or last) sync run
+  isSyncing: { required: true, type: Boolean },
+  syncStartedAt: { type: Date },
+  syncStartHeight: { type: Number },
+  syncHeight: { type: Number },       // Last block that was synced
+  syncTargetHeight: { type: Number }, // Tip of the chain when the sync started
+  blocksPerSecond: { type: Number },
+  txsPerSecond: { type: Number },
+
+  // Spent outputs (UTXO.spentHeight) are only tracked from this height. The spentUtxos migration marks the outputs spent before it & sets it to 1
+  spentUtxosHeight: { type: Number },
+
+  // Last time a block had a different merkle root than the daemon and movements had to be unreconciled
+  lastReorg: {
+    date: { type: Date },
+    height: { type: Number },     // Height of the block with the mismatched merkle root
+    undoHeight: { type: Number }, // All blocks >= this height were undone
+  }
+}, { versionKey: false }), 'syncStatus');
+
+module.exports = SyncStatus;
@@ -6,8 +6,14 @@ const UTXOSchema = new mongoose.Schema({
   blockHeight: { index: true, required: true, type: Number }, // By storing block height we know how many blocks ago/confirmations we have
   amount: { required: true, type: Number }, // By storing block height we know how many blocks ago/confirmations we have
   addressLabel: { required: true, type: String },
+  date: { type: Date }, // When the output was created (for coin-days destroyed). Utxos synced before this was added use the date of the block at blockHeight
+  spentHeight: { type: Number }, // Block that spent this output (not set while the output is unspent or if it was spent before spent outputs were tracked, see SyncStatus.spentUtxosHeight)
+  spentTxId: { type: String }
 }, { _id: false, versionKey: false });
 
+UTXOSchema.index({ addressLabel: 1, spentHeight: 1 }); // Unspent outputs of an address (light wallets)
+UTXOSchema.index({ spentHeight: 1 }, { sparse: true }); // Unspending outputs when undoing blocks
+
 const UTXO = mongoose.model('UTXO', UTXOSchema, 'utxos');
 module.exports = {
   UTXO
@@ -0,0 +1,59 @@
+
+const mongoose = require('mongoose');
+
+/**
+ * Address activity webhooks
+ *
+ * A webhook posts address activity (see WebhookEvent in lib/webhook.js) of one address to a url. Deliveries are queued by the block sync
+ * (cron/block.js) as it writes the CarverAddressMovements and sent by cron/webhook.js.
+ */
+const webhookSchema = new mongoose.Schema({
+  address: { index: true, required: true, type: String }, // Label of the CarverAddress
+  url: { required: true, type: String },
+  events: { required: true, type: [String] },
+  confirmations: { required: true, type: Number }, // "confirmed" events are sent when a movement reaches this many confirmations
+  secret: { required: true, type: String }, // Deliveries are signed with this (HMAC-SHA256). Only shown when the webhook is created.
+
+  createdAt: { required: true, type: Date },
+  createdHeight: { required: true, type: Number }, // Only blocks after this height are delivered (a resync won't replay old activity)
+  isApiKey: { required: true, type: Boolean } // Created with an api key (instead of a signed message of the address)
+}, { versionKey: false });
+
+const Webhook = mongoose.model('Webhook', webhookSchema, 'webhooks');
+
+/**
+ * Delivery log. Every event of a webhook is a delivery which is retried with backoff until it succeeds or runs out of attempts.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: { required: true, type: mongoose.Schema.Types.ObjectId, ref: 'Webhook' },
+  event: { required: true, type: String },
+  payload: { required: true, type: mongoose.Schema.Types.Mixed }, // Posted json body
+
+  address: { required: true, type: String },
+  txId: { required: true, type: String },
+  blockHeight: { index: true, required: true, type: Number },
+  sequence: { required: true, type: Number }, // CarverAddressMovement sequence
+
+  status: { required: true, type: String }, // WebhookDeliveryStatus
+  confirmHeight: { type: Number }, // "waiting" deliveries become "pending" once a block of this height is synced
+  isReverted: { type: Boolean, default: false }, // A "reverted" delivery was queued for this one (the block was undone)
+
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date },
+  lastAttemptAt: { type: Date },
+  responseStatus: { type: Number }, // Http status of the last attempt
+  error: { type: String }, // Why the last attempt failed
+
+  createdAt: { required: true, type: Date },
+  deliveredAt: { type: Date }
+}, { versionKey: false });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 }); // Due deliveries (cron/webhook.js)
+webhookDeliverySchema.index({ status: 1, confirmHeight: 1 }); // Confirmations reached
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 }); // Delivery log of a webhook
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema, 'webhookDeliveries');
+
+module.exports = {
+  Webhook,
+  WebhookDelivery
+}
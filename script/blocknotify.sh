@@ -0,0 +1,7 @@
+#!/bin/bash
+# Wakes up the block sync daemon (cron/blockDaemon.js) as soon as the coin daemon accepts a new block.
+# Add this line to your coin daemon .conf file (edit with your local path):
+# blocknotify=/path/to/blockex/script/blocknotify.sh %s
+#
+# If config.blockSyncDaemon.notifySocket is set use: curl -s -m 5 --unix-socket /path/to/socket "http://localhost/blocknotify/$1"
+curl -s -m 5 "http://127.0.0.1:3001/blocknotify/$1" > /dev/null
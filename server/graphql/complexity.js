@@ -0,0 +1,105 @@
+const { GraphQLInt, Kind, getNamedType, getNullableType, GraphQLList, valueFromAST } = require('graphql');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('./schema');
+
+/**
+ * Query complexity
+ *
+ * Nested queries can fan out very quickly (ex: blocks -> movements -> addressMovements -> carverAddress -> movements) so the depth & cost of a query is calculated before it is executed.
+ * Every field costs 1. The cost of the fields below a list is multiplied by the size of the list (limit argument, or DEFAULT_LIMIT for lists without a limit).
+ * Lists that can grow large have a limit argument, lists without one are always small (ex: reward payees, reward txs of a block).
+ */
+
+/**
+ * Size of the list that a field can return
+ * @param {Object} fieldNode Field in the query
+ * @param {Object} fieldDef Field in the schema
+ * @param {Object} variables Variables of the request
+ */
+const getListSize = (fieldNode, fieldDef, variables) => {
+  const limitArgDef = fieldDef.args.find(arg => arg.name === 'limit');
+  if (!limitArgDef) {
+    return DEFAULT_LIMIT;
+  }
+
+  const limitArgNode = (fieldNode.arguments || []).find(arg => arg.name.value === 'limit');
+  const limit = limitArgNode ? valueFromAST(limitArgNode.value, GraphQLInt, variables) : limitArgDef.defaultValue;
+  return Math.max(Math.min(limit || DEFAULT_LIMIT, MAX_LIMIT), 1);
+};
+
+/**
+ * Calculate the depth & cost of the operation that will be executed
+ * @param {Object} schema GraphQL schema
+ * @param {Object} document Parsed (and validated) query
+ * @param {Object} variables Variables of the request
+ * @param {String} operationName Operation to execute (if the query has more than one)
+ * @returns {Object} { depth, cost }
+ */
+const getQueryComplexity = (schema, document, variables = {}, operationName = null) => {
+  const fragments = {};
+  const operations = [];
+  document.definitions.forEach(definition => {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition;
+    } else if (definition.kind === Kind.OPERATION_DEFINITION) {
+      operations.push(definition);
+    }
+  });
+
+  const operation = operationName
+    ? operations.find(op => op.name && op.name.value === operationName)
+    : operations[0];
+  if (!operation) {
+    return { depth: 0, cost: 0 };
+  }
+
+  const rootType = operation.operation === 'mutation' ? schema.getMutationType() : schema.getQueryType();
+
+  const walk = (selectionSet, parentType, depth) => {
+    let result = { depth, cost: 0 };
+    const add = (child) => {
+      result.depth = Math.max(result.depth, child.depth);
+      result.cost += child.cost;
+    };
+
+    selectionSet.selections.forEach(selection => {
+      switch (selection.kind) {
+        case Kind.FIELD:
+          {
+            const fields = parentType && parentType.getFields ? parentType.getFields() : {};
+            const fieldDef = fields[selection.name.value];
+            if (selection.name.value.startsWith('__') || !fieldDef) {
+              return; // Introspection
+            }
+
+            let child = { depth: depth + 1, cost: 0 };
+            if (selection.selectionSet) {
+              child = walk(selection.selectionSet, getNamedType(fieldDef.type), depth + 1);
+            }
+            const size = getNullableType(fieldDef.type) instanceof GraphQLList ? getListSize(selection, fieldDef, variables) : 1;
+
+            add({ depth: child.depth, cost: 1 + size * child.cost });
+          }
+          break;
+        case Kind.INLINE_FRAGMENT:
+          add(walk(selection.selectionSet, selection.typeCondition ? schema.getType(selection.typeCondition.name.value) : parentType, depth));
+          break;
+        case Kind.FRAGMENT_SPREAD:
+          {
+            const fragment = fragments[selection.name.value];
+            if (fragment) {
+              add(walk(fragment.selectionSet, schema.getType(fragment.typeCondition.name.value), depth));
+            }
+          }
+          break;
+      }
+    });
+
+    return result;
+  };
+
+  return walk(operation.selectionSet, rootType, 0);
+};
+
+module.exports = {
+  getQueryComplexity
+};
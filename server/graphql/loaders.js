@@ -0,0 +1,123 @@
+const Block = require('../../model/block');
+const { BlockRewardDetails } = require('../../model/blockRewardDetails');
+const { CarverAddress, CarverMovement, CarverAddressMovement } = require('../../model/carver2d');
+const Masternode = require('../../model/masternode');
+
+/**
+ * Batch all loads of the same field into a single query (same idea as DataLoader). Ex: loading the carverAddress of 100 movements is one $in query instead of 100 queries.
+ * Results are cached for the lifetime of the loader (one graphql request).
+ * @param {Function} batchLoad async (keys) => Map of key (as string) => value
+ * @param {*} defaultValue Value of keys that were not found (ex: [] for lists)
+ */
+const createLoader = (batchLoad, defaultValue = null) => {
+  const cache = new Map();
+  let pendingLoads = [];
+
+  const dispatch = async () => {
+    const loads = pendingLoads;
+    pendingLoads = [];
+
+    try {
+      const values = await batchLoad([...new Set(loads.map(load => load.key))]);
+      loads.forEach(load => load.resolve(values.has(load.cacheKey) ? values.get(load.cacheKey) : defaultValue));
+    } catch (err) {
+      loads.forEach(load => load.reject(err));
+    }
+  };
+
+  const load = (key) => {
+    if (key === null || key === undefined) {
+      return Promise.resolve(defaultValue);
+    }
+
+    const cacheKey = key.toString();
+    if (!cache.has(cacheKey)) {
+      cache.set(cacheKey, new Promise((resolve, reject) => {
+        pendingLoads.push({ key, cacheKey, resolve, reject });
+
+        // Wait until graphql has called the resolvers of all sibling fields before querying
+        if (pendingLoads.length === 1) {
+          Promise.resolve().then(() => process.nextTick(dispatch));
+        }
+      }));
+    }
+    return cache.get(cacheKey);
+  };
+
+  return { load };
+};
+
+/**
+ * Loader of lists that returns at most "limit" documents per key (one loader per limit & filter) so long lists (ex: thousands of txs in a block) are never loaded fully.
+ * All keys of a batch are one aggregate: each parent document of a key $lookup's the first "limit" documents of it's list (an indexed equality match on foreignKey).
+ * @param {Object} options { parent: Model that has a document for every key, parentKey, model: Model of the list, foreignKey: Field of the list that matches parentKey, sort }
+ * @returns {Function} ({ limit, query }) => Loader. query filters the lists (ex: { isReward: false })
+ */
+const createListLoader = ({ parent, parentKey, model, foreignKey, sort }) => {
+  const loaders = new Map();
+
+  return ({ limit, query = {} }) => {
+    const loaderKey = JSON.stringify({ limit, query });
+    if (!loaders.has(loaderKey)) {
+      loaders.set(loaderKey, createLoader(async (keys) => {
+        const parents = await parent.aggregate([
+          { $match: { [parentKey]: { $in: keys } } },
+          {
+            $lookup: {
+              from: model.collection.name,
+              let: { key: `$${parentKey}` },
+              pipeline: [
+                { $match: { ...query, $expr: { $eq: [`$${foreignKey}`, '$$key'] } } },
+                { $sort: sort },
+                { $limit: limit }
+              ],
+              as: 'list'
+            }
+          },
+          { $project: { [parentKey]: 1, list: 1 } }
+        ]);
+        return new Map(parents.map(doc => [doc[parentKey].toString(), doc.list.map(listDoc => model.hydrate(listDoc))]));
+      }, []));
+    }
+    return loaders.get(loaderKey);
+  };
+};
+
+/**
+ * Map of documents by key (as string)
+ */
+const mapBy = (docs, getKey) => new Map(docs.map(doc => [getKey(doc).toString(), doc]));
+
+/**
+ * Map of lists of documents by key (as string)
+ */
+const groupBy = (docs, getKey) => {
+  const groups = new Map();
+  docs.forEach(doc => {
+    const key = getKey(doc).toString();
+    groups.set(key, [...(groups.get(key) || []), doc]);
+  });
+  return groups;
+};
+
+/**
+ * Loaders are created for every request so cached documents are never shared between requests
+ */
+const createLoaders = () => ({
+  blockByHeight: createLoader(async heights => mapBy(await Block.find({ height: { $in: heights } }), block => block.height)),
+  blockRewardDetailsById: createLoader(async ids => mapBy(await BlockRewardDetails.find({ _id: { $in: ids } }), blockRewardDetails => blockRewardDetails._id)),
+  blockRewardDetailsByHeight: createLoader(async heights => groupBy(await BlockRewardDetails.find({ blockHeight: { $in: heights } }), blockRewardDetails => blockRewardDetails.blockHeight), []),
+  carverAddressById: createLoader(async ids => mapBy(await CarverAddress.find({ _id: { $in: ids } }), carverAddress => carverAddress._id)),
+  carverAddressMovementsByAddressId: createListLoader({ parent: CarverAddress, parentKey: '_id', model: CarverAddressMovement, foreignKey: 'carverAddress', sort: { sequence: -1 } }),
+  carverAddressMovementsByMovementId: createListLoader({ parent: CarverMovement, parentKey: '_id', model: CarverAddressMovement, foreignKey: 'carverMovement', sort: { sequence: 1 } }),
+  carverMovementById: createLoader(async ids => mapBy(await CarverMovement.find({ _id: { $in: ids } }), carverMovement => carverMovement._id)),
+  carverMovementByTxId: createLoader(async txIds => mapBy(await CarverMovement.find({ txId: { $in: txIds } }), carverMovement => carverMovement.txId)),
+  carverMovementsByBlockHeight: createListLoader({ parent: Block, parentKey: 'height', model: CarverMovement, foreignKey: 'blockHeight', sort: { sequence: 1 } }),
+  masternodesByAddress: createListLoader({ parent: CarverAddress, parentKey: 'label', model: Masternode, foreignKey: 'addr', sort: { _id: 1 } }),
+  stakesByAddressId: createListLoader({ parent: CarverAddress, parentKey: '_id', model: BlockRewardDetails, foreignKey: 'stake.carverAddress', sort: { blockHeight: -1 } })
+});
+
+module.exports = {
+  createLoader,
+  createLoaders
+};
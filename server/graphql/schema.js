@@ -0,0 +1,412 @@
+const {
+  GraphQLBoolean,
+  GraphQLFloat,
+  GraphQLID,
+  GraphQLInt,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  GraphQLSchema,
+  GraphQLString
+} = require('graphql');
+
+const Block = require('../../model/block');
+const { BlockRewardDetails } = require('../../model/blockRewardDetails');
+const { CarverAddress, CarverMovement } = require('../../model/carver2d');
+const Masternode = require('../../model/masternode');
+const { TimeInterval } = require('../../model/timeInterval');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/**
+ * Arguments of paginated list fields (newest first). Limit is capped at MAX_LIMIT, complexity.js uses it to calculate the cost of a query.
+ */
+const limitArg = { limit: { type: GraphQLInt, defaultValue: DEFAULT_LIMIT, description: `Max ${MAX_LIMIT}` } };
+const getLimit = args => Math.max(Math.min(args.limit || DEFAULT_LIMIT, MAX_LIMIT), 1);
+
+const dateField = fieldName => ({ type: GraphQLString, description: 'ISO 8601 date', resolve: doc => doc[fieldName] ? doc[fieldName].toISOString() : null });
+const idField = { type: new GraphQLNonNull(GraphQLID), resolve: doc => doc._id };
+
+const BlockType = new GraphQLObjectType({
+  name: 'Block',
+  fields: () => ({
+    height: { type: new GraphQLNonNull(GraphQLInt) },
+    hash: { type: new GraphQLNonNull(GraphQLString) },
+    createdAt: dateField('createdAt'),
+    bits: { type: GraphQLString },
+    confirmations: { type: GraphQLInt },
+    diff: { type: GraphQLString },
+    merkle: { type: GraphQLString },
+    nonce: { type: GraphQLFloat },
+    prev: { type: GraphQLString },
+    size: { type: GraphQLInt },
+    ver: { type: GraphQLInt },
+    vinsCount: { type: GraphQLInt },
+    voutsCount: { type: GraphQLInt },
+    fee: { type: GraphQLFloat },
+    feeRate: { type: GraphQLFloat },
+    coinDaysDestroyed: { type: GraphQLFloat },
+    isConfirmed: { type: GraphQLBoolean },
+    movements: {
+      type: new GraphQLList(CarverMovementType),
+      description: 'Txs of the block (in block order)',
+      args: limitArg,
+      resolve: (block, args, { loaders }) => loaders.carverMovementsByBlockHeight({ limit: getLimit(args) }).load(block.height)
+    },
+    rewardDetails: {
+      type: new GraphQLList(BlockRewardDetailsType),
+      description: 'Reward txs of the block (ex: a stake and the proof of work reward of the same block)',
+      resolve: (block, args, { loaders }) => loaders.blockRewardDetailsByHeight.load(block.height)
+    }
+  })
+});
+
+const CarverAddressTagCountType = new GraphQLObjectType({
+  name: 'CarverAddressTagCount',
+  fields: () => ({
+    type: { type: GraphQLInt, description: 'CarverAddressTagType' },
+    count: { type: GraphQLInt },
+    lastDate: dateField('lastDate')
+  })
+});
+
+const CarverAddressType = new GraphQLObjectType({
+  name: 'CarverAddress',
+  fields: () => ({
+    id: idField,
+    label: { type: new GraphQLNonNull(GraphQLString) },
+    carverAddressType: { type: GraphQLInt },
+    balance: { type: GraphQLFloat },
+    blockHeight: { type: GraphQLInt },
+    date: dateField('date'),
+    lastMovementBlockHeight: { type: GraphQLInt },
+    lastMovementDate: dateField('lastMovementDate'),
+    countIn: { type: GraphQLInt },
+    countOut: { type: GraphQLInt },
+    valueIn: { type: GraphQLFloat },
+    valueOut: { type: GraphQLFloat },
+    posCountIn: { type: GraphQLInt },
+    posValueIn: { type: GraphQLFloat },
+    mnCountIn: { type: GraphQLInt },
+    mnValueIn: { type: GraphQLFloat },
+    powCountIn: { type: GraphQLInt },
+    powValueIn: { type: GraphQLFloat },
+    govCountIn: { type: GraphQLInt },
+    govValueIn: { type: GraphQLFloat },
+    posBestRoi: { type: GraphQLFloat },
+    posLongestRestakeStreak: { type: GraphQLInt },
+    multisigAddresses: { type: new GraphQLList(GraphQLString) },
+    multisigRequiredSignatures: { type: GraphQLInt },
+    tags: { type: new GraphQLList(CarverAddressTagCountType) },
+    sequence: { type: GraphQLInt },
+    movements: {
+      type: new GraphQLList(CarverAddressMovementType),
+      args: {
+        ...limitArg,
+        beforeSequence: { type: GraphQLInt, description: 'Continue after this sequence (sequence of the last movement of the previous page)' },
+        excludeRewards: { type: GraphQLBoolean, defaultValue: false }
+      },
+      resolve: (carverAddress, args, { loaders }) => {
+        let query = {};
+        if (args.beforeSequence !== undefined) {
+          query.sequence = { $lt: args.beforeSequence };
+        }
+        if (args.excludeRewards) {
+          query.isReward = false;
+        }
+        return loaders.carverAddressMovementsByAddressId({ limit: getLimit(args), query }).load(carverAddress._id);
+      }
+    },
+    masternodes: {
+      type: new GraphQLList(MasternodeType),
+      description: 'Masternodes running on this address',
+      args: limitArg,
+      resolve: (carverAddress, args, { loaders }) => loaders.masternodesByAddress({ limit: getLimit(args) }).load(carverAddress.label)
+    },
+    stakes: {
+      type: new GraphQLList(BlockRewardDetailsType),
+      args: {
+        ...limitArg,
+        beforeHeight: { type: GraphQLInt }
+      },
+      resolve: (carverAddress, args, { loaders }) => {
+        let query = {};
+        if (args.beforeHeight !== undefined) {
+          query.blockHeight = { $lt: args.beforeHeight };
+        }
+        return loaders.stakesByAddressId({ limit: getLimit(args), query }).load(carverAddress._id);
+      }
+    }
+  })
+});
+
+const CarverMovementType = new GraphQLObjectType({
+  name: 'CarverMovement',
+  description: 'A tx',
+  fields: () => ({
+    id: idField,
+    txId: { type: new GraphQLNonNull(GraphQLString) },
+    txType: { type: GraphQLInt, description: 'CarverTxType' },
+    amountIn: { type: GraphQLFloat },
+    amountOut: { type: GraphQLFloat },
+    blockHeight: { type: GraphQLInt },
+    date: dateField('date'),
+    addressesIn: { type: GraphQLInt },
+    addressesOut: { type: GraphQLInt },
+    isReward: { type: GraphQLBoolean },
+    fee: { type: GraphQLFloat },
+    size: { type: GraphQLInt },
+    feeRate: { type: GraphQLFloat },
+    coinDaysDestroyed: { type: GraphQLFloat },
+    sequence: { type: GraphQLInt },
+    block: {
+      type: BlockType,
+      resolve: (carverMovement, args, { loaders }) => loaders.blockByHeight.load(carverMovement.blockHeight)
+    },
+    rewardDetails: {
+      type: BlockRewardDetailsType,
+      resolve: (carverMovement, args, { loaders }) => loaders.blockRewardDetailsById.load(carverMovement.blockRewardDetails)
+    },
+    addressMovements: {
+      type: new GraphQLList(CarverAddressMovementType),
+      description: 'Addresses that coins were moved from/to in this tx',
+      args: limitArg,
+      resolve: (carverMovement, args, { loaders }) => loaders.carverAddressMovementsByMovementId({ limit: getLimit(args) }).load(carverMovement._id)
+    }
+  })
+});
+
+const CarverAddressMovementType = new GraphQLObjectType({
+  name: 'CarverAddressMovement',
+  fields: () => ({
+    id: idField,
+    date: dateField('date'),
+    blockHeight: { type: GraphQLInt },
+    amountIn: { type: GraphQLFloat },
+    amountOut: { type: GraphQLFloat },
+    balance: { type: GraphQLFloat, description: 'Balance of the address before this movement' },
+    balanceAfter: { type: GraphQLFloat, resolve: carverAddressMovement => carverAddressMovement.balance + carverAddressMovement.amountIn - carverAddressMovement.amountOut },
+    isReward: { type: GraphQLBoolean },
+    sequence: { type: GraphQLInt },
+    carverAddress: {
+      type: CarverAddressType,
+      resolve: (carverAddressMovement, args, { loaders }) => loaders.carverAddressById.load(carverAddressMovement.carverAddress)
+    },
+    carverMovement: {
+      type: CarverMovementType,
+      resolve: (carverAddressMovement, args, { loaders }) => loaders.carverMovementById.load(carverAddressMovement.carverMovement)
+    }
+  })
+});
+
+/**
+ * Reward payees (stake, masternode, proof of work & payees) all link to the address that received the reward
+ */
+const rewardCarverAddressField = {
+  type: CarverAddressType,
+  resolve: (reward, args, { loaders }) => loaders.carverAddressById.load(reward.carverAddress)
+};
+
+const BlockRewardDetailsStakeInputType = new GraphQLObjectType({
+  name: 'BlockRewardDetailsStakeInput',
+  fields: () => ({
+    value: { type: GraphQLFloat },
+    blockHeight: { type: GraphQLInt },
+    date: dateField('date'),
+    isRestake: { type: GraphQLBoolean },
+    restakeCount: { type: GraphQLInt },
+    vinCount: { type: GraphQLInt },
+    voutCount: { type: GraphQLInt },
+    carverMovement: {
+      type: CarverMovementType,
+      description: 'Tx that created the staked input',
+      resolve: (input, args, { loaders }) => loaders.carverMovementById.load(input.carverMovement)
+    }
+  })
+});
+
+const BlockRewardDetailsStakeType = new GraphQLObjectType({
+  name: 'BlockRewardDetailsStake',
+  fields: () => ({
+    addressLabel: { type: GraphQLString },
+    reward: { type: GraphQLFloat },
+    roi: { type: GraphQLFloat },
+    ageBlocks: { type: GraphQLInt },
+    ageTime: { type: GraphQLFloat },
+    input: { type: BlockRewardDetailsStakeInputType },
+    carverAddress: rewardCarverAddressField
+  })
+});
+
+const BlockRewardDetailsMasternodeType = new GraphQLObjectType({
+  name: 'BlockRewardDetailsMasternode',
+  fields: () => ({
+    addressLabel: { type: GraphQLString },
+    reward: { type: GraphQLFloat },
+    roi: { type: GraphQLFloat },
+    ageBlocks: { type: GraphQLInt },
+    ageTime: { type: GraphQLFloat },
+    carverAddress: rewardCarverAddressField
+  })
+});
+
+const BlockRewardDetailsProofOfWorkType = new GraphQLObjectType({
+  name: 'BlockRewardDetailsProofOfWork',
+  fields: () => ({
+    addressLabel: { type: GraphQLString },
+    reward: { type: GraphQLFloat },
+    carverAddress: rewardCarverAddressField
+  })
+});
+
+const BlockRewardDetailsPayeeType = new GraphQLObjectType({
+  name: 'BlockRewardDetailsPayee',
+  fields: () => ({
+    carverAddressType: { type: GraphQLInt },
+    addressLabel: { type: GraphQLString },
+    reward: { type: GraphQLFloat },
+    outputs: { type: GraphQLInt },
+    carverAddress: rewardCarverAddressField
+  })
+});
+
+const BlockRewardDetailsType = new GraphQLObjectType({
+  name: 'BlockRewardDetails',
+  fields: () => ({
+    id: idField,
+    blockHeight: { type: GraphQLInt },
+    date: dateField('date'),
+    txId: { type: GraphQLString },
+    stake: { type: BlockRewardDetailsStakeType },
+    masternode: { type: BlockRewardDetailsMasternodeType },
+    proofOfWork: { type: BlockRewardDetailsProofOfWorkType },
+    payees: { type: new GraphQLList(BlockRewardDetailsPayeeType) },
+    hasStakeReward: { type: GraphQLBoolean },
+    hasMasternodeReward: { type: GraphQLBoolean },
+    hasPoofOfWorkReward: { type: GraphQLBoolean },
+    hasGovernanceReward: { type: GraphQLBoolean },
+    block: {
+      type: BlockType,
+      resolve: (blockRewardDetails, args, { loaders }) => loaders.blockByHeight.load(blockRewardDetails.blockHeight)
+    },
+    movement: {
+      type: CarverMovementType,
+      description: 'The reward tx',
+      resolve: (blockRewardDetails, args, { loaders }) => loaders.carverMovementByTxId.load(blockRewardDetails.txId)
+    }
+  })
+});
+
+const MasternodeType = new GraphQLObjectType({
+  name: 'Masternode',
+  fields: () => ({
+    id: idField,
+    active: { type: GraphQLInt },
+    addr: { type: GraphQLString },
+    createdAt: dateField('createdAt'),
+    lastAt: dateField('lastAt'),
+    lastPaidAt: dateField('lastPaidAt'),
+    network: { type: GraphQLString },
+    rank: { type: GraphQLInt },
+    status: { type: GraphQLString },
+    txHash: { type: GraphQLString },
+    txOutIdx: { type: GraphQLInt },
+    ver: { type: GraphQLInt },
+    carverAddress: {
+      type: CarverAddressType,
+      description: 'Address that the masternode is paid to',
+      resolve: (masternode, args, { loaders }) => loaders.carverAddressById.load(masternode.carverAddress)
+    },
+    carverAddressMn: {
+      type: CarverAddressType,
+      description: 'Masternode reward address (":MN" suffix)',
+      resolve: (masternode, args, { loaders }) => loaders.carverAddressById.load(masternode.carverAddressMn)
+    }
+  })
+});
+
+const TimeIntervalType = new GraphQLObjectType({
+  name: 'TimeInterval',
+  fields: () => ({
+    type: { type: GraphQLInt, description: 'TimeIntervalType' },
+    label: { type: GraphQLString },
+    intervalNumber: { type: GraphQLFloat },
+    value: { type: GraphQLFloat }
+  })
+});
+
+const QueryType = new GraphQLObjectType({
+  name: 'Query',
+  fields: () => ({
+    block: {
+      type: BlockType,
+      args: { height: { type: GraphQLInt }, hash: { type: GraphQLString } },
+      resolve: (root, args) => {
+        if (args.hash) {
+          return Block.findOne({ hash: args.hash });
+        }
+        return args.height !== undefined ? Block.findOne({ height: args.height }) : null;
+      }
+    },
+    blocks: {
+      type: new GraphQLList(BlockType),
+      args: { ...limitArg, beforeHeight: { type: GraphQLInt } },
+      resolve: (root, args) => Block
+        .find(args.beforeHeight !== undefined ? { height: { $lt: args.beforeHeight } } : {})
+        .sort({ height: -1 })
+        .limit(getLimit(args))
+    },
+    address: {
+      type: CarverAddressType,
+      args: { label: { type: new GraphQLNonNull(GraphQLString) } },
+      resolve: (root, args) => CarverAddress.findOne({ label: args.label })
+    },
+    movement: {
+      type: CarverMovementType,
+      args: { txId: { type: new GraphQLNonNull(GraphQLString) } },
+      resolve: (root, args, { loaders }) => loaders.carverMovementByTxId.load(args.txId)
+    },
+    movements: {
+      type: new GraphQLList(CarverMovementType),
+      args: { ...limitArg, beforeSequence: { type: GraphQLInt }, isReward: { type: GraphQLBoolean, defaultValue: false } },
+      resolve: (root, args) => {
+        let query = { isReward: args.isReward };
+        if (args.beforeSequence !== undefined) {
+          query.sequence = { $lt: args.beforeSequence };
+        }
+        return CarverMovement.find(query).sort({ sequence: -1 }).limit(getLimit(args));
+      }
+    },
+    masternodes: {
+      type: new GraphQLList(MasternodeType),
+      args: { ...limitArg, addresses: { type: new GraphQLList(new GraphQLNonNull(GraphQLString)), description: 'Only masternodes running on these addresses' } },
+      resolve: (root, args) => Masternode
+        .find(args.addresses ? { addr: { $in: args.addresses } } : {})
+        .sort({ rank: 1 })
+        .limit(getLimit(args))
+    },
+    rewards: {
+      type: new GraphQLList(BlockRewardDetailsType),
+      args: { ...limitArg, beforeHeight: { type: GraphQLInt } },
+      resolve: (root, args) => BlockRewardDetails
+        .find(args.beforeHeight !== undefined ? { blockHeight: { $lt: args.beforeHeight } } : {})
+        .sort({ blockHeight: -1 })
+        .limit(getLimit(args))
+    },
+    timeIntervals: {
+      type: new GraphQLList(TimeIntervalType),
+      description: 'Latest intervals of a TimeIntervalType',
+      args: { ...limitArg, type: { type: new GraphQLNonNull(GraphQLInt) } },
+      resolve: (root, args) => TimeInterval.find({ type: args.type }).sort({ intervalNumber: -1 }).limit(getLimit(args))
+    }
+  })
+});
+
+const schema = new GraphQLSchema({ query: QueryType });
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  schema
+};
@@ -4,21 +4,29 @@ const { forEach } = require('p-iteration');
 const moment = require('moment');
 const { rpc } = require('../../lib/cron');
 const cache = require('../lib/cache');
+const { decodeCursor, getApproximateCount, getCursorLinks, getCursorPage } = require('../lib/pagination');
+const { getOpenApiSpec, sendBadRequest } = require('../lib/openapi');
+const { parseDate } = require('../../lib/date');
+const locker = require('../../lib/locker');
 
 
 // System models for query and etc.
 const Block = require('../../model/block');
 
-const { CarverAddressType, CarverMovementType, CarverTxType } = require('../../lib/carver2d');
+const { CarverAddressType, CarverMovementType, CarverTxType, RewardAddressSuffixes, RewardCounterFields } = require('../../lib/carver2d');
 const { CarverAddress, CarverMovement, CarverAddressMovement } = require('../../model/carver2d');
 const Coin = require('../../model/coin');
 const Masternode = require('../../model/masternode');
+const { MempoolTx } = require('../../model/mempoolTx');
+const { OpReturn } = require('../../model/opReturn');
 const Peer = require('../../model/peer');
 const Rich = require('../../model/rich');
+const SyncStatus = require('../../model/syncStatus');
 const { BlockRewardDetails } = require('../../model/blockRewardDetails');
 const { TimeInterval } = require('../../model/timeInterval');
 const { TimeIntervalType } = require('../../lib/timeInterval');
 const TX = require('../../model/tx');
+const { UTXO } = require('../../model/utxo');
 const { SocialSubmission } = require('../../features/social/model');
 const config = require('../../config')
 
@@ -33,22 +41,41 @@ const getAddress = async (req, res) => {
     if (!carverAddress) {
       throw 'Address Not Found';
     }
-    const posAddressLabel = `${req.params.hash}:POS`;
-    const carverRewardAddresses = await CarverAddress.find({ label: { $in: [`${req.params.hash}:POW`, posAddressLabel, `${req.params.hash}:MN`] } }).populate("lastMovement", { date: 1 });//@todo use the new lastMovementDate in CarverAddress
-
     const masternodeForAddress = await Masternode.findOne({ addr: req.params.hash });
     const isMasternode = !!masternodeForAddress;
 
+    // Multisig outputs that this address can sign for
+    const multisigCarverAddresses = await CarverAddress
+      .find({ multisigAddresses: req.params.hash }, { label: 1, balance: 1, multisigAddresses: 1, multisigRequiredSignatures: 1 })
+      .sort({ balance: -1 })
+      .limit(100);
+
+    // Reward addresses (":POS", ":MN", ":POW" & ":GOV") that paid this address. Built from the reward counters of the address, reward addresses only send coins.
+    const carverRewardAddresses = Object.keys(RewardCounterFields)
+      .filter(carverAddressType => carverAddress[RewardCounterFields[carverAddressType].count] > 0)
+      .map((carverAddressType) => {
+        const { count, value } = RewardCounterFields[carverAddressType];
+        return {
+          label: `${carverAddress.label}:${RewardAddressSuffixes[carverAddressType]}`,
+          carverAddressType: parseInt(carverAddressType, 10),
+          balance: -carverAddress[value],
+          countIn: 0,
+          countOut: carverAddress[count],
+          valueIn: 0,
+          valueOut: carverAddress[value]
+        };
+      });
+
     let address = {
       ...carverAddress.toObject(),
       isMasternode,
-      carverRewardAddresses
+      carverRewardAddresses,
+      multisigCarverAddresses
     };
 
 
     // Adds POS averages for an address (if address ever staked)
-    const posAddress = carverRewardAddresses.find(carverRewardAddress => carverRewardAddress.label === posAddressLabel);
-    if (posAddress) {
+    if (carverAddress.posCountIn > 0) {
       const posAverages = await BlockRewardDetails.aggregate([
         { $match: { 'stake.carverAddress': carverAddress._id } },
         { $project: { 'stake.ageTime': 1, 'stake.input.value': 1, 'stake.roi': 1 } },
@@ -68,6 +95,165 @@ const getAddress = async (req, res) => {
   }
 };
 
+/**
+ * Balance of an address after a movement (CarverAddressMovement.balance is the balance before the movement)
+ * @param {CarverAddressMovement} carverAddressMovement Movement of the address
+ */
+const getBalanceAfterMovement = carverAddressMovement => parseFloat((carverAddressMovement.balance + carverAddressMovement.amountIn - carverAddressMovement.amountOut).toFixed(8));
+
+/**
+ * Get the balance of an address at a block height (?height=) or date (?date=) from the movement ledger. Without either the current balance is returned.
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const getAddressBalance = async (req, res) => {
+  try {
+    const height = req.query.height ? parseInt(req.query.height, 10) : null;
+    const date = req.query.date ? parseDate(req.query.date) : null;
+
+    const carverAddress = await CarverAddress.findOne({ label: req.params.hash }, { _id: 1, label: 1 });
+    if (!carverAddress) {
+      throw 'Address Not Found';
+    }
+
+    let movementQuery = { carverAddress: carverAddress._id };
+    if (height !== null) {
+      movementQuery.blockHeight = { $lte: height };
+    }
+    if (date) {
+      movementQuery.date = { $lte: date };
+    }
+    const lastAddressMovement = await CarverAddressMovement
+      .findOne(movementQuery, { balance: 1, amountIn: 1, amountOut: 1, blockHeight: 1, date: 1 })
+      .sort({ sequence: -1 });
+
+    res.json({
+      address: carverAddress.label,
+      height,
+      date,
+      balance: lastAddressMovement ? getBalanceAfterMovement(lastAddressMovement) : 0,
+      lastMovementHeight: lastAddressMovement ? lastAddressMovement.blockHeight : null,
+      lastMovementDate: lastAddressMovement ? lastAddressMovement.date : null
+    });
+  } catch (err) {
+    console.log(err);
+    res.status(500).send(err.message || err);
+  }
+};
+
+/**
+ * Get the balance of an address over time downsampled to a fixed number of points (?points=, max 500).
+ * The range (?from= & ?to=) is split into equal buckets and each point is the balance at the end of its bucket.
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const getAddressBalanceHistory = async (req, res) => {
+  try {
+    const points = Math.max(Math.min(req.query.points ? parseInt(req.query.points, 10) : 100, 500), 2);
+    const fromDate = req.query.from ? parseDate(req.query.from) : null;
+    const toDate = req.query.to ? parseDate(req.query.to) : new Date();
+
+    const carverAddress = await CarverAddress.findOne({ label: req.params.hash }, { _id: 1, label: 1 });
+    if (!carverAddress) {
+      throw 'Address Not Found';
+    }
+
+    // Without a start date the history starts at the first movement of the address
+    let from = fromDate;
+    if (!from) {
+      const firstAddressMovement = await CarverAddressMovement.findOne({ carverAddress: carverAddress._id }, { date: 1 }).sort({ sequence: 1 });
+      from = firstAddressMovement ? firstAddressMovement.date : toDate;
+    }
+    const to = toDate;
+    if (from >= to) {
+      res.json({ address: carverAddress.label, from, to, points: [] });
+      return;
+    }
+
+    // The series starts with the balance before the range
+    const previousAddressMovement = await CarverAddressMovement
+      .findOne({ carverAddress: carverAddress._id, date: { $lt: from } }, { balance: 1, amountIn: 1, amountOut: 1 })
+      .sort({ sequence: -1 });
+
+    // Last balance of each bucket
+    const bucketSize = Math.max(Math.ceil((to.getTime() - from.getTime()) / points), 1);
+    const buckets = await CarverAddressMovement.aggregate([
+      { $match: { carverAddress: carverAddress._id, date: { $gte: from, $lte: to } } },
+      { $sort: { sequence: 1 } },
+      {
+        $project: {
+          bucket: { $floor: { $divide: [{ $subtract: ['$date', from] }, bucketSize] } },
+          balance: { $subtract: [{ $add: ['$balance', '$amountIn'] }, '$amountOut'] }
+        }
+      },
+      { $group: { _id: '$bucket', balance: { $last: '$balance' } } }
+    ]).allowDiskUse(true);
+    const bucketBalances = new Map(buckets.map(bucket => [Math.min(bucket._id, points - 1), bucket.balance]));
+
+    // Buckets without movements keep the balance of the bucket before them
+    let balance = previousAddressMovement ? getBalanceAfterMovement(previousAddressMovement) : 0;
+    let balancePoints = [];
+    for (let bucket = 0; bucket < points; bucket++) {
+      if (bucketBalances.has(bucket)) {
+        balance = parseFloat(bucketBalances.get(bucket).toFixed(8));
+      }
+      balancePoints.push({ date: new Date(Math.min(from.getTime() + (bucket + 1) * bucketSize, to.getTime())), balance });
+    }
+
+    res.json({ address: carverAddress.label, from, to, points: balancePoints });
+  } catch (err) {
+    console.log(err);
+    res.status(500).send(err.message || err);
+  }
+};
+
+/**
+ * Get unspent outputs of an address in the format light wallets expect (same fields as Insight/Blockbook utxo endpoints).
+ * Sorted by value (biggest first, default) or by age (?sort=age, oldest first).
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const getAddressUtxos = async (req, res) => {
+  try {
+    // Outputs spent before spent outputs were tracked would be returned as unspent
+    const syncStatus = await SyncStatus.findById('block', { spentUtxosHeight: 1 });
+    if (!syncStatus || syncStatus.spentUtxosHeight !== 1) {
+      res.status(503).send('Unspent outputs are not available until the spentUtxos migration has run.');
+      return;
+    }
+
+    const limit = Math.min(req.query.limit ? parseInt(req.query.limit, 10) : 10, 100);
+    const skip = req.query.skip ? parseInt(req.query.skip, 10) : 0;
+    const sort = req.query.sort === 'age' ? { blockHeight: 1, label: 1 } : { amount: -1, label: 1 };
+
+    const query = { addressLabel: req.params.hash, spentHeight: null };
+    const total = await UTXO.find(query).count();
+    const utxos = await UTXO.find(query, { label: 1, amount: 1, blockHeight: 1 }).sort(sort).skip(skip).limit(limit);
+    const block = await Block.findOne({}, { height: 1 }).sort({ height: -1 });
+    const height = block ? block.height : 0;
+
+    res.json({
+      utxos: utxos.map(utxo => {
+        const [txid, vout] = utxo.label.split(':');
+        return {
+          address: req.params.hash,
+          txid,
+          vout: parseInt(vout, 10),
+          amount: utxo.amount,
+          satoshis: Math.round(utxo.amount * 100000000),
+          height: utxo.blockHeight,
+          confirmations: height - utxo.blockHeight + 1
+        };
+      }),
+      pages: total <= limit ? 1 : Math.ceil(total / limit),
+      total
+    });
+  } catch (err) {
+    console.log(err);
+    res.status(500).send(err.message || err);
+  }
+};
+
 /**
  * Will return the average block time over 24 hours.
  * @param {Object} req The request object.
@@ -77,8 +263,8 @@ const getAvgBlockTime = () => {
   //@todo move this logic to block sync (so it updates in real time and only when the block syncs)
 
   // When does the cache expire.
-  // For now this is hard coded.
-  let cache = 90.0;
+  // Until the first average is calculated use the block time from the coin profile.
+  let cache = chain.avgBlockTime;
   let cutOff = moment().utc().add(60, 'seconds').unix();
   let loading = true;
 
@@ -321,6 +507,7 @@ const getMasternodes = async (req, res) => {
   try {
     const limit = Math.min(req.query.limit ? parseInt(req.query.limit, 10) : 100, 1000);
     const skip = req.query.skip ? parseInt(req.query.skip, 10) : 0;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
 
     var query = {
       carverAddressType: CarverAddressType.Masternode
@@ -347,12 +534,18 @@ const getMasternodes = async (req, res) => {
 
 
     //@todo we can add sorting by balance filter
-    const total = await CarverAddress.count(query);
-    const carverAddresses = await CarverAddress
-      .find(query)
-      .skip(skip)
-      .limit(limit).sort({ lastMovementBlockHeight: -1 })
-      .populate({ path: "lastMovement", select: { carverMovement: 1 }, populate: { path: 'carverMovement', select: { date: 1 } } }); //@todo remove lastMovement
+    const total = await getApproximateCount(CarverAddress, query, Object.keys(query).length === 1 ? 'masternodes' : null);
+    const cursorPage = await getCursorPage({
+      model: CarverAddress,
+      query,
+      key: 'lastMovementBlockHeight',
+      isUniqueKey: false,
+      limit,
+      cursor,
+      skip,
+      populate: { path: "lastMovement", select: { carverMovement: 1 }, populate: { path: 'carverMovement', select: { date: 1 } } } //@todo remove lastMovement
+    });
+    const carverAddresses = cursorPage.items;
 
     const mnCarverAddressIds = carverAddresses.map(mn => mn._id);
 
@@ -375,7 +568,7 @@ const getMasternodes = async (req, res) => {
 
     //       .populate({ path: 'carverAddressMn', populate: { path: 'lastMovement' } });*/
 
-    res.json({ mns, pages: total <= limit ? 1 : Math.ceil(total / limit), total });
+    res.json({ mns, pages: total <= limit ? 1 : Math.ceil(total / limit), total, ...getCursorLinks(req, cursorPage) });
   } catch (err) {
     console.log(err);
     res.status(500).send(err.message || err);
@@ -449,7 +642,9 @@ const getSupply = async (req, res) => {
     let t = 0; // Total supply.
 
     const totalSupply = await cache.getFromCache("supply", moment().utc().add(1, 'hours').unix(), async () => {
-      const balanceAgregation = await CarverAddress.aggregate([{ $match: { carverAddressType: 1 } }, { $group: { _id: null, total: { $sum: '$balance' } } }]);
+      // Multisig & quarantined outputs hold coins as well (they're just not owned by a single address)
+      const carverAddressTypes = [CarverAddressType.Address, CarverAddressType.Multisig, CarverAddressType.Quarantine];
+      const balanceAgregation = await CarverAddress.aggregate([{ $match: { carverAddressType: { $in: carverAddressTypes } } }, { $group: { _id: null, total: { $sum: '$balance' } } }]);
       return balanceAgregation[0].total;
     });
 
@@ -474,27 +669,11 @@ const getTop100 = async (req, res) => {
         .limit(100)
         .sort({ balance: -1 }).populate({ path: "lastMovement", select: { carverMovement: 1 }, populate: { path: 'carverMovement', select: { date: 1 } } }); //@todo remove lastMovement;
 
-      // For each address split them into 3 address (MN,POS,POW). Add each address to an array.
-      const addressesToFetch = top100Addresses.reduce((addressesToFetch, address) => {
-        return [
-          ...addressesToFetch,
-          `${address.label}:MN`,
-          `${address.label}:POS`,
-          `${address.label}:POW`
-        ]
-      }, []);
-      const rewardAddressBalances = await CarverAddress.find({ label: { $in: addressesToFetch } }, { _id: 0, label: 1, valueOut: 1 })
-
-      // For each top 100 address find any matching rewards addresses and calculate the total rewards for that address
+      // Total rewards (MN,POS,POW) are counted on the address itself during block sync
       const addressesWithBalances = top100Addresses.map((address) => {
-        // Calculate the total rewards sum for a specific address
-        const rewardsSumValue = rewardAddressBalances.reduce((sum, rewardAddress) => {
-          return sum + ([`${address.label}:MN`, `${address.label}:POS`, `${address.label}:POW`].includes(rewardAddress.label) ? rewardAddress.valueOut : 0);
-        }, 0);
-
         return {
           ...address.toObject(),
-          rewardsSumValue
+          rewardsSumValue: address.mnValueIn + address.posValueIn + address.powValueIn
         }
       });
 
@@ -508,6 +687,50 @@ const getTop100 = async (req, res) => {
   }
 };
 
+/**
+ * Get the addresses that earned the most rewards of a type (top stakers, top masternode earners, etc).
+ * Use "?type=" to pick the reward type: pos (default), mn, pow or gov.
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const getTopRewards = async (req, res) => {
+  try {
+    const limit = Math.min(req.query.limit ? parseInt(req.query.limit, 10) : 100, 100);
+    const type = req.query.type || 'pos';
+
+    const rewardTypes = {
+      pos: CarverAddressType.ProofOfStake,
+      mn: CarverAddressType.Masternode,
+      pow: CarverAddressType.ProofOfWork,
+      gov: CarverAddressType.Governance
+    };
+    if (rewardTypes[type] === undefined) {
+      throw `Unknown reward type "${type}". Use one of: ${Object.keys(rewardTypes).join(', ')}`;
+    }
+    const { count, value } = RewardCounterFields[rewardTypes[type]];
+
+    const addresses = await cache.getFromCache(`topRewards_${type}_${limit}`, moment().utc().add(1, 'hours').unix(), async () => {
+      const carverAddresses = await CarverAddress
+        .find({ [value]: { $gt: 0 } }, { _id: 0, label: 1, balance: 1, date: 1, [count]: 1, [value]: 1 })
+        .sort({ [value]: -1 })
+        .limit(limit);
+
+      return carverAddresses.map(carverAddress => ({
+        label: carverAddress.label,
+        balance: carverAddress.balance,
+        date: carverAddress.date,
+        rewardCount: carverAddress[count],
+        rewardValue: carverAddress[value]
+      }));
+    });
+
+    res.json({ type, addresses });
+  } catch (err) {
+    console.log(err);
+    res.status(500).send(err.message || err);
+  }
+};
+
 /**
  * Return a paginated list of transactions.
  * @param {Object} req The request object.
@@ -524,6 +747,90 @@ const getTXLatest = async (req, res) => {
   }
 };
 
+/**
+ * Convert a mempool tx into the same format as a mined tx from getTX() so the client can display it the same way
+ * @param {MempoolTx} mempoolTx Unconfirmed tx from mempool
+ */
+const getPendingTxDetails = (mempoolTx) => {
+  const { addressMovements, ...pendingTx } = mempoolTx.toObject();
+
+  return {
+    ...pendingTx,
+    isPending: true,
+    isReward: false,
+    addressesIn: addressMovements.filter(addressMovement => addressMovement.amountOut > 0).length,
+    addressesOut: addressMovements.filter(addressMovement => addressMovement.amountIn > 0).length,
+    carverAddressMovements: addressMovements.map(addressMovement => ({
+      amountIn: addressMovement.amountIn,
+      amountOut: addressMovement.amountOut,
+      carverAddress: { label: addressMovement.label, carverAddressType: addressMovement.carverAddressType }
+    }))
+  };
+}
+
+/**
+ * Return a paginated list of unconfirmed transactions that are currently in the mempool.
+ * Optionally filter by address (?address=) to find pending txs of an address.
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const getMempool = async (req, res) => {
+  try {
+    const limit = Math.min(req.query.limit ? parseInt(req.query.limit, 10) : 10, 100);
+    const skip = req.query.skip ? parseInt(req.query.skip, 10) : 0;
+
+    let query = {};
+    if (req.query.address) {
+      query['addressMovements.label'] = req.query.address;
+    }
+
+    const total = await MempoolTx.find(query).count();
+    const mempoolTxs = await MempoolTx.find(query, { utxos: 0 }).skip(skip).limit(limit).sort({ date: -1 });
+
+    res.json({ txs: mempoolTxs.map(getPendingTxDetails), pages: total <= limit ? 1 : Math.ceil(total / limit), total });
+  } catch (err) {
+    console.log(err);
+    res.status(500).send(err.message || err);
+  }
+};
+
+/**
+ * How far behind the chain is the explorer? Compares database tip to the RPC tip and includes progress of the block sync.
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const getSyncStatus = async (req, res) => {
+  try {
+    const syncStatus = await cache.getFromCache("syncStatus", moment().utc().add(10, 'seconds').unix(), async () => {
+      const info = await rpc.call('getinfo');
+      const lastBlock = await Block.findOne({}, { height: 1, hash: 1, createdAt: 1 }).sort({ height: -1 });
+      const lastConfirmedBlock = await Block.findOne({ isConfirmed: true }, { height: 1, hash: 1, createdAt: 1 }).sort({ height: -1 });
+      const blockSyncStatus = await SyncStatus.findById('block');
+
+      const dbHeight = lastBlock ? lastBlock.height : 0;
+      const blocksBehind = Math.max(info.blocks - dbHeight, 0);
+
+      return {
+        dbHeight,
+        rpcHeight: info.blocks,
+        blocksBehind,
+        isLagging: blocksBehind > config.syncLagWarningBlocks,
+        lastBlock,
+        lastConfirmedBlock,
+        lock: locker.getLock('block'),
+        isSyncing: blockSyncStatus ? blockSyncStatus.isSyncing : false,
+        sync: blockSyncStatus,
+        lastReorg: blockSyncStatus && blockSyncStatus.lastReorg && blockSyncStatus.lastReorg.date ? blockSyncStatus.lastReorg : null
+      };
+    });
+
+    res.json(syncStatus);
+  } catch (err) {
+    console.log(err);
+    res.status(500).send(err.message || err);
+  }
+};
+
 /**
  * Return the transaction information for given hash.
  * @param {Object} req The request object.
@@ -538,23 +845,34 @@ const getTX = async (req, res) => {
       .populate({ path: 'blockRewardDetails' });
 
     if (!carverMovement) {
-      res.status(404).send('Unable to find the transaction!');
+      // Transaction might not be mined yet
+      const mempoolTx = await MempoolTx.findOne({ txId: hash }, { utxos: 0 });
+      if (!mempoolTx) {
+        res.status(404).send('Unable to find the transaction!');
+        return;
+      }
+
+      res.json(getPendingTxDetails(mempoolTx));
       return;
     }
     const carverAddressMovements = await CarverAddressMovement.find({ carverMovement: carverMovement._id }, { sequence: 0 }).populate('carverAddress', { carverAddressType: 1, label: 1, carverMovement: 1 });
-
+    const opReturns = await OpReturn.find({ txId: hash }, { _id: 0, vout: 1, value: 1, hex: 1, utf8: 1 }).sort({ vout: 1 });
 
 
     let txDetails = {
       ...carverMovement.toObject(),
       carverAddressMovements,
+      opReturns
     };
 
     if (carverMovement.isReward) {
       const blockRewardDetails = carverMovement.blockRewardDetails;
 
-      const masternodeAddress = await CarverAddress.findOne({ label: `${blockRewardDetails.masternode.addressLabel}:MN` }, { countOut: 1, valueOut: 1 });
-      txDetails.blockRewardDetails.masternode.rewardsCarverAddress = masternodeAddress;
+      // Proof of work blocks don't always pay a masternode
+      if (blockRewardDetails.masternode) {
+        const masternodeAddress = await CarverAddress.findOne({ label: `${blockRewardDetails.masternode.addressLabel}:MN` }, { countOut: 1, valueOut: 1 });
+        txDetails.blockRewardDetails.masternode.rewardsCarverAddress = masternodeAddress;
+      }
 
       switch (carverMovement.txType) {
         case CarverTxType.ProofOfStake:
@@ -582,6 +900,7 @@ const getTXs = async (req, res) => {
     const limit = Math.min(req.query.limit ? parseInt(req.query.limit, 10) : 10, 100);
     const skip = req.query.skip ? parseInt(req.query.skip, 10) : 0;
     const sort = 'sequence';//req.query.sort === 'sequence' ? 'sequence' : 'valueOut';
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
 
     let query = { isReward: false };
 
@@ -594,17 +913,17 @@ const getTXs = async (req, res) => {
       }*/
     }
 
-    const total = await CarverMovement.find(query).count();
-    const txs = await CarverMovement.find(query).skip(skip).limit(limit).sort({ [sort]: -1 });
+    const total = await getApproximateCount(CarverMovement, query, 'txs');
+    const cursorPage = await getCursorPage({ model: CarverMovement, query, key: sort, limit, cursor, skip });
 
 
-    const txsWithMovements = txs.map(tx => {
+    const txsWithMovements = cursorPage.items.map(tx => {
       return {
         ...tx.toObject(),
       }
     });
 
-    res.json({ txs: txsWithMovements, pages: total <= limit ? 1 : Math.ceil(total / limit), total });
+    res.json({ txs: txsWithMovements, pages: total <= limit ? 1 : Math.ceil(total / limit), total, ...getCursorLinks(req, cursorPage) });
   } catch (err) {
     console.log(err);
     res.status(500).send(err.message || err);
@@ -622,7 +941,7 @@ const getPos = async (req, res) => {
     const toInputAmount = Math.max(Math.min(req.query.toInputAmount ? parseInt(req.query.toInputAmount, 10) : 10, 1000000), 100);
 
     if (fromInputAmount > toInputAmount) {
-      res.status(404).send('Input Size (From) must be <= Input Size (To)');
+      sendBadRequest(res, [{ in: 'query', name: 'fromInputAmount', message: 'Input Size (From) must be <= Input Size (To).' }]);
       return;
     }
 
@@ -713,21 +1032,183 @@ const getRewards = async (req, res) => {
   try {
     const limit = Math.min(req.query.limit ? parseInt(req.query.limit, 10) : 10, 100);
     const skip = req.query.skip ? parseInt(req.query.skip, 10) : 0;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
 
     const query = { hasPoofOfWorkReward: true };
 
-    const total = await BlockRewardDetails.count(query);
-    const rewards = await BlockRewardDetails.find(query).skip(skip).limit(limit).sort({ blockHeight: -1 });
+    const total = await getApproximateCount(BlockRewardDetails, query, 'rewards');
+    const cursorPage = await getCursorPage({ model: BlockRewardDetails, query, key: 'blockHeight', limit, cursor, skip });
     //.sort({ 'stake.roi': -1 }); //@todo add optional sort
 
 
-    res.json({ rewards, pages: total <= limit ? 1 : Math.ceil(total / limit), total });
+    res.json({ rewards: cursorPage.items, pages: total <= limit ? 1 : Math.ceil(total / limit), total, ...getCursorLinks(req, cursorPage) });
+  } catch (err) {
+    console.log(err);
+    res.status(500).send(err.message || err);
+  }
+};
+
+/**
+ * Return a paginated list of governance payouts (rewards paid to one of config.community.governanceAddresses). Newest payouts first.
+ * Optionally filter by governance address (?address=)
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const getGovernance = async (req, res) => {
+  try {
+    const limit = Math.min(req.query.limit ? parseInt(req.query.limit, 10) : 10, 100);
+    const skip = req.query.skip ? parseInt(req.query.skip, 10) : 0;
+
+    let payeeQuery = { 'payees.carverAddressType': CarverAddressType.Governance };
+    if (req.query.address) {
+      payeeQuery['payees.addressLabel'] = req.query.address;
+    }
+
+    // One reward can pay multiple governance addresses, each of them is a separate payout
+    const payoutsPipeline = [
+      { $match: { hasGovernanceReward: true } },
+      { $unwind: '$payees' },
+      { $match: payeeQuery }
+    ];
+
+    const totals = await BlockRewardDetails.aggregate([
+      ...payoutsPipeline,
+      { $group: { _id: null, total: { $sum: 1 }, totalPaid: { $sum: '$payees.reward' } } }
+    ]);
+    const payouts = await BlockRewardDetails.aggregate([
+      ...payoutsPipeline,
+      { $sort: { blockHeight: -1 } },
+      { $skip: skip },
+      { $limit: limit },
+      { $project: { _id: 0, blockHeight: 1, date: 1, txId: 1, addressLabel: '$payees.addressLabel', reward: '$payees.reward' } }
+    ]);
+
+    const total = totals.length > 0 ? totals[0].total : 0;
+    const totalPaid = totals.length > 0 ? totals[0].totalPaid : 0;
+    const governanceAddresses = (config.community && config.community.governanceAddresses) || [];
+
+    res.json({ payouts, pages: total <= limit ? 1 : Math.ceil(total / limit), total, totalPaid, governanceAddresses });
+  } catch (err) {
+    console.log(err);
+    res.status(500).send(err.message || err);
+  }
+};
+
+/**
+ * OpenAPI specification of every documented route (used to render the API page).
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const getOpenApi = (req, res) => {
+  res.json(getOpenApiSpec());
+};
+
+/**
+ * Return a paginated list of OP_RETURN payloads (newest first).
+ * Use "?prefix=" to only return payloads starting with these bytes (in hex) or "?textPrefix=" for payloads starting with this text.
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const getOpReturns = async (req, res) => {
+  try {
+    const limit = Math.min(req.query.limit ? parseInt(req.query.limit, 10) : 10, 100);
+    const skip = req.query.skip ? parseInt(req.query.skip, 10) : 0;
+
+    let prefix = '';
+    if (req.query.prefix) {
+      prefix = req.query.prefix.toLowerCase();
+    } else if (req.query.textPrefix) {
+      prefix = Buffer.from(req.query.textPrefix, 'utf8').toString('hex');
+    }
+
+    // Prefix regex is anchored so it can use the hex index
+    const query = prefix ? { hex: new RegExp(`^${prefix}`) } : {};
+
+    const total = await OpReturn.count(query);
+    const opReturns = await OpReturn
+      .find(query, { _id: 0, raw: 0 })
+      .sort({ blockHeight: -1, vout: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({ opReturns, pages: total <= limit ? 1 : Math.ceil(total / limit), total, prefix });
   } catch (err) {
     console.log(err);
     res.status(500).send(err.message || err);
   }
 };
 
+/**
+ * Staking leaderboards: longest restake streaks (all time), most stakes in the last 30 days & highest average ROI% in the last 30 days.
+ * Use the optional "?minInputValue=" so that the average ROI% only counts stakes of inputs of at least this size (tiny inputs can have huge ROI%).
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const getStakingLeaderboard = async (req, res) => {
+  try {
+    const limit = Math.min(req.query.limit ? parseInt(req.query.limit, 10) : 10, 100);
+    const minInputValue = req.query.minInputValue ? parseFloat(req.query.minInputValue) : 100;
+    const days = 30;
+
+    const leaderboard = await cache.getFromCache(`stakingLeaderboard_${limit}_${minInputValue}`, moment().utc().add(1, 'hours').unix(), async () => {
+      const fromDate = moment().utc().subtract(days, 'days').toDate();
+
+      const longestStreak = await CarverAddress
+        .find({ posLongestRestakeStreak: { $gt: 0 } }, { _id: 0, label: 1, posLongestRestakeStreak: 1, posCountIn: 1, posBestRoi: 1 })
+        .sort({ posLongestRestakeStreak: -1 })
+        .limit(limit);
+
+      const mostStakes = await BlockRewardDetails.aggregate([
+        { $match: { hasPoofOfWorkReward: true, date: { $gte: fromDate } } }, // hasPoofOfWorkReward is set for stakes (see getBlockRewardDetails)
+        { $group: { _id: '$stake.addressLabel', stakes: { $sum: 1 }, rewards: { $sum: '$stake.reward' } } },
+        { $sort: { stakes: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, label: '$_id', stakes: 1, rewards: 1 } }
+      ]);
+
+      const highestAvgRoi = await BlockRewardDetails.aggregate([
+        { $match: { hasPoofOfWorkReward: true, date: { $gte: fromDate }, 'stake.input.value': { $gte: minInputValue } } },
+        { $group: { _id: '$stake.addressLabel', avgRoi: { $avg: '$stake.roi' }, stakes: { $sum: 1 }, avgInputValue: { $avg: '$stake.input.value' } } },
+        { $sort: { avgRoi: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, label: '$_id', avgRoi: 1, stakes: 1, avgInputValue: 1 } }
+      ]);
+
+      return {
+        longestStreak: longestStreak.map(carverAddress => ({
+          label: carverAddress.label,
+          restakeStreak: carverAddress.posLongestRestakeStreak,
+          stakes: carverAddress.posCountIn,
+          bestRoi: carverAddress.posBestRoi
+        })),
+        mostStakes,
+        highestAvgRoi
+      };
+    });
+
+    res.json({ ...leaderboard, days, minInputValue });
+  } catch (err) {
+    console.log(err);
+    res.status(500).send(err.message || err);
+  }
+};
+
+/**
+ * Approximate number of movements of an address from the counters of the CarverAddress (instead of counting the movements on every page request).
+ * Movements that both send & receive (ex: change back to the same address) are counted in countIn & countOut so the count can be a bit higher.
+ * @param {String} addressId _id of the CarverAddress
+ * @param {Boolean} isExcludingRewards Only count the movements that are not rewards
+ */
+const getAddressMovementCount = async (addressId, isExcludingRewards) => {
+  const carverAddress = await CarverAddress.findById(addressId);
+  if (!carverAddress) {
+    return 0;
+  }
+
+  // Rewards received by an address are counted on the address in the reward counters (the movements of reward addresses like "bAddress1:POS" are in countIn/countOut)
+  const rewardCount = isExcludingRewards ? 0 : Object.values(RewardCounterFields).reduce((count, fields) => count + (carverAddress[fields.count] || 0), 0);
+  return carverAddress.countIn + carverAddress.countOut + rewardCount;
+};
 
 /**
  * Return a paginated list of Carver2D Movements.
@@ -740,6 +1221,7 @@ const getMovements = async (req, res) => {
     const skip = req.query.skip ? parseInt(req.query.skip, 10) : 0;
     const addressId = req.query.addressId || null;
     const addressFilter = req.query.filter;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
 
     let query = {};
     if (addressId) {
@@ -751,15 +1233,23 @@ const getMovements = async (req, res) => {
         break;
     }
 
-    const total = await CarverAddressMovement.count(query);
-    const movements = await CarverAddressMovement
-      .find(query, { sequence: 0 })
-      .skip(skip)
-      .limit(limit)
-      .sort({ sequence: -1 })
-      .populate('carverMovement', { sequence: 0 });
+    const total = addressId
+      ? await getAddressMovementCount(addressId, addressFilter === 'excludeRewards')
+      : await getApproximateCount(CarverAddressMovement, query, `movements:${addressFilter || 'all'}`);
+
+    // Every address movement gets it's own sequence (cron/block.js) so the sequence is unique with or without the address filter
+    const cursorPage = await getCursorPage({
+      model: CarverAddressMovement,
+      query,
+      key: 'sequence',
+      isUniqueKey: true,
+      limit,
+      cursor,
+      skip,
+      populate: { path: 'carverMovement', select: { sequence: 0 } }
+    });
 
-    res.json({ movements, pages: total <= limit ? 1 : Math.ceil(total / limit), total });
+    res.json({ movements: cursorPage.items, pages: total <= limit ? 1 : Math.ceil(total / limit), total, ...getCursorLinks(req, cursorPage) });
   } catch (err) {
     console.log(err);
     res.status(500).send(err.message || err);
@@ -800,20 +1290,17 @@ const getSocial = async (req, res) => {
   try {
     const limit = Math.min(req.query.limit ? parseInt(req.query.limit, 10) : 10, 100);
     const skip = req.query.skip ? parseInt(req.query.skip, 10) : 0;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
     //const type = req.query.type ? parseInt(req.query.type, 10) : 0; //@todo
 
     const query = {
       //type
     };
 
-    const total = await SocialSubmission.count(query);
-    const social = await SocialSubmission
-      .find(query)
-      .sort({ intervalNumber: -1 })
-      .skip(skip)
-      .limit(limit);
+    const total = await getApproximateCount(SocialSubmission, query, 'social');
+    const cursorPage = await getCursorPage({ model: SocialSubmission, query, key: 'intervalNumber', isUniqueKey: false, limit, cursor, skip });
 
-    res.json({ social, pages: total <= limit ? 1 : Math.ceil(total / limit), total });
+    res.json({ social: cursorPage.items, pages: total <= limit ? 1 : Math.ceil(total / limit), total, ...getCursorLinks(req, cursorPage) });
   } catch (err) {
     console.log(err);
     res.status(500).send(err.message || err);
@@ -878,10 +1365,6 @@ const getTXsWeek = () => {
 
 const sendrawtransaction = async (req, res) => {
   try {
-    if (!req.body.rawtx) {
-      throw new Error('You must POST with "rawtx" body parameter.');
-    }
-
     let raw = await rpc.call('sendrawtransaction', [req.body.rawtx]);
     if (!req.query.decrypt) {
       res.json({ raw });
@@ -901,16 +1384,6 @@ const login = async (req, res) => {
       throw new Error(`Off-Chain Sign On is not enabled. Please enable it in your config file.`);
     }
 
-    ['address', 'signature', 'message'].forEach(param => {
-      if (!req.body[param]) {
-        throw new Error(`You must POST with "${param}" body parameter.`);
-      }
-
-      if (req.body[param].length > 256) {
-        throw new Error(`"${param}" must be under 256 characters in length.`);
-      }
-    });
-
     const { address, signature, message } = req.body;
 
     const success = await rpc.call('verifymessage', [address, signature, message]);
@@ -924,19 +1397,29 @@ const login = async (req, res) => {
 
 module.exports = {
   getAddress,
+  getAddressBalance,
+  getAddressBalanceHistory,
+  getAddressUtxos,
   getAvgBlockTime,
   getAvgMNTime,
   getBlock,
   getCoin,
   getCoinHistory,
   getCoinsWeek,
+  getGovernance,
   getIsBlock,
   getMasternodes,
   getMasternodeByAddress,
   getMasternodeCount,
+  getMempool,
   getPeer,
   getSupply,
+  getSyncStatus,
+  getOpenApi,
+  getOpReturns,
+  getStakingLeaderboard,
   getTop100,
+  getTopRewards,
   getTXLatest,
   getTX,
   getTXs,
@@ -0,0 +1,79 @@
+const { execute, parse, specifiedRules, validate } = require('graphql');
+const config = require('../../config');
+const { createLoaders } = require('../graphql/loaders');
+const { getQueryComplexity } = require('../graphql/complexity');
+const { schema } = require('../graphql/schema');
+
+const maxDepth = (config.api.graphql && config.api.graphql.maxDepth) || 8;
+const maxCost = (config.api.graphql && config.api.graphql.maxCost) || 5000;
+
+/**
+ * Errors in the graphql response format
+ * @param {Array} errors Error messages
+ */
+const sendErrors = (res, errors) => {
+  res.status(400).json({ errors: errors.map(message => ({ message })) });
+};
+
+/**
+ * Execute a graphql query.
+ * GET: ?query=&variables=(json)&operationName=, POST: { query, variables, operationName } (json body)
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const query = async (req, res) => {
+  const params = req.method === 'POST' ? req.body : req.query;
+
+  let variables = params.variables || {};
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch (err) {
+      sendErrors(res, ['Variables must be a json object']);
+      return;
+    }
+  }
+
+  try {
+    let document = null;
+    try {
+      document = parse(params.query);
+    } catch (err) {
+      sendErrors(res, [err.message]);
+      return;
+    }
+
+    const validationErrors = validate(schema, document, specifiedRules);
+    if (validationErrors.length) {
+      sendErrors(res, validationErrors.map(err => err.message));
+      return;
+    }
+
+    const complexity = getQueryComplexity(schema, document, variables, params.operationName);
+    if (complexity.depth > maxDepth) {
+      sendErrors(res, [`Query depth of ${complexity.depth} exceeds the max depth of ${maxDepth}`]);
+      return;
+    }
+    if (complexity.cost > maxCost) {
+      sendErrors(res, [`Query cost of ${complexity.cost} exceeds the max cost of ${maxCost}. Use smaller limits or select fewer nested lists.`]);
+      return;
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables,
+      operationName: params.operationName,
+      contextValue: { loaders: createLoaders() }
+    });
+
+    res.json(result);
+  } catch (err) {
+    console.log(err);
+    res.status(500).send(err.message || err);
+  }
+};
+
+module.exports = {
+  query
+};
@@ -59,7 +59,7 @@ const getblock = async (req, res) => {
       throw new Error('Block hash must be a string!');
     }
 
-    const block = await Block.findOne({ height: req.query.index });
+    const block = await Block.findOne({ hash: req.query.hash });
     res.json(block);
   } catch (err) {
     console.log(err);
@@ -0,0 +1,37 @@
+const { MAX_CHANNELS, isChannel, subscribe } = require('../lib/push');
+const { sendBadRequest } = require('../lib/openapi');
+
+/**
+ * Server-sent events stream of the channels in ?channels= (comma separated). See server/lib/push.js for the channels and events.
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const getPush = (req, res) => {
+  const channels = [...new Set(req.query.channels.split(',').map(channel => channel.trim()).filter(channel => !!channel))];
+  const invalidChannels = channels.filter(channel => !isChannel(channel));
+  if (invalidChannels.length) {
+    sendBadRequest(res, [{ in: 'query', name: 'channels', message: `Unknown channels: ${invalidChannels.join(', ')}.` }]);
+    return;
+  }
+  if (!channels.length || channels.length > MAX_CHANNELS) {
+    sendBadRequest(res, [{ in: 'query', name: 'channels', message: `Subscribe to 1 - ${MAX_CHANNELS} channels.` }]);
+    return;
+  }
+
+  // The stream stays open until the client disconnects
+  req.clearTimeout();
+  res.writeHead(200, {
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Content-Type': 'text/event-stream',
+    'X-Accel-Buffering': 'no' // Don't buffer events in nginx
+  });
+  res.write(`event: subscribed\ndata: ${JSON.stringify({ channels })}\n\n`);
+
+  const unsubscribe = subscribe(res, channels);
+  req.on('close', unsubscribe);
+};
+
+module.exports = {
+  getPush
+};
@@ -0,0 +1,219 @@
+const config = require('../../config');
+const crypto = require('crypto');
+const net = require('net');
+const { isAddress, normalizeAddress } = require('../../lib/blockchain');
+const { rpc } = require('../../lib/cron');
+const { secretsConfig } = require('../../config.server');
+const { sendBadRequest } = require('../lib/openapi');
+const { isPublicAddress, WebhookDeliveryStatus, WebhookEvent } = require('../../lib/webhook');
+
+// Models.
+const Block = require('../../model/block');
+const { Webhook, WebhookDelivery } = require('../../model/webhook');
+
+const apiKeys = (secretsConfig.webhooks && secretsConfig.webhooks.apiKeys) || [];
+
+// Events that can be subscribed to ("reverted" is always sent)
+const events = [WebhookEvent.Received, WebhookEvent.Sent, WebhookEvent.Reward, WebhookEvent.Confirmed];
+
+/**
+ * Compare secrets in constant time
+ */
+const isSameSecret = (value, secret) => {
+  return !!secret && typeof value === 'string' && value.length === secret.length && crypto.timingSafeEqual(Buffer.from(value), Buffer.from(secret));
+};
+
+/**
+ * Does the request have one of the api keys of config.server.js (X-Api-Key header)?
+ */
+const hasApiKey = req => apiKeys.some(apiKey => isSameSecret(req.get('X-Api-Key'), apiKey));
+
+/**
+ * Message the owner of an address has to sign to add a webhook for the url
+ * @param {String} url Url of the webhook
+ */
+const getSignMessage = url => `${config.offChainSignOn.signMessagePrefix}webhook:${url}`;
+
+/**
+ * Webhooks can't be used to post to the explorer server itself or to it's private network.
+ * This only refuses the obvious urls when the webhook is added, cron/webhook.js checks the address the host resolves to when it sends a delivery.
+ * @param {String} url Url of the webhook
+ */
+const isPublicUrl = (url) => {
+  try {
+    const { hostname, protocol } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (!['http:', 'https:'].includes(protocol) || host === 'localhost' || host.endsWith('.localhost')) {
+      return false;
+    }
+
+    return !net.isIP(host) || isPublicAddress(host);
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Webhook without it's secret
+ */
+const getWebhookDetails = webhook => ({
+  _id: webhook._id,
+  address: webhook.address,
+  url: webhook.url,
+  events: webhook.events,
+  confirmations: webhook.confirmations,
+  createdAt: webhook.createdAt,
+  createdHeight: webhook.createdHeight
+});
+
+/**
+ * Find the webhook of the request. Only api keys & the secret of the webhook (X-Webhook-Secret header) have access to it.
+ * Sends the error response and returns null if the webhook can't be accessed.
+ */
+const getAuthorizedWebhook = async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id);
+  if (!webhook) {
+    res.status(404).send('Unable to find the webhook!');
+    return null;
+  }
+  if (!hasApiKey(req) && !isSameSecret(req.get('X-Webhook-Secret'), webhook.secret)) {
+    res.status(403).json({ error: 'The X-Webhook-Secret (or X-Api-Key) header is required to access this webhook.' });
+    return null;
+  }
+  return webhook;
+};
+
+/**
+ * Add a webhook for an address. The owner of the address proves it by signing getSignMessage(url) with the wallet (Off-Chain Sign On).
+ * The secret of the webhook is only returned here.
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const createWebhook = async (req, res) => {
+  try {
+    if (!config.webhooks.enabled) {
+      res.status(403).json({ error: 'Webhooks are not enabled.' });
+      return;
+    }
+
+    const address = normalizeAddress(req.body.address);
+    const { url, signature } = req.body;
+    const webhookEvents = req.body.events ? [...new Set(req.body.events.split(','))] : [WebhookEvent.Received, WebhookEvent.Sent, WebhookEvent.Reward];
+    const confirmations = req.body.confirmations ? parseInt(req.body.confirmations, 10) : config.blockConfirmations;
+
+    let errors = [];
+    if (!isAddress(address)) {
+      errors.push({ in: 'body', name: 'address', message: `"address" is not a valid ${config.coinDetails.shortName} address.` });
+    }
+    if (!isPublicUrl(url)) {
+      errors.push({ in: 'body', name: 'url', message: '"url" must be a public http(s) url.' });
+    }
+    if (webhookEvents.some(event => !events.includes(event))) {
+      errors.push({ in: 'body', name: 'events', message: `"events" must be a comma separated list of: ${events.join(', ')}.` });
+    }
+
+    const isApiKey = hasApiKey(req);
+    if (!isApiKey && !signature) {
+      errors.push({ in: 'body', name: 'signature', message: `"signature" of the message "${getSignMessage(url)}" (signed with the address) is required without an api key.` });
+    }
+    if (errors.length) {
+      sendBadRequest(res, errors);
+      return;
+    }
+
+    if (!isApiKey) {
+      if (!config.offChainSignOn.enabled) {
+        res.status(403).json({ error: 'Off-Chain Sign On is not enabled. An api key is required to add webhooks.' });
+        return;
+      }
+
+      // Malformed signatures are an rpc error
+      const isSigned = await rpc.call('verifymessage', [address, signature, getSignMessage(url)]).catch(() => false);
+      if (!isSigned) {
+        res.status(403).json({ error: `"signature" is not a signature of the message "${getSignMessage(url)}" by ${address}.` });
+        return;
+      }
+    }
+
+    const webhookCount = await Webhook.find({ address }).count();
+    if (webhookCount >= config.webhooks.maxPerAddress) {
+      sendBadRequest(res, [{ in: 'body', name: 'address', message: `Addresses can have up to ${config.webhooks.maxPerAddress} webhooks.` }]);
+      return;
+    }
+
+    const block = await Block.findOne({}, { height: 1 }).sort({ height: -1 });
+    const webhook = new Webhook({
+      address,
+      url,
+      events: webhookEvents,
+      confirmations,
+      secret: crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date(),
+      createdHeight: block ? block.height : 0,
+      isApiKey
+    });
+    await webhook.save();
+
+    res.json({ ...getWebhookDetails(webhook), secret: webhook.secret });
+  } catch (err) {
+    console.log(err);
+    res.status(500).send(err.message || err);
+  }
+};
+
+/**
+ * Webhook with it's delivery log (most recent first)
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const getWebhook = async (req, res) => {
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+
+  try {
+    const webhook = await getAuthorizedWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const deliveries = await WebhookDelivery
+      .find({ webhook: webhook._id }, { webhook: 0, confirmHeight: 0 })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(limit, 500));
+
+    res.json({ ...getWebhookDetails(webhook), deliveries });
+  } catch (err) {
+    console.log(err);
+    res.status(500).send(err.message || err);
+  }
+};
+
+/**
+ * Delete a webhook. Deliveries that were not sent yet are cancelled.
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await getAuthorizedWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    await WebhookDelivery.updateMany(
+      { webhook: webhook._id, status: { $in: [WebhookDeliveryStatus.Waiting, WebhookDeliveryStatus.Pending] } },
+      { $set: { status: WebhookDeliveryStatus.Cancelled } }
+    );
+    await Webhook.deleteOne({ _id: webhook._id });
+
+    res.json(getWebhookDetails(webhook));
+  } catch (err) {
+    console.log(err);
+    res.status(500).send(err.message || err);
+  }
+};
+
+module.exports = {
+  createWebhook,
+  deleteWebhook,
+  getWebhook
+};
@@ -23,6 +23,12 @@ const middleware = (app) => {
     //delayMs: 500
   }));
 
+  app.use('/graphql', new rateLimit({
+    windowMs: 1000, // 1 second
+    max: 10,
+    //delayMs: 500
+  }));
+
   // Rate-limit single sign on to 1 login per second
   app.use('/api/login', new rateLimit({
     windowMs: 1000, // 1 second
@@ -30,6 +36,13 @@ const middleware = (app) => {
     //delayMs: 500
   }));
 
+  // Adding webhooks verifies a signed message with the coin daemon
+  app.use('/api/webhook', new rateLimit({
+    windowMs: 1000, // 1 second
+    max: 1,
+    //delayMs: 500
+  }));
+
   app.use('/ext/getbalance', new rateLimit({
     windowMs: 1200,
     max: 1,
@@ -0,0 +1,280 @@
+const config = require('../../config');
+const express = require('express');
+const { parseDate } = require('../../lib/date');
+const { decodeCursor } = require('./pagination');
+const { version } = require('../../package.json');
+
+/**
+ * OpenAPI
+ *
+ * Routes are added with a small machine-readable spec of their parameters. The same spec is used to validate requests (consistent 400 errors)
+ * and to generate /api/openapi.json (which the API page is rendered from).
+ *
+ * Parameter spec: { type, description, example, required, default, enum, minimum, maximum, maxLength, pattern, format }
+ * Route spec: { operationId, summary, description, params (path), query, body }
+ */
+
+// Every route added with createRouter() in the order they were added
+const routes = [];
+
+// Sections of the api (OpenAPI tags)
+const tags = [];
+
+/**
+ * Custom formats (OpenAPI allows any format string)
+ */
+const formats = {
+  cursor: value => !!decodeCursor(value), // nextCursor/prevCursor of a paginated list
+  timestamp: value => !!parseDate(value) // Unix timestamp (seconds) or ISO 8601 date
+};
+
+/**
+ * Parameters shared by many routes
+ */
+const parameters = {
+  address: { description: 'Address', example: 'bFY9cyZqZTYHGfduXo7CVNTMiCDeJ1q4gA' },
+  cursor: { format: 'cursor', description: 'nextCursor / prevCursor of the previous page' },
+  limit: (defaultValue, max) => ({ type: 'integer', minimum: 1, default: defaultValue, description: `Page size (max ${max})` }),
+  skip: { type: 'integer', minimum: 0, description: 'Number of items to skip (use cursor for deep pages)' },
+  timestamp: description => ({ format: 'timestamp', description: `${description} (unix timestamp or ISO 8601 date)`, example: '2019-01-31' })
+};
+
+/**
+ * Send a 400 with every invalid parameter. All validation errors of the api have this format.
+ * @param {Object} res The response object.
+ * @param {Array} errors [{ in, name, message }]
+ */
+const sendBadRequest = (res, errors) => {
+  res.status(400).json({ error: errors.map(err => err.message).join(' '), errors });
+};
+
+/**
+ * Validate a single parameter value against it's spec
+ * @returns {String} Error message. Null if the value is valid
+ */
+const getParameterError = (name, spec, value) => {
+  if (spec.type === 'object') {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : `"${name}" must be an object.`;
+  }
+  if (Array.isArray(value) || (value !== null && typeof value === 'object')) {
+    return `"${name}" must be a single value.`;
+  }
+
+  const text = value.toString();
+  switch (spec.type) {
+    case 'integer':
+      if (!/^-?\d+$/.test(text)) {
+        return `"${name}" must be an integer.`;
+      }
+      break;
+    case 'number':
+      if (!/^-?\d+(\.\d+)?$/.test(text)) {
+        return `"${name}" must be a number.`;
+      }
+      break;
+    case 'boolean':
+      if (!['true', 'false', '1', '0'].includes(text)) {
+        return `"${name}" must be true or false.`;
+      }
+      break;
+    default:
+      if (typeof value !== 'string') {
+        return `"${name}" must be a string.`;
+      }
+      break;
+  }
+
+  if (spec.enum && !spec.enum.includes(spec.type === 'integer' ? parseInt(text, 10) : text)) {
+    return `"${name}" must be one of: ${spec.enum.join(', ')}.`;
+  }
+  if (spec.minimum !== undefined && parseFloat(text) < spec.minimum) {
+    return `"${name}" must be at least ${spec.minimum}.`;
+  }
+  if (spec.maximum !== undefined && parseFloat(text) > spec.maximum) {
+    return `"${name}" must be at most ${spec.maximum}.`;
+  }
+  if (spec.maxLength !== undefined && text.length > spec.maxLength) {
+    return `"${name}" must be under ${spec.maxLength} characters in length.`;
+  }
+  if (spec.pattern && !new RegExp(spec.pattern).test(text)) {
+    return `"${name}" is not valid${spec.example ? ` (ex: ${spec.example})` : ''}.`;
+  }
+  if (spec.format && formats[spec.format] && !formats[spec.format](text)) {
+    return `"${name}" must be a valid ${spec.format}.`;
+  }
+  return null;
+};
+
+/**
+ * Middleware that validates the path, query & body parameters of a request against the route spec
+ * @param {Object} spec Route spec
+ */
+const validateRequest = spec => (req, res, next) => {
+  const locations = [
+    { location: 'path', parameters: spec.params, values: req.params },
+    { location: 'query', parameters: spec.query, values: req.query },
+    { location: 'body', parameters: spec.body, values: req.body || {} }
+  ];
+
+  let errors = [];
+  locations.forEach(({ location, parameters, values }) => {
+    Object.keys(parameters || {}).forEach(name => {
+      const parameterSpec = parameters[name];
+      const value = values[name];
+
+      let message = null;
+      if (value === undefined || value === '') {
+        message = parameterSpec.required || location === 'path' ? `"${name}" is required.` : null;
+      } else {
+        message = getParameterError(name, parameterSpec, value);
+      }
+
+      if (message) {
+        errors.push({ in: location, name, message });
+      }
+    });
+  });
+
+  if (errors.length) {
+    sendBadRequest(res, errors);
+    return;
+  }
+  next();
+};
+
+/**
+ * Create an express router where every route is documented & validated
+ * @param {String} basePath Where the router is mounted (ex: /api)
+ * @param {Object} tag Section of the api { name, description }. Can be changed per route with spec.tag
+ * @returns {Object} { router, get(path, spec, ...handlers), post(path, spec, ...handlers), del(path, spec, ...handlers) }
+ */
+const createRouter = (basePath, tag) => {
+  const router = express.Router();
+  if (!tags.find(t => t.name === tag.name)) {
+    tags.push(tag);
+  }
+
+  const addRoute = method => (path, spec, ...handlers) => {
+    if (spec.tag && !tags.find(t => t.name === spec.tag.name)) {
+      tags.push(spec.tag);
+    }
+
+    routes.push({ method, path: `${basePath}${path}`, tag: spec.tag || tag, spec });
+    router[method](path, validateRequest(spec), ...handlers);
+  };
+
+  return {
+    router,
+    get: addRoute('get'),
+    post: addRoute('post'),
+    del: addRoute('delete')
+  };
+};
+
+/**
+ * Parameter spec in OpenAPI format
+ */
+const getSchema = ({ type = 'string', enum: values, minimum, maximum, maxLength, pattern, format, default: defaultValue }) => ({
+  type,
+  enum: values,
+  minimum,
+  maximum,
+  maxLength,
+  pattern,
+  format,
+  default: defaultValue
+});
+
+/**
+ * Route spec as an OpenAPI operation
+ */
+const getOperation = ({ spec, tag }) => {
+  const getParameters = (location, parameters) => Object.keys(parameters || {}).map(name => ({
+    name,
+    in: location,
+    description: parameters[name].description,
+    required: location === 'path' || !!parameters[name].required,
+    example: parameters[name].example,
+    schema: getSchema(parameters[name])
+  }));
+
+  let operation = {
+    operationId: spec.operationId,
+    summary: spec.summary,
+    description: spec.description,
+    tags: [tag.name],
+    parameters: [...getParameters('path', spec.params), ...getParameters('query', spec.query)],
+    responses: {
+      200: { description: 'Success' },
+      400: { description: 'Invalid parameters', content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } } }
+    }
+  };
+
+  if (spec.body) {
+    const schema = {
+      type: 'object',
+      required: Object.keys(spec.body).filter(name => spec.body[name].required),
+      properties: Object.keys(spec.body).reduce((properties, name) => ({
+        ...properties,
+        [name]: { ...getSchema(spec.body[name]), description: spec.body[name].description, example: spec.body[name].example }
+      }), {})
+    };
+    operation.requestBody = {
+      required: schema.required.length > 0,
+      content: { 'application/json': { schema }, 'application/x-www-form-urlencoded': { schema } }
+    };
+  }
+
+  return operation;
+};
+
+/**
+ * OpenAPI 3 document of every documented route (served on /api/openapi.json)
+ */
+const getOpenApiSpec = () => {
+  let paths = {};
+  routes.forEach(route => {
+    const path = route.path.replace(/:([a-zA-Z]+)/g, '{$1}');
+    paths[path] = { ...paths[path], [route.method]: getOperation(route) };
+  });
+
+  // Drop undefined values (optional spec properties)
+  return JSON.parse(JSON.stringify({
+    openapi: '3.0.0',
+    info: {
+      title: `${config.coinDetails.name} Block Explorer API`,
+      description: 'Retrieve information from the network without the need for a local wallet.',
+      version
+    },
+    tags,
+    paths,
+    components: {
+      schemas: {
+        ValidationError: {
+          type: 'object',
+          properties: {
+            error: { type: 'string', description: 'All error messages' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  in: { type: 'string', enum: ['path', 'query', 'body'] },
+                  name: { type: 'string' },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }));
+};
+
+module.exports = {
+  createRouter,
+  getOpenApiSpec,
+  parameters,
+  sendBadRequest
+};
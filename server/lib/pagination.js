@@ -0,0 +1,131 @@
+const moment = require('moment');
+const querystring = require('querystring');
+const cache = require('./cache');
+
+/**
+ * Cursor pagination
+ *
+ * Instead of skip/limit (which has to walk over every skipped document) pages continue from the sort key of the last/first document of the previous page.
+ * Cursors are opaque tokens to the api users. Lists still accept ?skip= so older clients keep working.
+ */
+
+/**
+ * @param {Number} value Sort key value of the document that the next/previous page continues from
+ * @param {String} direction "next" (older documents) or "prev" (newer documents)
+ * @param {String} id _id of the document (only for keys that are not unique)
+ */
+const encodeCursor = (value, direction, id = undefined) => Buffer.from(JSON.stringify({ v: value, d: direction, i: id })).toString('base64');
+
+/**
+ * Parse a cursor token from the query string
+ * @param {String} token Cursor token (from nextCursor/prevCursor of the previous response)
+ * @returns {Object} { v, d, i }. Null if the token is invalid
+ */
+const decodeCursor = (token) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+    if (typeof cursor.v === 'number' && (cursor.d === 'next' || cursor.d === 'prev') && (cursor.i === undefined || /^[0-9a-f]{24}$/.test(cursor.i))) {
+      return cursor;
+    }
+  } catch (err) {
+    // Not base64 json
+  }
+  return null;
+};
+
+/**
+ * Find one page of documents sorted by key (newest first).
+ * If the key is not unique (isUniqueKey: false) documents are sorted by _id as well and the cursors include the _id so documents sharing a key are split between pages like any other documents.
+ * @param {Object} options { model, query, key, limit, cursor, skip, projection, populate, isUniqueKey }
+ * @returns {Object} { items, nextCursor, prevCursor }
+ */
+const getCursorPage = async ({ model, query, key, limit, cursor = null, skip = 0, projection = null, populate = null, isUniqueKey = true }) => {
+  const isPrev = !!cursor && cursor.d === 'prev';
+  const sortDirection = isPrev ? 1 : -1; // Previous pages are found in ascending order and reversed
+  const sort = isUniqueKey ? { [key]: sortDirection } : { [key]: sortDirection, _id: sortDirection };
+
+  // Documents after (older, $lt) or before (newer, $gt) the position of a document
+  const getPositionQuery = (operator, value, id) => {
+    if (isUniqueKey || !id) {
+      return { [key]: { [operator]: value } };
+    }
+    return { $or: [{ [key]: { [operator]: value } }, { [key]: value, _id: { [operator]: id } }] };
+  };
+
+  const find = (positionQuery) => {
+    let findQuery = model.find(positionQuery ? { $and: [query, positionQuery] } : query, projection).sort(sort);
+    return populate ? findQuery.populate(populate) : findQuery;
+  };
+
+  let items = [];
+  if (cursor) {
+    items = await find(getPositionQuery(isPrev ? '$gt' : '$lt', cursor.v, cursor.i)).limit(limit);
+  } else {
+    items = await find(null).skip(skip).limit(limit);
+  }
+
+  if (isPrev) {
+    items.reverse();
+  }
+  if (items.length === 0) {
+    return { items, nextCursor: null, prevCursor: null };
+  }
+
+  const firstItem = items[0];
+  const lastItem = items[items.length - 1];
+  const firstId = isUniqueKey ? undefined : firstItem._id.toString();
+  const lastId = isUniqueKey ? undefined : lastItem._id.toString();
+  const hasNext = !!await model.findOne({ $and: [query, getPositionQuery('$lt', lastItem[key], lastId)] }, { _id: 1 });
+  const hasPrev = !!await model.findOne({ $and: [query, getPositionQuery('$gt', firstItem[key], firstId)] }, { _id: 1 });
+
+  return {
+    items,
+    nextCursor: hasNext ? encodeCursor(lastItem[key], 'next', lastId) : null,
+    prevCursor: hasPrev ? encodeCursor(firstItem[key], 'prev', firstId) : null
+  };
+};
+
+/**
+ * Links to the next/previous pages (same request with the cursor swapped out)
+ * @param {Object} req The request object.
+ * @param {Object} cursorPage Result of getCursorPage()
+ */
+const getCursorLinks = (req, cursorPage) => {
+  const getLink = (cursor) => {
+    if (!cursor) {
+      return null;
+    }
+
+    const { skip, cursor: _, ...query } = req.query;
+    return `${req.baseUrl}${req.path}?${querystring.stringify({ ...query, cursor })}`;
+  };
+
+  return {
+    next: getLink(cursorPage.nextCursor),
+    prev: getLink(cursorPage.prevCursor),
+    nextCursor: cursorPage.nextCursor,
+    prevCursor: cursorPage.prevCursor
+  };
+};
+
+/**
+ * Approximate count of a list. Counting a big collection on every page request is slow, so shared lists (cacheKey) are only counted once a minute.
+ * @param {Object} model Mongoose model
+ * @param {Object} query Filter of the list
+ * @param {String} cacheKey Cache the count under this key. Per address lists should not be cached (there would be an entry for every address)
+ */
+const getApproximateCount = async (model, query, cacheKey = null) => {
+  if (!cacheKey) {
+    return await model.count(query);
+  }
+
+  return await cache.getFromCache(`count:${cacheKey}`, moment().utc().add(60, 'seconds').unix(), async () => await model.count(query));
+};
+
+module.exports = {
+  decodeCursor,
+  encodeCursor,
+  getApproximateCount,
+  getCursorLinks,
+  getCursorPage
+};
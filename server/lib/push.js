@@ -0,0 +1,205 @@
+const config = require('../../config');
+
+const Block = require('../../model/block');
+const { CarverMovement, CarverAddressMovement } = require('../../model/carver2d');
+const Coin = require('../../model/coin');
+const SyncStatus = require('../../model/syncStatus');
+
+/**
+ * Push
+ *
+ * Server-sent events for /api/push. Instead of every open tab polling the api, each api process checks the database for new blocks, movements,
+ * reorgs & coin snapshots (only while someone is subscribed) and pushes them to the subscribers of the matching channels.
+ *
+ * Channels:
+ * - blocks: "block" event for every new block
+ * - movements: "movement" event for every new tx (CarverMovement)
+ * - address:<label>: "addressMovement" event for every movement of the address
+ * - reorgs: "reorg" event when blocks were undone (clients should reload data of the undone blocks)
+ * - coin: "coin" event for every new coin snapshot (cron/coin.js)
+ */
+
+const CHANNELS = ['blocks', 'movements', 'reorgs', 'coin'];
+const MAX_CHANNELS = 20;
+const pollInterval = ((config.api.push && config.api.push.interval) || 5) * 1000;
+
+let subscribers = new Set();
+let timer = null;
+let isPolling = false;
+
+// Last document of each type that was pushed (null until the first subscriber)
+let last = null;
+
+/**
+ * Is this a channel that can be subscribed to?
+ * @param {String} channel Ex: blocks, address:bFY9cyZqZTYHGfduXo7CVNTMiCDeJ1q4gA
+ */
+const isChannel = (channel) => {
+  if (channel.startsWith('address:')) {
+    return /^[a-zA-Z0-9:]{1,100}$/.test(channel.slice('address:'.length));
+  }
+  return CHANNELS.includes(channel);
+};
+
+/**
+ * Send an event to every subscriber of the channel
+ */
+const publish = (channel, event, data) => {
+  subscribers.forEach(subscriber => {
+    if (subscriber.channels.has(channel)) {
+      subscriber.res.write(`event: ${event}\ndata: ${JSON.stringify({ channel, ...data })}\n\n`);
+    }
+  });
+};
+
+/**
+ * Tips of the database when the first client subscribes (only documents added after this are pushed)
+ */
+const getTips = async () => {
+  const [block, carverMovement, coin, syncStatus] = await Promise.all([
+    Block.findOne({}, { height: 1 }).sort({ height: -1 }),
+    CarverMovement.findOne({}, { sequence: 1 }).sort({ sequence: -1 }),
+    Coin.findOne({}, { createdAt: 1 }).sort({ createdAt: -1 }),
+    SyncStatus.findOne({ _id: 'block' }, { lastReorg: 1 })
+  ]);
+
+  return {
+    height: block ? block.height : 0,
+    sequence: carverMovement ? carverMovement.sequence : 0,
+    coinDate: coin ? coin.createdAt : new Date(0),
+    reorgDate: syncStatus && syncStatus.lastReorg && syncStatus.lastReorg.date ? syncStatus.lastReorg.date : new Date(0)
+  };
+};
+
+/**
+ * Push reorgs. Blocks & movements continue from the block before the undone blocks so the re-synced blocks are pushed again.
+ */
+const pushReorgs = async () => {
+  const syncStatus = await SyncStatus.findOne({ _id: 'block' }, { lastReorg: 1 });
+  if (!syncStatus || !syncStatus.lastReorg || !syncStatus.lastReorg.date || syncStatus.lastReorg.date <= last.reorgDate) {
+    return;
+  }
+
+  const { date, height, undoHeight } = syncStatus.lastReorg;
+  const lastValidBlock = await Block.findOne({ height: undoHeight - 1 }, { height: 1, sequenceEnd: 1 });
+
+  last.reorgDate = date;
+  last.height = Math.min(last.height, undoHeight - 1);
+  last.sequence = Math.min(last.sequence, lastValidBlock && lastValidBlock.sequenceEnd ? lastValidBlock.sequenceEnd : 0);
+  publish('reorgs', 'reorg', { date, height, undoHeight });
+};
+
+const pushBlocks = async () => {
+  const blocks = await Block.find({ height: { $gt: last.height } }, { txs: 0 }).sort({ height: 1 }).limit(100);
+  blocks.forEach(block => {
+    last.height = block.height;
+    publish('blocks', 'block', { block: block.toObject() });
+  });
+};
+
+const pushMovements = async () => {
+  const carverMovements = await CarverMovement.find({ sequence: { $gt: last.sequence } }).sort({ sequence: 1 }).limit(500);
+  if (!carverMovements.length) {
+    return;
+  }
+
+  carverMovements.forEach(carverMovement => publish('movements', 'movement', { movement: carverMovement.toObject() }));
+  last.sequence = carverMovements[carverMovements.length - 1].sequence;
+
+  // Address movements are only loaded if someone is subscribed to an address
+  const hasAddressSubscribers = [...subscribers].some(subscriber => [...subscriber.channels].some(channel => channel.startsWith('address:')));
+  if (!hasAddressSubscribers) {
+    return;
+  }
+
+  const txIds = new Map(carverMovements.map(carverMovement => [carverMovement._id.toString(), carverMovement.txId]));
+  const carverAddressMovements = await CarverAddressMovement
+    .find({ carverMovement: { $in: carverMovements.map(carverMovement => carverMovement._id) } })
+    .populate('carverAddress', { label: 1 })
+    .sort({ sequence: 1 });
+  carverAddressMovements.forEach(carverAddressMovement => {
+    if (!carverAddressMovement.carverAddress) {
+      return;
+    }
+
+    const label = carverAddressMovement.carverAddress.label;
+    publish(`address:${label}`, 'addressMovement', {
+      movement: {
+        label,
+        txId: txIds.get(carverAddressMovement.carverMovement.toString()),
+        blockHeight: carverAddressMovement.blockHeight,
+        date: carverAddressMovement.date,
+        amountIn: carverAddressMovement.amountIn,
+        amountOut: carverAddressMovement.amountOut,
+        balance: carverAddressMovement.balance + carverAddressMovement.amountIn - carverAddressMovement.amountOut, // Balance after the movement
+        isReward: carverAddressMovement.isReward,
+        sequence: carverAddressMovement.sequence
+      }
+    });
+  });
+};
+
+const pushCoin = async () => {
+  const coin = await Coin.findOne({ createdAt: { $gt: last.coinDate } }).sort({ createdAt: -1 });
+  if (coin) {
+    last.coinDate = coin.createdAt;
+    publish('coin', 'coin', { coin: coin.toObject() });
+  }
+};
+
+/**
+ * Check the database for new documents and push them. Runs every config.api.push.interval seconds while there are subscribers.
+ */
+const poll = async () => {
+  if (isPolling) {
+    return;
+  }
+
+  isPolling = true;
+  try {
+    if (!last) {
+      last = await getTips();
+    }
+
+    await pushReorgs();
+    await pushBlocks();
+    await pushMovements();
+    await pushCoin();
+
+    // Keeps proxies from closing idle connections
+    subscribers.forEach(subscriber => subscriber.res.write(':\n\n'));
+  } catch (err) {
+    console.log(err);
+  }
+  isPolling = false;
+};
+
+/**
+ * Start pushing events of the channels to a server-sent events response
+ * @param {Object} res The response object (headers already sent)
+ * @param {Array} channels Channels to subscribe to
+ * @returns {Function} Unsubscribe (call when the connection is closed)
+ */
+const subscribe = (res, channels) => {
+  const subscriber = { res, channels: new Set(channels) };
+  subscribers.add(subscriber);
+
+  if (!timer) {
+    timer = setInterval(poll, pollInterval);
+  }
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (!subscribers.size) {
+      clearInterval(timer);
+      timer = null;
+      last = null; // Tips are loaded again for the next subscriber
+    }
+  };
+};
+
+module.exports = {
+  MAX_CHANNELS,
+  isChannel,
+  subscribe
+};
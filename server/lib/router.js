@@ -4,6 +4,7 @@ const path = require('path');
 // Routes.
 const api = require('../route/api');
 const ext = require('../route/ext');
+const graphql = require('../route/graphql');
 
 /**
  * Add routes for the application.
@@ -21,6 +22,7 @@ const router = (app) => {
   // Setup the api routes.
   app.use('/api', api);
   app.use('/ext', ext);
+  app.use('/graphql', graphql);
 };
 
 module.exports =  router;
@@ -1,43 +1,322 @@
-
-const express = require('express');
 const blockex = require('../handler/blockex');
 const iquidus = require('../handler/iquidus');
+const push = require('../handler/push');
+const webhook = require('../handler/webhook');
+const { createRouter, parameters } = require('../lib/openapi');
+
+const { router, get, post, del } = createRouter('/api', { name: 'API Calls', description: 'Return data from coind' });
+
+const cursorPagination = 'Paginated with cursors: follow the "next" / "prev" links (or pass "?cursor=" from nextCursor / prevCursor) instead of "?skip=" for fast deep pages.';
 
-const router = express.Router();
+get('/address/:hash', {
+  operationId: 'getAddress',
+  summary: 'Returns information for given address.',
+  description: '"carverRewardAddresses" only has the totals of the reward addresses (label, carverAddressType, balance, countIn, countOut, valueIn & valueOut). The same totals are in posCountIn, posValueIn, mnCountIn... of the address.',
+  params: { hash: parameters.address }
+}, blockex.getAddress);
+get('/address/:hash/balance', {
+  operationId: 'getAddressBalance',
+  summary: 'Returns the balance of the given address at a block height or date. Returns the current balance without either.',
+  params: { hash: parameters.address },
+  query: {
+    height: { type: 'integer', minimum: 0, description: 'Block height', example: 100000 },
+    date: parameters.timestamp('Date')
+  }
+}, blockex.getAddressBalance);
+get('/address/:hash/balance/history', {
+  operationId: 'getAddressBalanceHistory',
+  summary: 'Returns the balance of the given address over time, downsampled to evenly spaced points.',
+  params: { hash: parameters.address },
+  query: {
+    from: parameters.timestamp('Start of the history (default: first movement of the address)'),
+    to: parameters.timestamp('End of the history (default: now)'),
+    points: { type: 'integer', default: 100, description: 'Number of points (2 - 500)', example: 100 }
+  }
+}, blockex.getAddressBalanceHistory);
+get('/address/:hash/utxo', {
+  operationId: 'getAddressUtxos',
+  summary: 'Returns the unspent outputs of the given address (txid, vout, amount, satoshis, height, confirmations).',
+  description: 'Responds with 503 on explorers that were synced before spent outputs were tracked until their spentUtxos migration has run.',
+  params: { hash: parameters.address },
+  query: {
+    sort: { enum: ['value', 'age'], default: 'value', description: 'Largest outputs first (value) or oldest outputs first (age)' },
+    limit: parameters.limit(10, 100),
+    skip: parameters.skip
+  }
+}, blockex.getAddressUtxos);
+get('/block/average', {
+  operationId: 'getBlockAverage',
+  summary: 'Returns the average block time over 24 hours.'
+}, blockex.getAvgBlockTime());
+get('/block/is/:hash', {
+  operationId: 'getIsBlock',
+  summary: 'Returns true if the hash is a block hash (false for transactions).',
+  params: { hash: { description: 'Block or transaction hash', example: '00000000000072a98f7d8385809a1f71af983d22efce85e63ec3d75f04412823' } }
+}, blockex.getIsBlock);
+get('/block/:hash', {
+  operationId: 'getBlock',
+  summary: 'Returns block information for the given hash or height.',
+  params: { hash: { description: 'Block hash or height', example: '00000000000072a98f7d8385809a1f71af983d22efce85e63ec3d75f04412823' } }
+}, blockex.getBlock);
+get('/coin', {
+  operationId: 'getCoin',
+  summary: 'Returns coin information.'
+}, blockex.getCoin);
+get('/coin/history', {
+  operationId: 'getCoinHistory',
+  summary: 'Returns the coin history (newest first, one entry every 5 minutes).',
+  query: { limit: { type: 'integer', minimum: 1, default: 12, description: 'Page size' }, skip: parameters.skip }
+}, blockex.getCoinHistory);
+get('/coin/week', {
+  operationId: 'getCoinsWeek',
+  summary: 'Returns the coin history of the last week (one entry per day).'
+}, blockex.getCoinsWeek());
+get('/governance', {
+  operationId: 'getGovernance',
+  summary: 'Returns governance payouts (rewards paid to governance addresses).',
+  query: {
+    address: { ...parameters.address, description: 'Only payouts to this governance address' },
+    limit: parameters.limit(10, 100),
+    skip: parameters.skip
+  }
+}, blockex.getGovernance);
+get('/leaderboard/staking', {
+  operationId: 'getStakingLeaderboard',
+  summary: 'Returns staking leaderboards: longest restake streaks, most stakes & highest average ROI% (last 30 days).',
+  query: {
+    limit: parameters.limit(10, 100),
+    minInputValue: { type: 'number', minimum: 0, default: 100, description: 'Only count stakes of inputs of at least this size in the average ROI%' }
+  }
+}, blockex.getStakingLeaderboard);
+get('/masternode', {
+  operationId: 'getMasternodes',
+  summary: 'Returns masternode information.',
+  description: cursorPagination,
+  query: {
+    hash: { ...parameters.address, description: 'Only masternodes running on this address' },
+    addresses: { description: 'Only masternodes running on these addresses (comma separated)' },
+    tag: { description: 'Only masternodes with this address tag' },
+    limit: parameters.limit(100, 1000),
+    skip: parameters.skip,
+    cursor: parameters.cursor
+  }
+}, blockex.getMasternodes);
+get('/masternode/average', {
+  operationId: 'getMasternodeAverage',
+  summary: 'Returns the average payment for a masternode vs 24 hours.'
+}, blockex.getAvgMNTime());
+get('/masternode/:hash', {
+  operationId: 'getMasternodeByAddress',
+  summary: 'Returns masternode information by Wallet Address.',
+  params: { hash: { ...parameters.address, example: 'bJAUCVr24X84c9k6QVuSvdjbuC69S7zMeG' } }
+}, blockex.getMasternodeByAddress);
+get('/masternodecount', {
+  operationId: 'getMasternodeCount',
+  summary: 'Returns masternodes enabled and total counts.'
+}, blockex.getMasternodeCount);
+get('/mempool', {
+  operationId: 'getMempool',
+  summary: 'Returns the pending (unconfirmed) transactions.',
+  query: {
+    address: { ...parameters.address, description: 'Only transactions moving coins from/to this address' },
+    limit: parameters.limit(10, 100),
+    skip: parameters.skip
+  }
+}, blockex.getMempool);
+get('/openapi.json', {
+  operationId: 'getOpenApi',
+  summary: 'Returns this OpenAPI specification.'
+}, blockex.getOpenApi);
+get('/opreturn', {
+  operationId: 'getOpReturns',
+  summary: 'Returns OP_RETURN payloads (newest first).',
+  query: {
+    prefix: { pattern: '^([0-9a-fA-F]{2})+$', description: 'Only payloads starting with these hex bytes', example: '4d454d4f' },
+    textPrefix: { description: 'Only payloads starting with this text (ignored with prefix)', example: 'MEMO' },
+    limit: parameters.limit(10, 100),
+    skip: parameters.skip
+  }
+}, blockex.getOpReturns);
+get('/peer', {
+  operationId: 'getPeer',
+  summary: 'Returns peer information.',
+  query: { limit: { type: 'integer', minimum: 1, default: 500, description: 'Page size' }, skip: parameters.skip }
+}, blockex.getPeer);
+get('/supply', {
+  operationId: 'getSupply',
+  summary: 'Returns circulating and total supply information.',
+  description: 'https://github.com/coincheckup/crypto-supplies'
+}, blockex.getSupply);
+get('/status/sync', {
+  operationId: 'getSyncStatus',
+  summary: 'Returns how far the explorer is behind the coin daemon (including the progress of the block sync).'
+}, blockex.getSyncStatus);
+get('/top100', {
+  operationId: 'getTop100',
+  summary: 'Returns top 100'
+}, blockex.getTop100);
+get('/top/rewards', {
+  operationId: 'getTopRewards',
+  summary: 'Returns the top addresses by rewards earned.',
+  query: {
+    type: { enum: ['pos', 'mn', 'pow', 'gov'], default: 'pos', description: 'Reward type: top stakers (pos), top masternode earners (mn), proof of work (pow) or governance (gov)' },
+    limit: parameters.limit(100, 100)
+  }
+}, blockex.getTopRewards);
+get('/tx', {
+  operationId: 'getTXs',
+  summary: 'Returns transaction information.',
+  description: cursorPagination,
+  query: { limit: parameters.limit(10, 100), skip: parameters.skip, cursor: parameters.cursor }
+}, blockex.getTXs);
+get('/pos', {
+  operationId: 'getPos',
+  summary: 'Returns the stakes of inputs in a size range.',
+  query: {
+    date: { type: 'integer', minimum: 0, required: true, description: 'How far back to look (seconds, max 1 year)', example: 2678400 },
+    fromInputAmount: { type: 'number', minimum: 0, description: 'Minimum input size (100 - 1000000)', example: 1500 },
+    toInputAmount: { type: 'number', minimum: 0, description: 'Maximum input size (100 - 1000000)', example: 3000 },
+    restakeOnly: { type: 'integer', enum: [0, 1], description: 'Only restaked inputs (1)' },
+    address: { ...parameters.address, description: 'Only stakes of this address' }
+  }
+}, blockex.getPos);
+get('/rewards', {
+  operationId: 'getRewards',
+  summary: 'Returns block rewards information.',
+  description: cursorPagination,
+  query: { limit: parameters.limit(10, 100), skip: parameters.skip, cursor: parameters.cursor }
+}, blockex.getRewards);
+get('/movements', {
+  operationId: 'getMovements',
+  summary: 'Returns Carver2D movements.',
+  description: `${cursorPagination} "total" is approximate (counted from the counters of the address when filtered by addressId).`,
+  query: {
+    addressId: { pattern: '^[0-9a-fA-F]{24}$', description: 'Only movements of this address (id of the address)' },
+    filter: { enum: ['all', 'excludeRewards'], default: 'all', description: 'All movements or exclude reward movements' },
+    limit: parameters.limit(10, 100),
+    skip: parameters.skip,
+    cursor: parameters.cursor
+  }
+}, blockex.getMovements);
+get('/timeIntervals', {
+  operationId: 'getTimeIntervals',
+  summary: 'Returns Time-Based Intervals. Used for advanced charting such as daily POS ROI%.',
+  query: {
+    type: { type: 'integer', enum: [0, 1, 2, 3, 4, 5, 6], default: 0, description: 'TimeIntervalType (ex: 0 = daily average POS ROI%)' },
+    limit: parameters.limit(10, 100),
+    skip: parameters.skip
+  }
+}, blockex.getTimeIntervals);
+get('/social', {
+  operationId: 'getSocial',
+  summary: 'Returns social submissions.',
+  description: cursorPagination,
+  query: { limit: parameters.limit(10, 100), skip: parameters.skip, cursor: parameters.cursor }
+}, blockex.getSocial);
+get('/tx/latest', {
+  operationId: 'getTXLatest',
+  summary: 'Returns latest transaction information.'
+}, blockex.getTXLatest);
+get('/tx/week', {
+  operationId: 'getTXsWeek',
+  summary: 'Returns the number of transactions per day of the last week.'
+}, blockex.getTXsWeek());
+get('/tx/:hash', {
+  operationId: 'getTX',
+  summary: 'Returns information for the given transaction.',
+  params: { hash: { description: 'Transaction id', example: '790c2bdeb46189f180d4a83d7b16aa75a75da1b91d117fea7a7ae818239f0137' } }
+}, blockex.getTX);
+post('/sendrawtransaction', {
+  operationId: 'sendrawtransaction',
+  summary: 'Broadcasts a raw transaction on the network.',
+  description: 'Returns { raw } (the transaction id) or { decoded } with "?decrypt=1".',
+  query: { decrypt: { type: 'integer', enum: [0, 1], description: 'Return the decoded transaction (1)' } },
+  body: { rawtx: { required: true, description: 'Signed raw transaction (hex)' } }
+}, blockex.sendrawtransaction);
+post('/login', {
+  operationId: 'login',
+  summary: 'Performs Off-Chain verification of a signed message.',
+  description: 'Returns { address, signature, message, success }.',
+  body: {
+    address: { ...parameters.address, required: true, maxLength: 256 },
+    signature: { required: true, maxLength: 256, description: 'Signature of the message (signmessage of the wallet)' },
+    message: { required: true, maxLength: 256, description: 'Signed message' }
+  }
+}, blockex.login);
+get('/push', {
+  operationId: 'getPush',
+  summary: 'Streams new blocks, transactions, reorgs and coin snapshots as server-sent events.',
+  description: 'Channels: "blocks" (block event), "movements" (movement event for every tx), "address:[hash]" (addressMovement event with the balance after the movement), "reorgs" (reorg event with the undone height) and "coin" (coin event). Use an EventSource instead of polling; the connection stays open.',
+  query: {
+    channels: { required: true, maxLength: 2048, pattern: '^[a-zA-Z0-9:,]+$', description: 'Comma separated channels (max 20)', example: 'blocks,movements' }
+  }
+}, push.getPush);
 
-router.get('/address/:hash', blockex.getAddress);
-router.get('/block/average', blockex.getAvgBlockTime());
-router.get('/block/is/:hash', blockex.getIsBlock);
-router.get('/block/:hash', blockex.getBlock);
-router.get('/coin', blockex.getCoin);
-router.get('/coin/history', blockex.getCoinHistory);
-router.get('/coin/week', blockex.getCoinsWeek());
-router.get('/masternode', blockex.getMasternodes);
-router.get('/masternode/average', blockex.getAvgMNTime());
-router.get('/masternode/:hash', blockex.getMasternodeByAddress);
-router.get('/masternodecount', blockex.getMasternodeCount);
-router.get('/peer', blockex.getPeer);
-router.get('/supply', blockex.getSupply);
-router.get('/top100', blockex.getTop100);
-router.get('/tx', blockex.getTXs);
-router.get('/pos', blockex.getPos);
-router.get('/rewards', blockex.getRewards);
-router.get('/movements', blockex.getMovements);
-router.get('/timeIntervals', blockex.getTimeIntervals);
-router.get('/social', blockex.getSocial);
-router.get('/tx/latest', blockex.getTXLatest);
-router.get('/tx/week', blockex.getTXsWeek());
-router.get('/tx/:hash', blockex.getTX);
-router.post('/sendrawtransaction', blockex.sendrawtransaction);
-router.post('/login', blockex.login);
+const webhookTag = { name: 'Webhooks', description: 'Server-to-server notifications of address activity' };
+const webhookId = { pattern: '^[a-f0-9]{24}$', description: 'Id of the webhook', example: '5dab2e3c8f1b2a0017c6d8e1' };
+post('/webhook', {
+  operationId: 'createWebhook',
+  tag: webhookTag,
+  summary: 'Adds a webhook that posts the activity of an address to a url.',
+  description: 'Without an api key (X-Api-Key header) the owner of the address has to sign the message "[signMessagePrefix]webhook:[url]" with the wallet. Every delivery is a json POST with the headers X-Webhook-Event, X-Webhook-Timestamp and X-Webhook-Signature ("sha256=" + HMAC-SHA256 of "[timestamp].[body]" with the returned secret). Failed deliveries are retried with backoff. Events of blocks that are undone are sent again as "reverted" events. The secret is only returned here.',
+  body: {
+    address: { ...parameters.address, required: true, maxLength: 100 },
+    url: { required: true, maxLength: 2048, pattern: '^https?://[^\\s]+$', description: 'Url the events are posted to', example: 'https://example.com/webhook' },
+    events: { pattern: '^[a-z,]+$', description: 'Comma separated events: received, sent, reward, confirmed (default: received,sent,reward)', example: 'received,confirmed' },
+    confirmations: { type: 'integer', minimum: 1, maximum: 1000, description: 'Confirmations of "confirmed" events', example: 6 },
+    signature: { maxLength: 256, description: 'Signature of the message (signmessage of the wallet). Not required with an api key.' }
+  }
+}, webhook.createWebhook);
+get('/webhook/:id', {
+  operationId: 'getWebhook',
+  tag: webhookTag,
+  summary: 'Returns the webhook and it\'s delivery log (most recent first).',
+  description: 'Requires the X-Webhook-Secret (the secret of the webhook) or X-Api-Key header.',
+  params: { id: webhookId },
+  query: { limit: parameters.limit(50, 500) }
+}, webhook.getWebhook);
+del('/webhook/:id', {
+  operationId: 'deleteWebhook',
+  tag: webhookTag,
+  summary: 'Deletes the webhook. Deliveries that were not sent yet are cancelled.',
+  description: 'Requires the X-Webhook-Secret (the secret of the webhook) or X-Api-Key header.',
+  params: { id: webhookId }
+}, webhook.deleteWebhook);
 
 // Iquidus Explorer routes.
-router.get('/getdifficulty', iquidus.getdifficulty);
-router.get('/getconnectioncount', iquidus.getconnectioncount);
-router.get('/getblockcount', iquidus.getblockcount);
-router.get('/getblockhash', iquidus.getblockhash);
-router.get('/getblock', iquidus.getblock);
-router.get('/getrawtransaction', iquidus.getrawtransaction);
-router.get('/getnetworkhashps', iquidus.getnetworkhashps);
+get('/getdifficulty', {
+  operationId: 'getDifficulty',
+  summary: 'Returns the current difficulty.'
+}, iquidus.getdifficulty);
+get('/getconnectioncount', {
+  operationId: 'getConnectionCount',
+  summary: 'Returns the number of connections the block explorer has to other nodes.'
+}, iquidus.getconnectioncount);
+get('/getblockcount', {
+  operationId: 'getBlockCount',
+  summary: 'Returns the current block index.'
+}, iquidus.getblockcount);
+get('/getblockhash', {
+  operationId: 'getBlockHash',
+  summary: 'Returns the hash of the block at the given height.',
+  query: { index: { type: 'integer', minimum: 0, required: true, description: 'Block height', example: 100000 } }
+}, iquidus.getblockhash);
+get('/getblock', {
+  operationId: 'getBlockIquidus',
+  summary: 'Returns block information.',
+  query: { hash: { required: true, description: 'Block hash', example: '00000000000072a98f7d8385809a1f71af983d22efce85e63ec3d75f04412823' } }
+}, iquidus.getblock);
+get('/getrawtransaction', {
+  operationId: 'getRawTransaction',
+  summary: 'Returns the raw transaction (or the decoded transaction with "?decrypt=1").',
+  query: {
+    txid: { required: true, description: 'Transaction id', example: '790c2bdeb46189f180d4a83d7b16aa75a75da1b91d117fea7a7ae818239f0137' },
+    decrypt: { type: 'integer', enum: [0, 1], description: 'Return the decoded transaction (1)' }
+  }
+}, iquidus.getrawtransaction);
+get('/getnetworkhashps', {
+  operationId: 'getNetworkHashPS',
+  summary: 'Returns the current network hashrate. (hash/s)'
+}, iquidus.getnetworkhashps);
 
 module.exports = router;
@@ -1,14 +1,30 @@
-
-const express = require('express');
 const iquidus = require('../handler/iquidus');
+const { createRouter, parameters } = require('../lib/openapi');
 
-const router = express.Router();
+const { router, get } = createRouter('/ext', { name: 'Extended API', description: 'Return data from local indexes' });
 
 // Iquidus Explorer routes.
-router.get('/getmoneysupply', iquidus.getmoneysupply);
-router.get('/getdistribution', iquidus.getdistribution);
-router.get('/getaddress/:hash', iquidus.getaddress);
-router.get('/getbalance/:hash', iquidus.getbalance);
-router.get('/getlasttxs', iquidus.getlasttxs);
+get('/getmoneysupply', {
+  operationId: 'getMoneySupply',
+  summary: 'Returns the current money supply.'
+}, iquidus.getmoneysupply);
+get('/getdistribution', {
+  operationId: 'getDistribution',
+  summary: 'Returns the wealth distribution (not implemented, always empty).'
+}, iquidus.getdistribution);
+get('/getaddress/:hash', {
+  operationId: 'getAddressIquidus',
+  summary: 'Returns address information.',
+  params: { hash: parameters.address }
+}, iquidus.getaddress);
+get('/getbalance/:hash', {
+  operationId: 'getBalance',
+  summary: 'Returns the current balance.',
+  params: { hash: parameters.address }
+}, iquidus.getbalance);
+get('/getlasttxs', {
+  operationId: 'getLastTXs',
+  summary: 'Returns the last transactions.'
+}, iquidus.getlasttxs);
 
 module.exports =  router;
@@ -0,0 +1,29 @@
+const graphql = require('../handler/graphql');
+const { createRouter } = require('../lib/openapi');
+
+const { router, get, post } = createRouter('/graphql', { name: 'GraphQL', description: 'Query nested explorer data in one request' });
+
+const description = 'Returns exactly the fields selected by the query. Blocks, movements (txs), addresses, address movements, rewards, masternodes and time intervals can be nested in each other (ex: the addresses of every tx in the latest blocks). Lists take a "limit" argument (max 100). Queries that are too deep or too expensive (nested lists multiply the cost) are rejected with a 400. Use an introspection query to get the full schema.';
+
+get('/', {
+  operationId: 'graphql',
+  summary: 'Executes a GraphQL query.',
+  description,
+  query: {
+    query: { required: true, description: 'GraphQL query', example: '{blocks(limit:5){height hash movements{txId amountOut}}}' },
+    variables: { description: 'Variables of the query (json object)', example: '{}' },
+    operationName: { description: 'Operation to execute (if the query has more than one)' }
+  }
+}, graphql.query);
+post('/', {
+  operationId: 'graphqlPost',
+  summary: 'Executes a GraphQL query (json body).',
+  description,
+  body: {
+    query: { required: true, description: 'GraphQL query', example: '{blocks(limit:5){height hash movements{txId amountOut}}}' },
+    variables: { type: 'object', description: 'Variables of the query' },
+    operationName: { description: 'Operation to execute (if the query has more than one)' }
+  }
+}, graphql.query);
+
+module.exports =  router;
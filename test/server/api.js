@@ -19,9 +19,9 @@ describe('API', () => {
       });
   });
 
-  it('/api/block/hash/:hash', (done) => {
+  it('/api/address/:hash/balance', (done) => {
     chai.request(server)
-      .get('/api/block/hash/0000000000004dbcd7d0ca813e318ea5154357eef2d75bb491fba6e9241949b7')
+      .get('/api/address/bXPPis5Gf4y3stXahsKFfjXaR29TtN7yNd/balance?height=100000')
       .end((err, res) => {
         expect(err).to.be.null;
         res.should.have.status(200);
@@ -29,9 +29,45 @@ describe('API', () => {
       });
   });
 
-  it('/api/block/height/:height', (done) => {
+  it('/api/address/:hash/balance/history', (done) => {
     chai.request(server)
-      .get('/api/block/height/36007')
+      .get('/api/address/bXPPis5Gf4y3stXahsKFfjXaR29TtN7yNd/balance/history')
+      .end((err, res) => {
+        expect(err).to.be.null;
+        res.should.have.status(200);
+        done();
+      });
+  });
+
+  it('/api/address/:hash/utxo', (done) => {
+    chai.request(server)
+      .get('/api/address/bXPPis5Gf4y3stXahsKFfjXaR29TtN7yNd/utxo')
+      .end((err, res) => {
+        expect(err).to.be.null;
+        // Databases synced before spent outputs were tracked refuse the request until "migrate.js spentUtxos" has run
+        expect(res.status).to.be.oneOf([200, 503]);
+        if (res.status === 503) {
+          res.text.should.equal('Unspent outputs are not available until the spentUtxos migration has run.');
+        } else {
+          res.body.utxos.should.be.a('array');
+        }
+        done();
+      });
+  });
+
+  it('/api/block/:hash (hash)', (done) => {
+    chai.request(server)
+      .get('/api/block/0000000000004dbcd7d0ca813e318ea5154357eef2d75bb491fba6e9241949b7')
+      .end((err, res) => {
+        expect(err).to.be.null;
+        res.should.have.status(200);
+        done();
+      });
+  });
+
+  it('/api/block/:hash (height)', (done) => {
+    chai.request(server)
+      .get('/api/block/36007')
       .end((err, res) => {
         expect(err).to.be.null;
         res.should.have.status(200);
@@ -93,6 +129,21 @@ describe('API', () => {
       });
   });
 
+  it('/api/status/sync', (done) => {
+    chai.request(server)
+      .get('/api/status/sync')
+      .end((err, res) => {
+        expect(err).to.be.null;
+        res.should.have.status(200);
+        res.body.should.be.a('object');
+        res.body.dbHeight.should.be.a('number');
+        res.body.rpcHeight.should.be.a('number');
+        res.body.blocksBehind.should.be.a('number');
+        res.body.isLagging.should.be.a('boolean');
+        done();
+      });
+  });
+
   it('/api/tx/latest', (done) => {
     chai.request(server)
       .get('/api/tx/latest')
@@ -108,6 +159,193 @@ describe('API', () => {
       });
   });
 
+  it('/api/governance', (done) => {
+    chai.request(server)
+      .get('/api/governance')
+      .query({ limit: 1 })
+      .end((err, res) => {
+        expect(err).to.be.null;
+        res.should.have.status(200);
+        res.body.should.be.a('object');
+        res.body.payouts.should.be.a('array');
+        res.body.total.should.be.a('number');
+        res.body.totalPaid.should.be.a('number');
+        res.body.governanceAddresses.should.be.a('array');
+        done();
+      });
+  });
+
+  it('/api/top/rewards', (done) => {
+    chai.request(server)
+      .get('/api/top/rewards')
+      .query({ type: 'mn' })
+      .end((err, res) => {
+        expect(err).to.be.null;
+        res.should.have.status(200);
+        res.body.should.be.a('object');
+        res.body.type.should.equal('mn');
+        res.body.addresses.should.be.a('array');
+        res.body.addresses.forEach(address => address.rewardValue.should.be.above(0));
+        done();
+      });
+  });
+
+  it('/api/leaderboard/staking', (done) => {
+    chai.request(server)
+      .get('/api/leaderboard/staking')
+      .query({ limit: 5, minInputValue: 10 })
+      .end((err, res) => {
+        expect(err).to.be.null;
+        res.should.have.status(200);
+        res.body.should.be.a('object');
+        res.body.longestStreak.should.be.a('array');
+        res.body.mostStakes.should.be.a('array');
+        res.body.highestAvgRoi.should.be.a('array');
+        res.body.minInputValue.should.equal(10);
+        res.body.highestAvgRoi.forEach(staker => staker.avgInputValue.should.be.at.least(10));
+        done();
+      });
+  });
+
+  it('/api/openapi.json', (done) => {
+    chai.request(server)
+      .get('/api/openapi.json')
+      .end((err, res) => {
+        expect(err).to.be.null;
+        res.should.have.status(200);
+        res.body.openapi.should.be.a('string');
+        res.body.paths.should.have.property('/api/tx');
+        res.body.paths.should.have.property('/ext/getlasttxs');
+        done();
+      });
+  });
+
+  it('/api/tx (invalid parameters)', (done) => {
+    chai.request(server)
+      .get('/api/tx')
+      .query({ limit: 'abc' })
+      .end((err, res) => {
+        res.should.have.status(400);
+        res.body.error.should.be.a('string');
+        res.body.errors[0].name.should.equal('limit');
+        done();
+      });
+  });
+
+  it('/api/push (invalid channel)', (done) => {
+    chai.request(server)
+      .get('/api/push')
+      .query({ channels: 'blocks,unknown' })
+      .end((err, res) => {
+        res.should.have.status(400);
+        res.body.errors[0].name.should.equal('channels');
+        done();
+      });
+  });
+
+  it('/api/webhook (invalid parameters)', (done) => {
+    chai.request(server)
+      .post('/api/webhook')
+      .send({ address: 'bFY9cyZqZTYHGfduXo7CVNTMiCDeJ1q4gA', url: 'ftp://example.com' })
+      .end((err, res) => {
+        res.should.have.status(400);
+        res.body.errors[0].name.should.equal('url');
+        done();
+      });
+  });
+
+  it('/api/opreturn', (done) => {
+    chai.request(server)
+      .get('/api/opreturn')
+      .query({ limit: 1, textPrefix: 'a' })
+      .end((err, res) => {
+        expect(err).to.be.null;
+        res.should.have.status(200);
+        res.body.should.be.a('object');
+        res.body.opReturns.should.be.a('array');
+        res.body.total.should.be.a('number');
+        res.body.prefix.should.equal('61');
+        res.body.opReturns.forEach(opReturn => opReturn.hex.should.match(/^61/));
+        done();
+      });
+  });
+
+  it('/api/tx (cursor)', (done) => {
+    chai.request(server)
+      .get('/api/tx')
+      .query({ limit: 2 })
+      .end((err, res) => {
+        expect(err).to.be.null;
+        res.should.have.status(200);
+        res.body.txs.should.be.a('array');
+        if (!res.body.next) {
+          return done();
+        }
+
+        // Next page continues after the last tx of the first page
+        const lastSequence = res.body.txs[res.body.txs.length - 1].sequence;
+        chai.request(server)
+          .get(res.body.next)
+          .end((err, res) => {
+            expect(err).to.be.null;
+            res.should.have.status(200);
+            res.body.txs.forEach(tx => tx.sequence.should.be.below(lastSequence));
+            res.body.prevCursor.should.be.a('string');
+            done();
+          });
+      });
+  });
+
+  it('/api/movements (invalid cursor)', (done) => {
+    chai.request(server)
+      .get('/api/movements')
+      .query({ cursor: 'invalid' })
+      .end((err, res) => {
+        res.should.have.status(400);
+        done();
+      });
+  });
+
+  it('/graphql', (done) => {
+    chai.request(server)
+      .post('/graphql')
+      .send({ query: '{ blocks(limit: 2) { height hash movements { txId addressMovements { carverAddress { label } } } } }' })
+      .end((err, res) => {
+        expect(err).to.be.null;
+        res.should.have.status(200);
+        res.body.should.be.a('object');
+        expect(res.body.errors).to.be.undefined;
+        res.body.data.blocks.should.be.a('array');
+        done();
+      });
+  });
+
+  it('/graphql (max depth)', (done) => {
+    chai.request(server)
+      .post('/graphql')
+      .send({ query: '{ blocks { movements { addressMovements { carverAddress { movements { carverMovement { addressMovements { carverAddress { label } } } } } } } } }' })
+      .end((err, res) => {
+        res.should.have.status(400);
+        res.body.errors.should.be.a('array');
+        done();
+      });
+  });
+
+  it('/api/mempool', (done) => {
+    chai.request(server)
+      .get('/api/mempool')
+      .query({ limit: 1 })
+      .end((err, res) => {
+        expect(err).to.be.null;
+        res.should.have.status(200);
+        res.body.should.be.a('object');
+        res.body.txs.should.be.a('array');
+        res.body.total.should.be.a('number');
+        res.body.txs.forEach(tx => expect(tx.isPending).to.be.true);
+        done();
+      });
+  });
+
   it('/api/tx/:hash', (done) => {
     chai.request(server)
       .get('/api/tx/7ca4b28da5304e4a9deb70a156dabcbf1dce86198aab2696ea8b1467cc70c754')